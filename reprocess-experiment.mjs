@@ -22,7 +22,7 @@ async function main() {
   console.log(`📄 Input size: ${(inputText.length / 1024).toFixed(2)} KB`)
 
   const startTime = Date.now()
-  const result = await runLogSlimmerPipeline(inputText)
+  const { compressed: result } = await runLogSlimmerPipeline(inputText)
   const duration = Date.now() - startTime
 
   console.log(`✅ Processing complete in ${(duration / 1000).toFixed(2)}s`)
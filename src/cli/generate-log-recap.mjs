@@ -4,26 +4,79 @@ import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
 import { runLogRecapPipeline } from '../log-recap/pipeline.js'
+import { DEFAULT_HANDOFF_TOKEN_BUDGET } from '../log-recap/handoff.js'
+import { TRANSCRIPT_FORMATS } from '../log-recap/transcripts/index.js'
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url))
 const projectRoot = path.resolve(__dirname, '..')
+const VALUE_OPTIONS = ['--format', '--budget', '--state', '--max-tokens']
+
+function getOption(name) {
+  const index = process.argv.indexOf(name)
+  return index > -1 ? process.argv[index + 1] : null
+}
+
+function getPositionalArgs() {
+  const args = process.argv.slice(2)
+  return args.filter((arg, index) => !arg.startsWith('--') && !VALUE_OPTIONS.includes(args[index - 1]))
+}
 
 async function main() {
-  const inputFile = process.argv[2] || 'inputlmchat.txt'
+  // Several transcripts are merged into one recap, one session per file in the given order
+  const inputFiles = getPositionalArgs()
+  if (!inputFiles.length) inputFiles.push('inputlmchat.txt')
+  const [inputFile] = inputFiles
   const outputFormat = process.argv.includes('--json') ? 'json' : 'markdown'
   const saveIntermediates = process.argv.includes('--debug')
+  const outputMode = process.argv.includes('--handoff') ? 'handoff' : 'recap'
+  const handoffTokenBudget = Number(getOption('--budget') || DEFAULT_HANDOFF_TOKEN_BUDGET)
+  if (!Number.isInteger(handoffTokenBudget) || handoffTokenBudget <= 0) {
+    console.error(`❌ Invalid token budget: ${getOption('--budget')}`)
+    process.exit(1)
+  }
+  const maxOutputTokens = Number(getOption('--max-tokens') || 0)
+  if (!Number.isInteger(maxOutputTokens) || maxOutputTokens < 0) {
+    console.error(`❌ Invalid token budget: ${getOption('--max-tokens')}`)
+    process.exit(1)
+  }
 
-  const inputPath = path.resolve(projectRoot, inputFile)
-  if (!fs.existsSync(inputPath)) {
-    console.error(`❌ File not found: ${inputPath}`)
+  const transcriptFormat = getOption('--format') || 'auto'
+  const formatIds = TRANSCRIPT_FORMATS.map(entry => entry.id)
+  if (!formatIds.includes(transcriptFormat)) {
+    console.error(`❌ Unknown transcript format: ${transcriptFormat} (expected one of ${formatIds.join(', ')})`)
     process.exit(1)
   }
 
-  const logText = fs.readFileSync(inputPath, 'utf-8')
-  if (!logText.trim()) {
-    console.error('❌ Input file is empty.')
+  const inputPaths = inputFiles.map(file => path.resolve(projectRoot, file))
+  const missing = inputPaths.find(inputPath => !fs.existsSync(inputPath))
+  if (missing) {
+    console.error(`❌ File not found: ${missing}`)
     process.exit(1)
   }
+  if (inputPaths.length > 1 && getOption('--state')) {
+    console.error('❌ --state resumes a single transcript: pass one file')
+    process.exit(1)
+  }
+
+  // --state <file>: resume from the state saved by the previous run (if any) and save the new one
+  const statePath = getOption('--state') ? path.resolve(projectRoot, getOption('--state')) : null
+  let previousState = null
+  if (statePath && fs.existsSync(statePath)) {
+    try {
+      previousState = JSON.parse(fs.readFileSync(statePath, 'utf-8'))
+    } catch (error) {
+      console.error(`❌ Unreadable state file ${statePath}: ${error.message}`)
+      process.exit(1)
+    }
+  }
+
+  const sessions = inputPaths.map(inputPath => ({ name: path.basename(inputPath), text: fs.readFileSync(inputPath, 'utf-8') }))
+  const emptySession = sessions.find(session => !session.text.trim())
+  if (emptySession) {
+    console.error(`❌ Input file is empty: ${emptySession.name}`)
+    process.exit(1)
+  }
+  const logText = sessions.map(session => session.text).join('\n\n')
 
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19)
   const debugDir = path.join(projectRoot, 'debug_outputs')
@@ -31,16 +84,35 @@ async function main() {
   console.log('='.repeat(80))
   console.log('LOG RECAP')
   console.log('='.repeat(80))
-  console.log(`File: ${inputFile} (${(logText.length / 1024 / 1024).toFixed(2)} MB)`)
+  console.log(`File: ${inputFiles.join(', ')} (${(logText.length / 1024 / 1024).toFixed(2)} MB)`)
   console.log(`Format: ${outputFormat}`)
   console.log(`Debug: ${saveIntermediates ? 'ON' : 'OFF'}`)
+  if (outputMode === 'handoff') console.log(`Handoff brief: ${handoffTokenBudget} token budget`)
+  else if (maxOutputTokens) console.log(`Recap: ${maxOutputTokens} token budget`)
+  if (statePath) console.log(`State: ${statePath} (${previousState ? 'resuming' : 'new'})`)
   console.log('')
 
-  const result = await runLogRecapPipeline(logText)
+  const result = await runLogRecapPipeline(sessions.length > 1 ? sessions : logText, {
+    transcriptFormat,
+    outputMode,
+    handoffTokenBudget,
+    maxOutputTokens,
+    ...(statePath ? { previousState, keepState: true } : {})
+  })
 
   console.log('✅ Recap complete!')
+  console.log(`- Transcript: ${result.stats.transcriptFormat}`)
+  if (sessions.length > 1) console.log(`- Sessions: ${sessions.length}`)
   console.log(`- Reduction: ${result.stats.sizeReduction}%`)
   console.log(`- Tokens (synthetic): ${result.stats.totalTokensUsed}`)
+  if (result.handoff) console.log(`- Handoff tokens: ${result.handoff.tokens}`)
+  else if (maxOutputTokens) console.log(`- Recap tokens: ${result.stats.outputTokens} (${result.stats.droppedTimelineBlocks} timeline blocks left out)`)
+  if (result.stats.overBudget) console.log('⚠️  Still over the token budget after trimming')
+  if (result.state) {
+    fs.writeFileSync(statePath, JSON.stringify(result.state))
+    const resumeNote = result.stats.resumed ? 'resumed' : 'rebuilt'
+    console.log(`- Turns: ${result.stats.newTurns} new / ${result.stats.originalTurns} total (${resumeNote}, state saved to ${statePath})`)
+  }
   console.log(`- Time: ${(result.stats.processingTimeMs / 1000).toFixed(1)}s`)
   console.log('')
 
@@ -54,14 +126,18 @@ async function main() {
     saveDebug(`${timestamp}_final_summary.md`, result.compressed, debugDir)
   }
 
-  const baseName = path.basename(inputFile, path.extname(inputFile))
+  const firstName = path.basename(inputFile, path.extname(inputFile))
+  const baseName = inputFiles.length > 1 ? `${firstName}_and_${inputFiles.length - 1}_more` : firstName
+  const prefix = outputMode === 'handoff' ? 'LOG_HANDOFF' : 'LOG_RECAP'
   let outputPath
   if (outputFormat === 'json') {
-    outputPath = path.join(projectRoot, `LOG_RECAP_${baseName}_${timestamp}.json`)
+    outputPath = path.join(projectRoot, `${prefix}_${baseName}_${timestamp}.json`)
     fs.writeFileSync(outputPath, JSON.stringify(result, null, 2), 'utf-8')
   } else {
-    outputPath = path.join(projectRoot, `LOG_RECAP_${baseName}_${timestamp}.md`)
-    fs.writeFileSync(outputPath, formatCliOutput(result), 'utf-8')
+    outputPath = path.join(projectRoot, `${prefix}_${baseName}_${timestamp}.md`)
+    // The brief and a budgeted recap are used as is: no block overview or footer
+    const markdown = outputMode === 'handoff' || maxOutputTokens ? result.compressed : formatCliOutput(result)
+    fs.writeFileSync(outputPath, markdown, 'utf-8')
   }
 
   console.log(`💾 Saved to ${outputPath}`)
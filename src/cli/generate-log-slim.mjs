@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { runLogSlimmerPipeline, runLogComparePipeline, expandLogReference } from '../worker-logslimmer.js'
+import { INPUT_FORMATS } from '../log-pipeline/input-formats.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const projectRoot = path.resolve(__dirname, '..')
+
+const VALUE_OPTIONS = ['--format', '--source-maps', '--max-tokens', '--occurrence']
+
+function getOption(name) {
+  const index = process.argv.indexOf(name)
+  return index > -1 ? process.argv[index + 1] : null
+}
+
+function getPositionalArgs() {
+  const args = process.argv.slice(2)
+  return args.filter((arg, index) => !arg.startsWith('--') && !VALUE_OPTIONS.includes(args[index - 1]))
+}
+
+/**
+ * Read every `.map` file of a folder (recursively)
+ * @param {string} dir - Folder with source maps
+ * @returns {Array<{name: string, content: string}>}
+ */
+function loadSourceMaps(dir) {
+  const maps = []
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name)
+    if (entry.isDirectory()) {
+      maps.push(...loadSourceMaps(entryPath))
+    } else if (entry.name.endsWith('.map')) {
+      maps.push({ name: entry.name, content: fs.readFileSync(entryPath, 'utf-8') })
+    }
+  }
+  return maps
+}
+
+/**
+ * Read a log file, exiting on a missing or empty file
+ * @param {string} inputFile - Path relative to the project root
+ * @returns {string}
+ */
+function readLogFile(inputFile) {
+  const inputPath = path.resolve(projectRoot, inputFile)
+  if (!fs.existsSync(inputPath)) {
+    console.error(`❌ File not found: ${inputPath}`)
+    process.exit(1)
+  }
+
+  const logText = fs.readFileSync(inputPath, 'utf-8')
+  if (!logText.trim()) {
+    console.error(`❌ Input file is empty: ${inputFile}`)
+    process.exit(1)
+  }
+  return logText
+}
+
+/**
+ * `compare <before log> <after log>`: new, vanished and changed clusters of
+ * the second log against the first
+ */
+async function compare(beforeFile, afterFile, options, outputFormat, timestamp) {
+  const beforeText = readLogFile(beforeFile)
+  const afterText = readLogFile(afterFile)
+
+  console.log('='.repeat(80))
+  console.log('LOG COMPARE')
+  console.log('='.repeat(80))
+  console.log(`Before: ${beforeFile} (${(beforeText.length / 1024 / 1024).toFixed(2)} MB)`)
+  console.log(`After: ${afterFile} (${(afterText.length / 1024 / 1024).toFixed(2)} MB)`)
+  console.log(`Format: ${options.format}`)
+  console.log('')
+
+  const start = Date.now()
+  const result = await runLogComparePipeline(beforeText, afterText, options)
+
+  console.log('✅ Comparison complete!')
+  console.log(`- New clusters: ${result.stats.newClusters}`)
+  console.log(`- Vanished clusters: ${result.stats.vanishedClusters}`)
+  console.log(`- Changed clusters: ${result.stats.changedClusters}`)
+  console.log(`- Time: ${((Date.now() - start) / 1000).toFixed(1)}s`)
+  console.log('')
+
+  const baseName = path.basename(afterFile, path.extname(afterFile))
+  let outputPath
+  if (outputFormat === 'json') {
+    outputPath = path.join(projectRoot, `LOG_COMPARE_${baseName}_${timestamp}.json`)
+    fs.writeFileSync(outputPath, JSON.stringify(result, null, 2), 'utf-8')
+  } else {
+    outputPath = path.join(projectRoot, `LOG_COMPARE_${baseName}_${timestamp}.md`)
+    fs.writeFileSync(outputPath, `${result.compressed.trim()}\n\n---\nGenerated by LogSlimmer\n`, 'utf-8')
+  }
+
+  console.log(`💾 Saved to ${outputPath}`)
+  console.log('='.repeat(80))
+}
+
+/**
+ * `expand <log file> <C7|U3|fingerprint> [--occurrence n]`: print the original lines of
+ * one occurrence of a cluster or unique event of the slimmed output
+ */
+async function expand(logText, reference, options) {
+  const occurrence = Number(getOption('--occurrence') || 1)
+  // Pipeline progress goes to stderr: stdout only holds the lines
+  console.log = console.error
+  try {
+    const expanded = await expandLogReference(logText, reference, { ...options, occurrence })
+    process.stdout.write(`# ${expanded.id} occurrence ${expanded.occurrence}/${expanded.occurrences} (line ${expanded.line})\n`)
+    process.stdout.write(`${expanded.lines.join('\n')}\n`)
+  } catch (error) {
+    console.error(`❌ ${error.message}`)
+    process.exit(1)
+  }
+}
+
+async function main() {
+  const positional = getPositionalArgs()
+  const expandMode = positional[0] === 'expand'
+  const compareMode = positional[0] === 'compare'
+  // expand: reference to expand, compare: log to check against the first one
+  const [inputFile, target] = expandMode || compareMode ? positional.slice(1) : positional
+  if (!inputFile || ((expandMode || compareMode) && !target)) {
+    console.error('Usage: generate-log-slim.mjs <log file> [--format auto|text|json|syslog|logfmt|ci] [--source-maps <dir>] [--max-tokens <n>] [--json]')
+    console.error('       generate-log-slim.mjs expand <log file> <C7|U3|fingerprint> [--occurrence <n>] [--format …] [--source-maps <dir>]')
+    console.error('       generate-log-slim.mjs compare <before log> <after log> [--format …] [--source-maps <dir>] [--json]')
+    process.exit(1)
+  }
+
+  const format = getOption('--format') || 'auto'
+  const outputFormat = process.argv.includes('--json') ? 'json' : 'markdown'
+  const maxOutputTokens = getOption('--max-tokens') ? Number(getOption('--max-tokens')) : undefined
+  if (maxOutputTokens !== undefined && (!Number.isInteger(maxOutputTokens) || maxOutputTokens <= 0)) {
+    console.error(`❌ Invalid token budget: ${getOption('--max-tokens')}`)
+    process.exit(1)
+  }
+  if (!INPUT_FORMATS.includes(format)) {
+    console.error(`❌ Unknown format: ${format} (expected one of ${INPUT_FORMATS.join(', ')})`)
+    process.exit(1)
+  }
+
+  const sourceMapsDir = getOption('--source-maps')
+  let sourceMaps = []
+  if (sourceMapsDir) {
+    const dirPath = path.resolve(process.cwd(), sourceMapsDir)
+    if (!fs.existsSync(dirPath) || !fs.statSync(dirPath).isDirectory()) {
+      console.error(`❌ Source map folder not found: ${dirPath}`)
+      process.exit(1)
+    }
+    sourceMaps = loadSourceMaps(dirPath)
+  }
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19)
+  if (compareMode) {
+    await compare(inputFile, target, { format, sourceMaps }, outputFormat, timestamp)
+    return
+  }
+
+  const logText = readLogFile(inputFile)
+  if (expandMode) {
+    await expand(logText, target, { format, sourceMaps })
+    return
+  }
+
+  console.log('='.repeat(80))
+  console.log('LOG SLIMMER')
+  console.log('='.repeat(80))
+  console.log(`File: ${inputFile} (${(logText.length / 1024 / 1024).toFixed(2)} MB)`)
+  console.log(`Format: ${format}`)
+  console.log(`Source maps: ${sourceMaps.length}`)
+  if (maxOutputTokens) console.log(`Budget: ${maxOutputTokens} tokens`)
+  console.log('')
+
+  const start = Date.now()
+  const result = await runLogSlimmerPipeline(logText, { format, sourceMaps, maxOutputTokens, tokenStats: true })
+
+  console.log('✅ Compression complete!')
+  console.log(`- Reduction: ${result.stats.sizeReduction}%`)
+  console.log(`- Tokens: ${result.stats.originalTokens} → ${result.stats.compressedTokens}`)
+  if (result.stats.trimmed.overBudget) console.log('⚠️  Still over the token budget after trimming')
+  console.log(`- Time: ${((Date.now() - start) / 1000).toFixed(1)}s`)
+  console.log('')
+
+  const baseName = path.basename(inputFile, path.extname(inputFile))
+  let outputPath
+  if (outputFormat === 'json') {
+    outputPath = path.join(projectRoot, `LOG_SLIM_${baseName}_${timestamp}.json`)
+    fs.writeFileSync(outputPath, JSON.stringify(result, null, 2), 'utf-8')
+  } else {
+    outputPath = path.join(projectRoot, `LOG_SLIM_${baseName}_${timestamp}.md`)
+    fs.writeFileSync(outputPath, `${result.compressed.trim()}\n\n---\nGenerated by LogSlimmer\n`, 'utf-8')
+  }
+
+  console.log(`💾 Saved to ${outputPath}`)
+  console.log('='.repeat(80))
+}
+
+main().catch(error => {
+  console.error('❌ Error:', error)
+  process.exit(1)
+})
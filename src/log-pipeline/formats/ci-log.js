@@ -0,0 +1,248 @@
+/**
+ * CI job logs (GitHub Actions raw logs, GitLab CI job traces)
+ *
+ *   2026-10-19T10:00:00.1234567Z ##[group]Run npm test
+ *   2026-10-19T10:00:00.1250000Z ##[endgroup]
+ *   2026-10-19T10:00:03.0000000Z ::error file=src/app.js,line=12,col=5::Unexpected token
+ *   2026-10-19T10:00:04.0000000Z ##[error]Process completed with exit code 1.
+ *   section_start:1760868000:step_script\r\e[0KExecuting "step_script" stage
+ *
+ * Per-line timestamps and group markers are lifted out of the text, every
+ * group becomes a step (running until the next group starts, since GitHub
+ * prints the step output after `##[endgroup]`) and annotations are kept
+ * with their file/line so they can be clustered as errors.
+ */
+
+import { renderRecordHead } from './fields.js'
+
+const TIMESTAMP_PREFIX_REGEX = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z) ?/
+const ANSI_REGEX = /\x1b\[[0-9;]*[A-Za-z]/g
+const GROUP_START_REGEX = /^(?:##\[group\]|::group::)(.*)$/
+const GROUP_END_REGEX = /^(?:##\[endgroup\]|::endgroup::)/
+const GITLAB_SECTION_REGEX = /section_(start|end):(\d+):([\w.-]+)(?:\[[^\]]*\])?/
+const WORKFLOW_ANNOTATION_REGEX = /^::(error|warning|notice)(?: ([^:]*))?::(.*)$/
+const RAW_ANNOTATION_REGEX = /^##\[(error|warning|notice)\](.*)$/
+const LOG_COMMAND_REGEX = /^##\[(?:command|debug|section)\]/
+const GITHUB_EXIT_REGEX = /Process completed with exit code (\d+)/
+const GITLAB_EXIT_REGEX = /^ERROR: Job failed: exit code (\d+)/
+
+const ANNOTATION_LEVELS = { error: 'error', warning: 'warn', notice: 'info' }
+const DETECTION_SAMPLE_SIZE = 1000
+const PREAMBLE_STEP = '(job setup)'
+const GITLAB_SCRIPT_STEP = 'step_script'
+
+/**
+ * Check whether the input contains CI step markers or workflow annotations
+ * @param {string[]} lines - Input lines
+ * @returns {boolean}
+ */
+export function looksLikeCiLog(lines) {
+  const limit = Math.min(lines.length, DETECTION_SAMPLE_SIZE)
+  for (let index = 0; index < limit; index++) {
+    const text = stripCiPrefix(lines[index]).text
+    if (GROUP_START_REGEX.test(text) || WORKFLOW_ANNOTATION_REGEX.test(text) ||
+        RAW_ANNOTATION_REGEX.test(text) || GITLAB_SECTION_REGEX.test(text)) {
+      return true
+    }
+  }
+  return false
+}
+
+/**
+ * Remove ANSI codes, carriage returns and the per-line timestamp
+ * @param {string} line - Raw line
+ * @returns {{timestamp: string|null, text: string}}
+ */
+export function stripCiPrefix(line) {
+  // GitLab prints `\r\e[0K` after section markers; keep what follows the marker
+  const plain = line.replace(ANSI_REGEX, '').replace(/\r/g, ' ').trimEnd()
+  const match = plain.match(TIMESTAMP_PREFIX_REGEX)
+  return match
+    ? { timestamp: match[1], text: plain.slice(match[0].length) }
+    : { timestamp: null, text: plain }
+}
+
+function parseAnnotationParams(text = '') {
+  const params = {}
+  for (const part of text.split(',')) {
+    const separator = part.indexOf('=')
+    if (separator <= 0) continue
+    params[part.slice(0, separator).trim()] = part.slice(separator + 1).trim()
+  }
+  return params
+}
+
+/**
+ * Parse a `::error file=..::msg` or `##[error]msg` annotation line
+ * @param {string} text - Line without timestamp
+ * @returns {Object|null} { level, message, file, line, col, title }
+ */
+export function parseCiAnnotation(text) {
+  const workflow = text.match(WORKFLOW_ANNOTATION_REGEX)
+  if (workflow) {
+    const params = parseAnnotationParams(workflow[2])
+    return {
+      level: ANNOTATION_LEVELS[workflow[1]],
+      message: workflow[3].trim(),
+      file: params.file || null,
+      line: params.line ? Number(params.line) : null,
+      col: params.col ? Number(params.col) : null,
+      title: params.title || null
+    }
+  }
+
+  const raw = text.match(RAW_ANNOTATION_REGEX)
+  if (raw) {
+    return { level: ANNOTATION_LEVELS[raw[1]], message: raw[2].trim(), file: null, line: null, col: null, title: null }
+  }
+
+  return null
+}
+
+function createStep(name, startEpoch = null) {
+  return {
+    name,
+    lines: [],
+    indexes: [],
+    firstTimestamp: null,
+    lastTimestamp: null,
+    startEpoch,
+    endEpoch: null,
+    exitCode: null,
+    errorCount: 0
+  }
+}
+
+/**
+ * Duration of a step in milliseconds (GitLab section epochs first, then line timestamps)
+ * @param {Object} step - Parsed step
+ * @returns {number|null}
+ */
+export function stepDurationMs(step) {
+  if (step.startEpoch !== null && step.endEpoch !== null) {
+    return (step.endEpoch - step.startEpoch) * 1000
+  }
+  if (step.firstTimestamp && step.lastTimestamp) {
+    const duration = Date.parse(step.lastTimestamp) - Date.parse(step.firstTimestamp)
+    return Number.isFinite(duration) ? duration : null
+  }
+  return null
+}
+
+/**
+ * Whether the step failed (non-zero exit code or error annotations)
+ * @param {Object} step - Parsed step
+ * @returns {boolean}
+ */
+export function isFailedStep(step) {
+  return (step.exitCode !== null && step.exitCode !== 0) || step.errorCount > 0
+}
+
+/**
+ * Split a CI log into steps and annotations
+ * @param {string[]} lines - Input lines
+ * @returns {{steps: Object[], annotations: Object[]}}
+ *   steps: { name, lines, indexes, exitCode, errorCount, ... } with marker-free text
+ *   annotations: { level, message, file, line, col, title, index, step, timestamp }
+ */
+export function parseCiLog(lines) {
+  const steps = []
+  const annotations = []
+  let current = createStep(PREAMBLE_STEP)
+
+  // The preamble is only reported when something was printed before the first step
+  const flush = () => {
+    if (current.lines.length || current.name !== PREAMBLE_STEP) {
+      steps.push(current)
+    }
+  }
+  const startStep = (name, timestamp, startEpoch = null) => {
+    flush()
+    current = createStep(name, startEpoch)
+    current.firstTimestamp = current.lastTimestamp = timestamp
+  }
+
+  lines.forEach((line, index) => {
+    const { timestamp, text } = stripCiPrefix(line)
+    if (timestamp) {
+      current.firstTimestamp = current.firstTimestamp || timestamp
+      current.lastTimestamp = timestamp
+    }
+
+    const section = text.match(GITLAB_SECTION_REGEX)
+    if (section) {
+      const [marker, kind, epoch, name] = section
+      if (kind === 'start') {
+        startStep(name, timestamp, Number(epoch))
+      } else if (current.name === name) {
+        current.endEpoch = Number(epoch)
+      }
+      const rest = text.replace(marker, '').trim()
+      if (rest) {
+        current.lines.push(rest)
+        current.indexes.push(index)
+      }
+      return
+    }
+
+    const group = text.match(GROUP_START_REGEX)
+    if (group) {
+      startStep(group[1].trim() || `step ${steps.length + 1}`, timestamp)
+      return
+    }
+    if (GROUP_END_REGEX.test(text)) return
+
+    const githubExit = text.match(GITHUB_EXIT_REGEX)
+    const gitlabExit = text.match(GITLAB_EXIT_REGEX)
+    const exit = githubExit || gitlabExit
+    if (githubExit) {
+      current.exitCode = Number(githubExit[1])
+    } else if (gitlabExit) {
+      // GitLab reports the job result after the cleanup sections, blame the script
+      const script = steps.find((step) => step.name === GITLAB_SCRIPT_STEP) || current
+      script.exitCode = Number(gitlabExit[1])
+    }
+
+    const annotation = exit ? null : parseCiAnnotation(text)
+    if (annotation) {
+      if (annotation.level === 'error') current.errorCount++
+      annotations.push({ ...annotation, index, step: current.name, timestamp })
+    }
+
+    const display = annotation
+      ? `${annotation.level.toUpperCase()} ${annotation.message}`
+      : text.replace(RAW_ANNOTATION_REGEX, '$2').replace(LOG_COMMAND_REGEX, '')
+    current.lines.push(display)
+    current.indexes.push(index)
+  })
+
+  flush()
+  return { steps, annotations }
+}
+
+/**
+ * Map an annotation onto a LogRecord
+ * file/title stay in the template, line and column become variables.
+ * @param {Object} annotation - Annotation from parseCiLog
+ * @returns {Object} LogRecord ({ lines, indexes, start, meta })
+ */
+export function ciAnnotationToLogRecord(annotation) {
+  const fields = {}
+  if (annotation.title) fields.title = annotation.title
+  if (annotation.file) fields.file = annotation.file
+  if (annotation.line !== null) fields.line = annotation.line
+  if (annotation.col !== null) fields.col = annotation.col
+
+  return {
+    lines: [renderRecordHead({ level: annotation.level, message: annotation.message, fields })],
+    indexes: [annotation.index],
+    start: annotation.index,
+    meta: {
+      format: 'ci',
+      level: annotation.level,
+      timestamp: annotation.timestamp,
+      fields,
+      step: annotation.step
+    }
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * Demultiplex interleaved container logs into per-source streams
+ *
+ *   web-1     | GET /health 200                       (docker compose logs)
+ *   [pod/api-7f9c4/app] listening on :8080            (kubectl logs --prefix)
+ *
+ * Each stream keeps the original line indexes so records parsed from it can
+ * be merged back into input order afterwards.
+ */
+
+// Compose names are `service-N` (v2) or `service_N` (v1), padded to a
+// common width before the bar; a bare `word | text` is a table row
+const COMPOSE_PREFIX_REGEX = /^([A-Za-z0-9][\w.-]*[-_]\d+) +\|(?: |$)(.*)$/
+const KUBECTL_PREFIX_REGEX = /^\[pod\/([^/\]\s]+)\/([^\]\s]+)\] ?(.*)$/
+// docker compose colors the prefix when attached to a terminal
+const ANSI_REGEX = /\x1b\[[0-9;]*m/g
+
+const DETECTION_SAMPLE_SIZE = 200
+const DETECTION_MIN_RATIO = 0.6
+
+/**
+ * Extract the container prefix of a line
+ * @param {string} line - Raw line
+ * @returns {{source: string, text: string}|null} Null when the line has no prefix
+ */
+export function parseContainerPrefix(line) {
+  const plain = line.replace(ANSI_REGEX, '')
+
+  const kubectl = plain.match(KUBECTL_PREFIX_REGEX)
+  if (kubectl) {
+    return { source: `${kubectl[1]}/${kubectl[2]}`, text: kubectl[3] }
+  }
+
+  const compose = plain.match(COMPOSE_PREFIX_REGEX)
+  if (compose) {
+    return { source: compose[1], text: compose[2] }
+  }
+
+  return null
+}
+
+/**
+ * Check whether most non-empty lines carry a container prefix, and at least
+ * one container printed more than one line
+ * @param {string[]} lines - Input lines
+ * @returns {boolean}
+ */
+export function looksLikeContainerLogs(lines) {
+  let sampled = 0
+  let matches = 0
+  const sources = new Set()
+  let repeated = false
+
+  for (const line of lines) {
+    if (!line.trim()) continue
+    sampled++
+    const prefix = parseContainerPrefix(line)
+    if (prefix) {
+      matches++
+      repeated = repeated || sources.has(prefix.source)
+      sources.add(prefix.source)
+    }
+    if (sampled >= DETECTION_SAMPLE_SIZE) break
+  }
+
+  return repeated && matches / sampled >= DETECTION_MIN_RATIO
+}
+
+/**
+ * Split prefixed lines into one stream per container
+ * Lines without a prefix (compose's "Attaching to ..." banner) form a
+ * stream with a null source.
+ * @param {string[]} lines - Input lines
+ * @returns {Array<{source: string|null, lines: string[], indexes: number[]}>|null}
+ *   Streams in order of first appearance, or null when the input is not multiplexed
+ */
+export function splitContainerStreams(lines) {
+  if (!looksLikeContainerLogs(lines)) return null
+
+  const streams = new Map()
+  lines.forEach((line, index) => {
+    const prefix = parseContainerPrefix(line)
+    const source = prefix ? prefix.source : null
+    if (!streams.has(source)) {
+      streams.set(source, { source, lines: [], indexes: [] })
+    }
+    const stream = streams.get(source)
+    stream.lines.push(prefix ? prefix.text : line)
+    stream.indexes.push(index)
+  })
+
+  return Array.from(streams.values())
+}
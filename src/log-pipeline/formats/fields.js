@@ -0,0 +1,71 @@
+/**
+ * Field helpers shared by the structured input formats (JSON lines, logfmt, syslog)
+ *
+ * Records are rendered as `LEVEL message key=value ...` so the text based
+ * scoring/categorization keeps working, and the field map travels with the
+ * event so templating can turn volatile keys into named variables.
+ */
+
+import { logPipelineConfig } from '../pipeline-config.js'
+
+const MAX_FIELD_VALUE_LENGTH = 120
+
+const VOLATILE_VALUE_PATTERNS = [
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i, // UUID
+  /^[0-9a-f]{16,}$/i, // long hex (trace ids, hashes)
+  /^-?\d+(?:\.\d+)?(?:ns|us|µs|ms|s|m|h|b|kb|mb|gb)?$/i, // numbers and durations/sizes
+  /^(?:\d{1,3}\.){3}\d{1,3}(?::\d+)?$/, // IPv4 (with port)
+  /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}/ // timestamps
+]
+
+/**
+ * Format a field value for the rendered line (quoted when needed)
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+export function formatFieldValue(value) {
+  let text = typeof value === 'string' ? value : JSON.stringify(value)
+  if (text === undefined) return ''
+  if (text.length > MAX_FIELD_VALUE_LENGTH) {
+    text = `${text.slice(0, MAX_FIELD_VALUE_LENGTH)}…`
+  }
+  return text === '' || /[\s"=]/.test(text) ? JSON.stringify(text) : text
+}
+
+/**
+ * Render a `key=value` pair exactly as it appears in the record head line
+ * @param {string} key - Field name
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+export function formatFieldPair(key, value) {
+  return `${key}=${formatFieldValue(value)}`
+}
+
+/**
+ * Render the head line of a structured record
+ * @param {Object} parts - { level, message, fields, prefix }
+ * @returns {string}
+ */
+export function renderRecordHead({ level, message, fields = {}, prefix = '' }) {
+  const fieldText = Object.entries(fields)
+    .map(([key, value]) => formatFieldPair(key, value))
+    .join(' ')
+  return [prefix, level ? level.toUpperCase() : null, message, fieldText].filter(Boolean).join(' ')
+}
+
+/**
+ * Decide whether a field varies per occurrence (request ids, durations, users...)
+ * Stable fields stay in the cluster template, volatile ones become variables.
+ * @param {string} key - Field name
+ * @param {*} value - Field value
+ * @returns {boolean}
+ */
+export function isVolatileField(key, value) {
+  const normalizedKey = key.toLowerCase()
+  if (logPipelineConfig.stableFields.includes(normalizedKey)) return false
+  if (logPipelineConfig.volatileFieldPatterns.some((pattern) => pattern.test(key))) return true
+  if (value === null || value === undefined || typeof value === 'boolean') return false
+  const text = String(value).trim()
+  return VOLATILE_VALUE_PATTERNS.some((pattern) => pattern.test(text))
+}
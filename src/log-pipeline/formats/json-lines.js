@@ -0,0 +1,189 @@
+/**
+ * JSON Lines ingestion for structured loggers (pino, bunyan, winston)
+ *
+ * Each record is rendered back into a compact text line made of the level,
+ * the message and the context fields, followed by the error stack. The
+ * envelope fields (pid, hostname, v...) are dropped so clustering works on
+ * the real content instead of raw JSON noise.
+ */
+
+import { normalizeLevel } from './levels.js'
+import { renderRecordHead } from './fields.js'
+
+const MESSAGE_KEYS = ['msg', 'message']
+const LEVEL_KEYS = ['level', 'severity', 'lvl', 'loglevel']
+const TIME_KEYS = ['time', 'timestamp', '@timestamp', 'ts']
+const ERROR_KEYS = ['err', 'error']
+
+// Envelope fields that carry no signal for clustering
+const ENVELOPE_KEYS = new Set(['v', 'pid', 'hostname', 'host', '@version'])
+
+const DETECTION_SAMPLE_SIZE = 200
+const DETECTION_MIN_RATIO = 0.6
+const MAX_FIELD_DEPTH = 2
+
+/**
+ * Parse a single line as a JSON object
+ * @param {string} line - Raw input line
+ * @returns {Object|null} Parsed object or null if the line is not a JSON object
+ */
+export function parseJsonLine(line) {
+  const trimmed = line.trim()
+  if (!trimmed.startsWith('{') || !trimmed.endsWith('}')) return null
+  try {
+    const parsed = JSON.parse(trimmed)
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Check whether most non-empty lines are JSON objects
+ * @param {string[]} lines - Input lines
+ * @returns {boolean}
+ */
+export function looksLikeJsonLines(lines) {
+  let sampled = 0
+  let matches = 0
+
+  for (const line of lines) {
+    if (!line.trim()) continue
+    sampled++
+    if (parseJsonLine(line)) matches++
+    if (sampled >= DETECTION_SAMPLE_SIZE) break
+  }
+
+  return matches > 0 && matches / sampled >= DETECTION_MIN_RATIO
+}
+
+function pickFirst(record, keys) {
+  for (const key of keys) {
+    if (record[key] !== undefined && record[key] !== null && record[key] !== '') {
+      return { key, value: record[key] }
+    }
+  }
+  return null
+}
+
+function normalizeTimestamp(value) {
+  if (value === null || value === undefined) return null
+  if (typeof value === 'number') {
+    // Heuristic: values below 1e12 are epoch seconds
+    const ms = value < 1e12 ? value * 1000 : value
+    const date = new Date(ms)
+    return Number.isNaN(date.getTime()) ? String(value) : date.toISOString()
+  }
+  return String(value)
+}
+
+function flattenFields(source, prefix = '', depth = 1, target = {}) {
+  for (const [key, value] of Object.entries(source)) {
+    if (value === undefined) continue
+    const path = prefix ? `${prefix}.${key}` : key
+    if (value && typeof value === 'object' && !Array.isArray(value) && depth < MAX_FIELD_DEPTH) {
+      flattenFields(value, path, depth + 1, target)
+    } else {
+      target[path] = value
+    }
+  }
+  return target
+}
+
+function extractErrorLines(record) {
+  const errorEntry = pickFirst(record, ERROR_KEYS)
+  const error = errorEntry?.value
+
+  if (typeof error === 'string') {
+    return { key: errorEntry.key, lines: error.split(/\r?\n/) }
+  }
+
+  if (error && typeof error === 'object') {
+    if (typeof error.stack === 'string') {
+      return { key: errorEntry.key, lines: error.stack.split(/\r?\n/) }
+    }
+    if (error.message) {
+      return { key: errorEntry.key, lines: [`${error.type || error.name || 'Error'}: ${error.message}`] }
+    }
+  }
+
+  // winston's errors() format puts the stack at the top level
+  if (typeof record.stack === 'string') {
+    return { key: 'stack', lines: record.stack.split(/\r?\n/) }
+  }
+
+  return { key: null, lines: [] }
+}
+
+/**
+ * Map a parsed JSON record onto a LogRecord
+ * @param {Object} record - Parsed JSON object
+ * @param {number} start - Index of the source line
+ * @returns {Object} LogRecord ({ lines, indexes, start, meta })
+ */
+export function jsonRecordToLogRecord(record, start) {
+  const messageEntry = pickFirst(record, MESSAGE_KEYS)
+  const levelEntry = pickFirst(record, LEVEL_KEYS)
+  const timeEntry = pickFirst(record, TIME_KEYS)
+  const level = normalizeLevel(levelEntry?.value)
+  const errorInfo = extractErrorLines(record)
+
+  const consumed = new Set([messageEntry?.key, levelEntry?.key, timeEntry?.key, errorInfo.key].filter(Boolean))
+  const context = {}
+  for (const [key, value] of Object.entries(record)) {
+    if (consumed.has(key) || ENVELOPE_KEYS.has(key)) continue
+    context[key] = value
+  }
+  const fields = flattenFields(context)
+
+  let message = messageEntry ? String(messageEntry.value) : ''
+  // Avoid repeating the error message when the stack already starts with it
+  if (!message && errorInfo.lines.length) {
+    message = errorInfo.lines.shift()
+  }
+
+  const head = renderRecordHead({ level, message, fields })
+
+  return {
+    lines: [head || JSON.stringify(record), ...errorInfo.lines.filter((line) => line.trim())],
+    indexes: [start],
+    start,
+    meta: {
+      format: 'json',
+      level,
+      timestamp: normalizeTimestamp(timeEntry?.value),
+      fields
+    }
+  }
+}
+
+/**
+ * Parse JSON Lines input into LogRecords
+ * Lines that are not JSON are kept: indented ones continue the previous
+ * record, anything else becomes a plain text record.
+ * @param {string[]} lines - Input lines
+ * @returns {Object[]} LogRecords
+ */
+export function parseJsonLines(lines) {
+  const records = []
+
+  lines.forEach((line, index) => {
+    if (!line.trim()) return
+
+    const parsed = parseJsonLine(line)
+    if (parsed) {
+      records.push(jsonRecordToLogRecord(parsed, index))
+      return
+    }
+
+    const previous = records[records.length - 1]
+    if (previous && /^\s/.test(line)) {
+      previous.lines.push(line)
+      previous.indexes.push(index)
+    } else {
+      records.push({ lines: [line], indexes: [index], start: index, meta: { format: 'text' } })
+    }
+  })
+
+  return records
+}
@@ -0,0 +1,59 @@
+/**
+ * Log level normalization shared by the structured input formats
+ *
+ * Every parser maps its native level representation (pino numbers,
+ * winston strings, syslog severities...) onto this canonical set so
+ * scoring and summaries only deal with one vocabulary.
+ */
+
+export const LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'fatal']
+
+// pino/bunyan numeric levels (10 trace … 60 fatal)
+const NUMERIC_LEVELS = [
+  { min: 60, level: 'fatal' },
+  { min: 50, level: 'error' },
+  { min: 40, level: 'warn' },
+  { min: 30, level: 'info' },
+  { min: 20, level: 'debug' },
+  { min: 0, level: 'trace' }
+]
+
+const LEVEL_ALIASES = {
+  trace: 'trace',
+  silly: 'trace',
+  verbose: 'debug',
+  debug: 'debug',
+  dbg: 'debug',
+  info: 'info',
+  information: 'info',
+  notice: 'info',
+  http: 'info',
+  warn: 'warn',
+  warning: 'warn',
+  error: 'error',
+  err: 'error',
+  fatal: 'fatal',
+  critical: 'fatal',
+  crit: 'fatal',
+  alert: 'fatal',
+  emerg: 'fatal',
+  emergency: 'fatal',
+  panic: 'fatal'
+}
+
+/**
+ * Normalize a raw level value into one of LEVELS
+ * @param {string|number} value - Raw level (e.g. 50, "WARNING", "err")
+ * @returns {string|null} Canonical level or null when unknown
+ */
+export function normalizeLevel(value) {
+  if (value === null || value === undefined || value === '') return null
+
+  const numeric = typeof value === 'number' ? value : (/^\d+$/.test(String(value)) ? Number(value) : NaN)
+  if (Number.isFinite(numeric)) {
+    const match = NUMERIC_LEVELS.find((entry) => numeric >= entry.min)
+    return match ? match.level : null
+  }
+
+  return LEVEL_ALIASES[String(value).trim().toLowerCase()] || null
+}
@@ -0,0 +1,193 @@
+/**
+ * logfmt / key=value ingestion (Go services, Heroku router, logrus...)
+ *
+ *   level=error msg="payment failed" duration=123ms request_id=abc
+ *
+ * Lines are tokenized into pairs; level, msg and time are lifted onto the
+ * record and the remaining pairs travel as fields so templating can tell
+ * stable keys from volatile ones.
+ */
+
+import { normalizeLevel } from './levels.js'
+import { renderRecordHead } from './fields.js'
+
+const MESSAGE_KEYS = ['msg', 'message']
+const LEVEL_KEYS = ['level', 'lvl', 'severity', 'at']
+const TIME_KEYS = ['time', 'ts', 't', 'timestamp']
+
+const KEY_REGEX = /^[A-Za-z_][\w.\-/]*$/
+const DETECTION_SAMPLE_SIZE = 200
+const DETECTION_MIN_RATIO = 0.6
+const MIN_PAIRS_PER_LINE = 2
+const MIN_PAIR_COVERAGE = 0.6
+
+/**
+ * Tokenize a logfmt line into words and key=value pairs
+ * Quoted values support backslash escapes.
+ * @param {string} line - Raw line
+ * @returns {Array<{key?: string, value?: string, word?: string}>}
+ */
+export function tokenizeLogfmt(line) {
+  const tokens = []
+  let index = 0
+
+  while (index < line.length) {
+    while (index < line.length && /\s/.test(line[index])) index++
+    if (index >= line.length) break
+
+    let raw = ''
+    let value = null
+    let key = null
+
+    while (index < line.length && !/\s/.test(line[index]) && line[index] !== '=') {
+      raw += line[index++]
+    }
+
+    if (line[index] === '=') {
+      key = raw
+      index++
+      if (line[index] === '"') {
+        index++
+        value = ''
+        while (index < line.length && line[index] !== '"') {
+          if (line[index] === '\\' && index + 1 < line.length) {
+            index++
+          }
+          value += line[index++]
+        }
+        index++ // closing quote
+      } else {
+        value = ''
+        while (index < line.length && !/\s/.test(line[index])) {
+          value += line[index++]
+        }
+      }
+    }
+
+    if (key !== null && KEY_REGEX.test(key)) {
+      tokens.push({ key, value })
+    } else {
+      tokens.push({ word: key !== null ? `${key}=${value}` : raw })
+    }
+  }
+
+  return tokens
+}
+
+/**
+ * Parse a logfmt line into its leading text and pairs
+ * @param {string} line - Raw line
+ * @returns {{prefix: string, pairs: Object}|null} Null when the line is not logfmt
+ */
+export function parseLogfmtLine(line) {
+  const tokens = tokenizeLogfmt(line)
+  const pairTokens = tokens.filter((token) => token.key !== undefined)
+  if (pairTokens.length < MIN_PAIRS_PER_LINE) return null
+
+  // Leading words (timestamps, "heroku[router]:") are allowed before the first pair
+  const firstPair = tokens.findIndex((token) => token.key !== undefined)
+  const trailing = tokens.slice(firstPair)
+  if (pairTokens.length / trailing.length < MIN_PAIR_COVERAGE) return null
+
+  const pairs = {}
+  for (const token of pairTokens) {
+    pairs[token.key] = token.value
+  }
+
+  return {
+    prefix: tokens.slice(0, firstPair).map((token) => token.word).join(' '),
+    pairs
+  }
+}
+
+/**
+ * Check whether most non-empty lines are logfmt
+ * @param {string[]} lines - Input lines
+ * @returns {boolean}
+ */
+export function looksLikeLogfmt(lines) {
+  let sampled = 0
+  let matches = 0
+
+  for (const line of lines) {
+    if (!line.trim()) continue
+    sampled++
+    if (parseLogfmtLine(line)) matches++
+    if (sampled >= DETECTION_SAMPLE_SIZE) break
+  }
+
+  return matches > 0 && matches / sampled >= DETECTION_MIN_RATIO
+}
+
+function takeFirst(pairs, keys) {
+  for (const key of keys) {
+    if (pairs[key] !== undefined && pairs[key] !== '') {
+      const value = pairs[key]
+      delete pairs[key]
+      return value
+    }
+  }
+  return null
+}
+
+/**
+ * Map a parsed logfmt line onto a LogRecord
+ * @param {{prefix: string, pairs: Object}} parsed - Output of parseLogfmtLine
+ * @param {number} start - Index of the source line
+ * @returns {Object} LogRecord ({ lines, indexes, start, meta })
+ */
+export function logfmtToLogRecord(parsed, start) {
+  const fields = { ...parsed.pairs }
+  const message = takeFirst(fields, MESSAGE_KEYS) || ''
+  const rawLevel = takeFirst(fields, LEVEL_KEYS)
+  const timestamp = takeFirst(fields, TIME_KEYS)
+  const level = normalizeLevel(rawLevel)
+
+  // Unknown level keywords (e.g. Heroku's at=info) stay as plain fields
+  if (rawLevel && !level) {
+    fields.level = rawLevel
+  }
+
+  return {
+    lines: [renderRecordHead({ prefix: parsed.prefix, level, message, fields })],
+    indexes: [start],
+    start,
+    meta: {
+      format: 'logfmt',
+      level,
+      timestamp,
+      fields
+    }
+  }
+}
+
+/**
+ * Parse logfmt input into LogRecords
+ * Non-logfmt lines continue the previous record when indented (stack
+ * traces, panics) and become plain text records otherwise.
+ * @param {string[]} lines - Input lines
+ * @returns {Object[]} LogRecords
+ */
+export function parseLogfmt(lines) {
+  const records = []
+
+  lines.forEach((line, index) => {
+    if (!line.trim()) return
+
+    const parsed = parseLogfmtLine(line)
+    if (parsed) {
+      records.push(logfmtToLogRecord(parsed, index))
+      return
+    }
+
+    const previous = records[records.length - 1]
+    if (previous && /^\s/.test(line)) {
+      previous.lines.push(line)
+      previous.indexes.push(index)
+    } else {
+      records.push({ lines: [line], indexes: [index], start: index, meta: { format: 'text' } })
+    }
+  })
+
+  return records
+}
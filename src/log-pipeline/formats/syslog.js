@@ -0,0 +1,201 @@
+/**
+ * Syslog ingestion (RFC 5424, RFC 3164, journalctl/rsyslog dumps)
+ *
+ *   <34>1 2026-10-19T10:00:00.000Z host app 1234 ID47 [sd@1 k="v"] message
+ *   <34>Oct 19 10:00:00 host app[1234]: message
+ *   Oct 19 10:00:00 host app[1234]: message
+ *   2026-10-19T10:00:00.123+00:00 host app[1234]: message
+ *
+ * Host, app, pid and severity are lifted out of the line so they no longer
+ * end up in every template; only `app: message` is kept as text.
+ */
+
+import { normalizeLevel } from './levels.js'
+import { renderRecordHead } from './fields.js'
+
+export const SYSLOG_SEVERITIES = ['emerg', 'alert', 'crit', 'err', 'warning', 'notice', 'info', 'debug']
+
+export const SYSLOG_FACILITIES = [
+  'kern', 'user', 'mail', 'daemon', 'auth', 'syslog', 'lpr', 'news',
+  'uucp', 'cron', 'authpriv', 'ftp', 'ntp', 'security', 'console', 'solaris-cron',
+  'local0', 'local1', 'local2', 'local3', 'local4', 'local5', 'local6', 'local7'
+]
+
+const RFC5424_REGEX = /^<(\d{1,3})>(\d{1,2}) (\S+) (\S+) (\S+) (\S+) (\S+) (.*)$/
+// BSD date (`Oct 19 10:00:00`) or an ISO timestamp with a zone (rsyslog
+// high-precision files, `journalctl -o short-iso`), <PRI> optional. Plain
+// ISO logs are told apart by the `host app[pid]:` header that must follow.
+const BSD_DATE = '(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec) {1,2}\\d{1,2} \\d{2}:\\d{2}:\\d{2}'
+const ISO_DATE = '\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}:\\d{2}(?:[.,]\\d+)?(?:Z|[+-]\\d{2}:?\\d{2})'
+const RFC3164_REGEX = new RegExp(`^(?:<(\\d{1,3})>)?(${BSD_DATE}|${ISO_DATE}) (\\S+) ([^\\s:[\\]]+)(?:\\[(\\d+)\\])?: ?(.*)$`)
+const SD_PARAM_REGEX = /([^\s=\]]+)="((?:\\.|[^"\\])*)"/g
+
+const DETECTION_SAMPLE_SIZE = 200
+const DETECTION_MIN_RATIO = 0.6
+
+const NIL = '-'
+
+function decodePriority(priority) {
+  if (priority === undefined || priority === null) return { facility: null, severity: null }
+  const value = Number(priority)
+  if (!Number.isInteger(value) || value < 0 || value > 191) return { facility: null, severity: null }
+  return {
+    facility: SYSLOG_FACILITIES[value >> 3] || null,
+    severity: value % 8
+  }
+}
+
+/**
+ * Split the RFC 5424 STRUCTURED-DATA section from the message
+ * @param {string} rest - Text after MSGID
+ * @returns {{params: Object, message: string}}
+ */
+function splitStructuredData(rest) {
+  if (rest.startsWith(NIL)) {
+    return { params: {}, message: rest.slice(1).trim() }
+  }
+
+  const params = {}
+  let index = 0
+  while (rest[index] === '[') {
+    let end = index + 1
+    while (end < rest.length && rest[end] !== ']') {
+      end += rest[end] === '\\' ? 2 : 1
+    }
+    const element = rest.slice(index + 1, end)
+    for (const match of element.matchAll(SD_PARAM_REGEX)) {
+      params[match[1]] = match[2].replace(/\\(.)/g, '$1')
+    }
+    index = end + 1
+  }
+
+  return { params, message: rest.slice(index).trim() }
+}
+
+function isLevelWord(word) {
+  const bare = word.replace(/^\[(.*)\]$/, '$1')
+  return /^[A-Za-z]+$/.test(bare) && normalizeLevel(bare) !== null
+}
+
+/**
+ * Parse a single syslog line
+ * @param {string} line - Raw line
+ * @returns {Object|null} Parsed header fields and message, or null
+ */
+export function parseSyslogLine(line) {
+  const rfc5424 = line.match(RFC5424_REGEX)
+  if (rfc5424) {
+    const [, priority, , timestamp, host, app, pid, msgid, rest] = rfc5424
+    const { params, message } = splitStructuredData(rest)
+    return {
+      ...decodePriority(priority),
+      timestamp: timestamp === NIL ? null : timestamp,
+      host: host === NIL ? null : host,
+      app: app === NIL ? null : app,
+      pid: pid === NIL ? null : pid,
+      msgid: msgid === NIL ? null : msgid,
+      params,
+      message: message.replace(/^\uFEFF/, '') // BOM allowed by RFC 5424
+    }
+  }
+
+  const rfc3164 = line.match(RFC3164_REGEX)
+  // `Oct 19 10:00:00 ERROR worker: …` is a level, not a host
+  if (rfc3164 && !isLevelWord(rfc3164[3])) {
+    const [, priority, timestamp, host, app, pid, message] = rfc3164
+    return {
+      ...decodePriority(priority),
+      timestamp,
+      host,
+      app,
+      pid: pid || null,
+      msgid: null,
+      params: {},
+      message
+    }
+  }
+
+  return null
+}
+
+/**
+ * Check whether most non-empty lines are syslog
+ * @param {string[]} lines - Input lines
+ * @returns {boolean}
+ */
+export function looksLikeSyslog(lines) {
+  let sampled = 0
+  let matches = 0
+
+  for (const line of lines) {
+    if (!line.trim()) continue
+    sampled++
+    if (parseSyslogLine(line)) matches++
+    if (sampled >= DETECTION_SAMPLE_SIZE) break
+  }
+
+  return matches > 0 && matches / sampled >= DETECTION_MIN_RATIO
+}
+
+/**
+ * Map a parsed syslog line onto a LogRecord
+ * @param {Object} parsed - Output of parseSyslogLine
+ * @param {number} start - Index of the source line
+ * @returns {Object} LogRecord ({ lines, indexes, start, meta })
+ */
+export function syslogToLogRecord(parsed, start) {
+  const severityName = parsed.severity !== null ? SYSLOG_SEVERITIES[parsed.severity] : null
+  const level = normalizeLevel(severityName)
+  const message = parsed.app ? `${parsed.app}: ${parsed.message}` : parsed.message
+
+  return {
+    lines: [renderRecordHead({ level, message, fields: parsed.params })],
+    indexes: [start],
+    start,
+    meta: {
+      format: 'syslog',
+      level,
+      timestamp: parsed.timestamp,
+      fields: {
+        ...parsed.params,
+        host: parsed.host,
+        app: parsed.app,
+        pid: parsed.pid,
+        msgid: parsed.msgid,
+        facility: parsed.facility,
+        severity: severityName
+      }
+    }
+  }
+}
+
+/**
+ * Parse syslog input into LogRecords
+ * Indented continuation lines are appended to the previous record; other
+ * lines without a syslog header become plain text records.
+ * @param {string[]} lines - Input lines
+ * @returns {Object[]} LogRecords
+ */
+export function parseSyslog(lines) {
+  const records = []
+
+  lines.forEach((line, index) => {
+    if (!line.trim()) return
+
+    const parsed = parseSyslogLine(line)
+    if (parsed) {
+      records.push(syslogToLogRecord(parsed, index))
+      return
+    }
+
+    const previous = records[records.length - 1]
+    if (previous && /^\s/.test(line)) {
+      previous.lines.push(line)
+      previous.indexes.push(index)
+    } else {
+      records.push({ lines: [line], indexes: [index], start: index, meta: { format: 'text' } })
+    }
+  })
+
+  return records
+}
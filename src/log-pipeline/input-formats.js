@@ -0,0 +1,64 @@
+/**
+ * Input format detection and dispatch
+ *
+ * Structured inputs are parsed into LogRecords before event creation:
+ *   { lines: string[], indexes: number[], start: number, meta: { format, level, timestamp, fields } }
+ * `indexes` are the input lines the record was read from, `lines` its rendering.
+ * Plain text keeps going through the line-based event boundary heuristics.
+ * CI logs are a container format: log-processor splits them into steps and
+ * parses each step as regular input.
+ */
+
+import { looksLikeJsonLines, parseJsonLines } from './formats/json-lines.js'
+import { looksLikeLogfmt, parseLogfmt } from './formats/logfmt.js'
+import { looksLikeSyslog, parseSyslog } from './formats/syslog.js'
+import { looksLikeCiLog } from './formats/ci-log.js'
+
+export const INPUT_FORMATS = ['auto', 'text', 'json', 'syslog', 'logfmt', 'ci']
+
+/**
+ * Detect the format of the given input lines
+ * @param {string[]} lines - Input lines
+ * @returns {string} Detected format ('ci' | 'json' | 'syslog' | 'logfmt' | 'text')
+ */
+export function detectInputFormat(lines) {
+  // CI steps can print any of the formats below, so markers win
+  if (looksLikeCiLog(lines)) return 'ci'
+  if (looksLikeJsonLines(lines)) return 'json'
+  // Syslog messages often carry key=value payloads, so check it before logfmt
+  if (looksLikeSyslog(lines)) return 'syslog'
+  if (looksLikeLogfmt(lines)) return 'logfmt'
+  return 'text'
+}
+
+/**
+ * Resolve the requested format, falling back to detection for 'auto'
+ * @param {string[]} lines - Input lines
+ * @param {string} requested - Requested format (defaults to 'auto')
+ * @returns {string} Concrete format
+ */
+export function resolveInputFormat(lines, requested = 'auto') {
+  if (requested && requested !== 'auto' && INPUT_FORMATS.includes(requested)) {
+    return requested
+  }
+  return detectInputFormat(lines)
+}
+
+/**
+ * Parse lines of a structured format into LogRecords
+ * @param {string[]} lines - Input lines
+ * @param {string} format - Concrete (non-text) format
+ * @returns {Object[]} LogRecords
+ */
+export function parseStructuredRecords(lines, format) {
+  switch (format) {
+    case 'json':
+      return parseJsonLines(lines)
+    case 'syslog':
+      return parseSyslog(lines)
+    case 'logfmt':
+      return parseLogfmt(lines)
+    default:
+      throw new Error(`Unsupported input format: ${format}`)
+  }
+}
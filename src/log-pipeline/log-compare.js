@@ -0,0 +1,189 @@
+/**
+ * Log-to-log comparison
+ *
+ * Matches the clusters of two LogSlimmer results (before and after a change)
+ * by fingerprint and reports what the change brought: clusters that are new,
+ * clusters that vanished, and clusters whose frequency or latency moved.
+ * Frequencies are compared per parsed event, so a short log after the deploy
+ * can be compared with a long one before it.
+ */
+
+import { logPipelineConfig } from './pipeline-config.js'
+import { latencyBucketLabel, truncateLine } from './output-formatter.js'
+
+const RATE_CHANGE_RATIO = 2 // ×2 more or less often per event
+const MIN_OCCURRENCE_DELTA = 3 // ignore 1 -> 2 style changes
+const MIN_LATENCY_SAMPLES = 3 // events with a latency needed on both sides
+const SECTION_LIMIT = 15
+
+/**
+ * Merge the clusters of a result by fingerprint: clusters split by the
+ * similarity thresholds are the same error for the comparison
+ */
+function groupByFingerprint(result) {
+  const groups = new Map()
+  for (const cluster of result.clusters) {
+    const group = groups.get(cluster.fingerprint)
+    if (!group) {
+      groups.set(cluster.fingerprint, {
+        fingerprint: cluster.fingerprint,
+        ids: [cluster.id],
+        category: cluster.primaryCategory,
+        template: cluster.template[0] || '(no template)',
+        occurrences: cluster.occurrences,
+        score: cluster.score,
+        latencyBuckets: { ...cluster.latencyBuckets }
+      })
+      continue
+    }
+    group.ids.push(cluster.id)
+    group.occurrences += cluster.occurrences
+    group.score = Math.max(group.score, cluster.score)
+    for (const [label, count] of Object.entries(cluster.latencyBuckets)) {
+      group.latencyBuckets[label] = (group.latencyBuckets[label] || 0) + count
+    }
+  }
+  return groups
+}
+
+// Labels from the fastest to the slowest bucket
+function latencyLabels() {
+  const buckets = logPipelineConfig.latencyBuckets
+  return [latencyBucketLabel(-1), ...buckets.map((bucket) => latencyBucketLabel(bucket.minMs))]
+}
+
+/**
+ * Bucket holding the median event latency
+ * @returns {{label: string, rank: number, samples: number}|null} Null without enough samples
+ */
+function medianLatencyBucket(latencyBuckets) {
+  const labels = latencyLabels()
+  const samples = labels.reduce((sum, label) => sum + (latencyBuckets[label] || 0), 0)
+  if (samples < MIN_LATENCY_SAMPLES) return null
+
+  let seen = 0
+  for (const [rank, label] of labels.entries()) {
+    seen += latencyBuckets[label] || 0
+    if (seen * 2 >= samples) return { label, rank, samples }
+  }
+  return null
+}
+
+function describeChange(before, after, beforeEvents, afterEvents) {
+  const reasons = []
+  const beforeRate = before.occurrences / Math.max(beforeEvents, 1)
+  const afterRate = after.occurrences / Math.max(afterEvents, 1)
+  const ratio = afterRate / beforeRate
+  if (Math.abs(after.occurrences - before.occurrences) >= MIN_OCCURRENCE_DELTA &&
+    (ratio >= RATE_CHANGE_RATIO || ratio <= 1 / RATE_CHANGE_RATIO)) {
+    reasons.push({ kind: 'occurrences', before: before.occurrences, after: after.occurrences, ratio: +ratio.toFixed(2) })
+  }
+
+  const beforeLatency = medianLatencyBucket(before.latencyBuckets)
+  const afterLatency = medianLatencyBucket(after.latencyBuckets)
+  if (beforeLatency && afterLatency && beforeLatency.rank !== afterLatency.rank) {
+    reasons.push({
+      kind: 'latency',
+      before: beforeLatency.label,
+      after: afterLatency.label,
+      slower: afterLatency.rank > beforeLatency.rank
+    })
+  }
+  return reasons
+}
+
+function toEntry(group) {
+  const { fingerprint, ids, category, template, occurrences, score } = group
+  return { fingerprint, ids, category, template, occurrences, score }
+}
+
+const byScore = (a, b) => b.score - a.score || b.occurrences - a.occurrences
+
+/**
+ * Compare two LogSlimmer results
+ * @param {Object} before - runLogSlimmerPipeline() result of the log before the change
+ * @param {Object} after - runLogSlimmerPipeline() result of the log after the change
+ * @returns {{newClusters: Object[], vanishedClusters: Object[], changedClusters: Object[], unchanged: number,
+ *   before: {events: number, clusters: number}, after: {events: number, clusters: number}}}
+ *   Each list ranked by score, highest first
+ */
+export function compareLogResults(before, after) {
+  const beforeGroups = groupByFingerprint(before)
+  const afterGroups = groupByFingerprint(after)
+  const beforeEvents = before.stats?.eventsParsed || 0
+  const afterEvents = after.stats?.eventsParsed || 0
+
+  const newClusters = []
+  const changedClusters = []
+  let unchanged = 0
+  for (const [fingerprint, group] of afterGroups) {
+    const previous = beforeGroups.get(fingerprint)
+    if (!previous) {
+      newClusters.push(toEntry(group))
+      continue
+    }
+    const changes = describeChange(previous, group, beforeEvents, afterEvents)
+    if (changes.length) {
+      changedClusters.push({ ...toEntry(group), beforeIds: previous.ids, changes })
+    } else {
+      unchanged++
+    }
+  }
+
+  const vanishedClusters = Array.from(beforeGroups.values())
+    .filter((group) => !afterGroups.has(group.fingerprint))
+    .map(toEntry)
+
+  return {
+    newClusters: newClusters.sort(byScore),
+    vanishedClusters: vanishedClusters.sort(byScore),
+    changedClusters: changedClusters.sort(byScore),
+    unchanged,
+    before: { events: beforeEvents, clusters: before.clusters.length },
+    after: { events: afterEvents, clusters: after.clusters.length }
+  }
+}
+
+function formatEntry(entry) {
+  const occurrences = `${entry.occurrences} occurrence${entry.occurrences > 1 ? 's' : ''}`
+  return `- \`${entry.fingerprint}\` ${entry.category}, ${occurrences}, score ${entry.score}: ${truncateLine(entry.template)}`
+}
+
+function formatChange(change) {
+  if (change.kind === 'occurrences') {
+    const factor = change.ratio >= 1 ? `×${change.ratio}` : `÷${+(1 / change.ratio).toFixed(2)}`
+    return `${change.before} → ${change.after} occurrences (${factor} per event)`
+  }
+  return `median ${change.before} → ${change.after} (${change.slower ? 'slower' : 'faster'})`
+}
+
+function formatSection(title, entries, format) {
+  if (!entries.length) return ''
+  const lines = [`### ${title} (${entries.length})`, ...entries.slice(0, SECTION_LIMIT).map(format)]
+  if (entries.length > SECTION_LIMIT) {
+    lines.push(`- … (${entries.length - SECTION_LIMIT} more)`)
+  }
+  return lines.join('\n')
+}
+
+/**
+ * Render a comparison: new clusters first, as they are the likely regressions
+ * @param {Object} comparison - Output of compareLogResults()
+ * @returns {string} Markdown
+ */
+export function formatLogComparison(comparison) {
+  const { before, after, newClusters, vanishedClusters, changedClusters, unchanged } = comparison
+  const header = [
+    '## Log Comparison',
+    `Before: ${before.events} events, ${before.clusters} clusters · After: ${after.events} events, ${after.clusters} clusters · ${unchanged} unchanged`
+  ].join('\n')
+
+  const sections = [
+    formatSection('New clusters', newClusters, formatEntry),
+    formatSection('Changed clusters', changedClusters, (entry) =>
+      `${formatEntry(entry)}\n  - ${entry.changes.map(formatChange).join('; ')}`),
+    formatSection('Vanished clusters', vanishedClusters, formatEntry)
+  ].filter(Boolean)
+
+  return [header, ...(sections.length ? sections : ['No new, vanished or changed clusters.'])].join('\n\n')
+}
@@ -14,17 +14,31 @@ import {
 import { logPipelineConfig } from './pipeline-config.js'
 import { Compression } from '../utils/compression.js'
 import { normalizeFuzzyLatency } from '../utils/normalization-utils.js'
+import { findDiffs, foldDiffs } from '../utils/diff-folding.js'
+import { resolveInputFormat, parseStructuredRecords } from './input-formats.js'
+import { formatFieldPair, isVolatileField } from './formats/fields.js'
+import { splitContainerStreams } from './formats/container-streams.js'
+import { parseCiLog, ciAnnotationToLogRecord } from './formats/ci-log.js'
+import {
+  createStackTraceTracker,
+  foldStackTraces,
+  rewriteFramesWithSourceMaps,
+  collapseFrames,
+  jsTraceSignature
+} from './stack-traces.js'
 
 const NOISE_PATTERNS = logPipelineConfig.noisePatterns
 const MESSAGE_WEIGHTS = logPipelineConfig.messageWeights
 const LATENCY_BUCKETS = logPipelineConfig.latencyBuckets
 const STATUS_WEIGHTS = logPipelineConfig.statusWeights
+const LEVEL_WEIGHTS = logPipelineConfig.levelWeights
 const DEBUG_SCORE = logPipelineConfig.debugScore
 const KEEP_FILE_LINE_PREFIX = logPipelineConfig.keepFileLinePrefix
 const PRESERVE_TIMESTAMPS = logPipelineConfig.preserveTimestamps
 const KEEP_HUMAN_NOTES = logPipelineConfig.keepHumanNotes
 const STACK_PREVIEW_HEAD = logPipelineConfig.stackFramePreviewHead
 const STACK_PREVIEW_TAIL = logPipelineConfig.stackFramePreviewTail
+const DIFF_KEEP_FIRST_HUNK = logPipelineConfig.diffKeepFirstHunk
 
 export function redactSensitiveData(lines) {
   return lines.map(line => {
@@ -101,13 +115,20 @@ export function foldStackTrace(lines) {
 
   const flushBuffer = () => {
     if (buffer.length > 0) {
-      const signature = stackTraceSignature(buffer)
+      const signature = jsTraceSignature(buffer) || stackTraceSignature(buffer)
       const headCount = Math.max(0, STACK_PREVIEW_HEAD)
       const tailCount = Math.max(0, STACK_PREVIEW_TAIL)
       const keepAll = buffer.length <= headCount + tailCount || (headCount === 0 && tailCount === 0)
 
+      // Vendor/runtime runs become one note each, app frames keep a head/tail preview
+      const collapsed = keepAll ? null : collapseFrames(buffer, (line) => line.trim(), 'js')
+
       if (keepAll) {
         result.push(...buffer)
+      } else if (collapsed) {
+        const indent = buffer[0].match(/^\s*/)[0]
+        result.push(`[STACKTRACE ${signature}] (${buffer.length} frames)`)
+        collapsed.forEach((entry) => result.push(entry.note ? `${indent}${entry.note}` : entry.frame))
       } else {
         const head = buffer.slice(0, headCount)
         const tail = tailCount > 0 ? buffer.slice(-tailCount) : []
@@ -169,9 +190,43 @@ export function applyPlaceholders(line, variables) {
   return transformed
 }
 
-export function buildTemplate(lines) {
+/**
+ * Turn volatile fields of a structured record into named variables
+ * The pair is removed from the template so only stable keys remain there.
+ * @param {string} line - Rendered head line of the record
+ * @param {Object} fields - Record fields
+ * @param {Map} variables - Variables map to populate
+ * @returns {string} Line without the volatile pairs
+ */
+export function applyFieldPlaceholders(line, fields, variables) {
+  let transformed = line
+
+  for (const [key, value] of Object.entries(fields)) {
+    if (!isVolatileField(key, value)) continue
+    // Lines are redacted before templating, so match the redacted pair
+    const [pair] = redactSensitiveData([formatFieldPair(key, value)])
+    // Whole pair only: `id=5` must not eat the end of `user_id=5`
+    const pairRegex = new RegExp(`(^|\\s)${pair.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?=\\s|$)`)
+    if (!pairRegex.test(transformed)) continue
+
+    transformed = transformed.replace(pairRegex, '')
+    const placeholder = `{${key}}`
+    if (!variables.has(placeholder)) {
+      variables.set(placeholder, new Set())
+    }
+    variables.get(placeholder).add(pair.slice(key.length + 1))
+  }
+
+  return transformed.trim()
+}
+
+export function buildTemplate(lines, fields = null) {
   const variables = new Map()
-  const templateLines = lines.map((line) => applyPlaceholders(line, variables))
+  const templateLines = lines.map((line, index) => {
+    // Fields are rendered on the head line of structured records
+    const fieldAware = fields && index === 0 ? applyFieldPlaceholders(line, fields, variables) : line
+    return applyPlaceholders(fieldAware, variables)
+  })
   return { templateLines, variables }
 }
 
@@ -182,7 +237,7 @@ export function structuralSignature(lines) {
     .join('\n')
 }
 
-export function lineScore(line, debugCollector) {
+export function lineScore(line, debugCollector, context = {}) {
   let score = 0
   const record = (delta, reason) => {
     score += delta
@@ -196,6 +251,11 @@ export function lineScore(line, debugCollector) {
     return score // Return early or accumulate? Usually story marker is high value enough.
   }
 
+  // Level reported by structured inputs (JSON lines, etc.)
+  if (context.level && LEVEL_WEIGHTS[context.level] !== undefined) {
+    record(LEVEL_WEIGHTS[context.level], `level:${context.level}`)
+  }
+
   const statusMatch = line.match(/\b([1-5]\d{2})\b/)
   if (statusMatch) {
     const statusCode = statusMatch[1]
@@ -234,18 +294,21 @@ export function lineScore(line, debugCollector) {
   return score
 }
 
-export function computeEventScore(lines, debug = DEBUG_SCORE) {
+export function computeEventScore(lines, debug = DEBUG_SCORE, context = {}) {
   let score = 0
   const urls = new Set()
   const numbers = new Set()
   const tokens = new Set()
   const debugLines = debug ? [] : null
+  let headScored = false
 
   for (const line of lines) {
     if (isNoise(line)) continue
 
     const lineDebug = debug ? [] : null
-    const delta = lineScore(line, lineDebug)
+    // The record level describes its head line only
+    const delta = lineScore(line, lineDebug, headScored ? {} : context)
+    headScored = true
     score += delta
 
     if (debug && debugLines) {
@@ -325,59 +388,191 @@ export function eventBoundary(line, hasCurrent) {
   return false
 }
 
-export function createEvent(lines) {
+/**
+ * Create an event from its raw lines
+ * @param {string[]} lines - Raw lines of the event (rendered record lines for structured inputs)
+ * @param {Object} meta - Record metadata from structured inputs (format, level, timestamp, fields)
+ * @param {Object} options - { sourceMapResolver } to rewrite minified JS frames
+ * @param {string[]} [originalLines] - Input lines the event was read from, kept for expansion
+ * @returns {Object|null} Event or null when every line is noise
+ */
+export function createEvent(lines, meta = {}, options = {}, originalLines = lines) {
   const filtered = lines.filter((line) => !isNoise(line) && line.trim() !== '')
   if (filtered.length === 0) {
     return null
   }
 
-  // Apply sensitive data redaction first
-  const redactedLines = redactSensitiveData(filtered)
+  // Minified frames are mapped back before redaction can mangle them
+  const mappedLines = rewriteFramesWithSourceMaps(filtered, options.sourceMapResolver)
 
-  const foldedLines = foldStackTrace(redactedLines)
-  const score = computeEventScore(foldedLines)
-  const { templateLines, variables } = buildTemplate(foldedLines)
-  const signature = structuralSignature(foldedLines)
+  // Apply sensitive data redaction first
+  const redactedLines = redactSensitiveData(mappedLines)
+
+  // Unified diffs become one summary line per file
+  const { lines: diffFoldedLines, diffs } = foldDiffs(redactedLines, { keepFirstHunk: DIFF_KEEP_FIRST_HUNK })
+
+  // Python/JVM/Go traces are folded per kind, remaining frames the JS way
+  const { lines: foldedLines, traces } = foldStackTraces(diffFoldedLines, foldStackTrace)
+  const score = computeEventScore(foldedLines, DEBUG_SCORE, { level: meta.level })
+  const { templateLines, variables } = buildTemplate(foldedLines, meta.fields)
+  // Recognized traces are signed by exception and app frame. Structured
+  // records cluster on their literal template: volatile keys are already
+  // placeholders and the short messages left would collide as X X X
+  let signature
+  if (traces.length) {
+    signature = traces.map((trace) => trace.signature).join('\n')
+  } else if (meta.fields) {
+    signature = templateLines.map((line) => normalizeLine(line)).join('\n')
+  } else {
+    signature = structuralSignature(foldedLines)
+  }
   const { categories, primaryCategory } = categorizeEvent(foldedLines)
 
   return {
-    _compressedOriginalLines: Compression.compress(lines.join('\n')),
+    _compressedOriginalLines: Compression.compress(originalLines.join('\n')),
     get originalLines() {
       const decompressed = Compression.decompress(this._compressedOriginalLines)
       return decompressed ? decompressed.split('\n') : []
     },
     processedLines: foldedLines,
+    stackTraces: traces,
+    diffs,
     templateLines,
     variables,
     signature,
     score,
     categories,
-    primaryCategory
+    primaryCategory,
+    format: meta.format || 'text',
+    source: meta.source || null,
+    step: meta.step || null,
+    level: meta.level || null,
+    timestamp: meta.timestamp || null,
+    fields: meta.fields || null
   }
 }
 
-export function splitIntoEvents(inputText) {
-  const lines = inputText.split(newlineRegex)
-  const events = []
+/**
+ * Group plain text lines into LogRecords using the event boundary heuristics
+ * @param {string[]} lines - Input lines
+ * @returns {Object[]} LogRecords
+ */
+export function groupTextRecords(lines) {
+  const records = []
   let current = []
-  let order = 0
+  let indexes = []
+  let start = 0
+  const traceTracker = createStackTraceTracker()
+  // Diff lines (`+  throw new Error(…)`) must not start events of their own
+  const insideDiff = new Set()
+  findDiffs(lines).forEach((diff) => {
+    for (let index = diff.start + 1; index < diff.end; index++) insideDiff.add(index)
+  })
 
-  for (const line of lines) {
-    if (eventBoundary(line, current.length > 0)) {
-      const event = createEvent(current)
-      if (event) {
-        event.order = order++
-        events.push(event)
-      }
+  lines.forEach((line, index) => {
+    const insideTrace = traceTracker.continues(lines, index)
+    if (!insideTrace && !insideDiff.has(index) && eventBoundary(line, current.length > 0)) {
+      records.push({ lines: current, indexes, start, meta: { format: 'text' } })
       current = []
+      indexes = []
+      start = index
     }
     current.push(line)
+    indexes.push(index)
+  })
+
+  records.push({ lines: current, indexes, start, meta: { format: 'text' } })
+  return records
+}
+
+/**
+ * Parse the lines of a single stream into LogRecords
+ * @param {string[]} lines - Stream lines
+ * @param {string} requestedFormat - Requested input format
+ * @param {boolean} allowCi - Whether the lines may be a CI log (false for nested streams)
+ * @returns {Object[]} LogRecords
+ */
+function parseRecords(lines, requestedFormat, allowCi = true) {
+  const format = resolveInputFormat(lines, requestedFormat)
+  if (format === 'ci') {
+    return allowCi ? parseCiRecords(lines) : groupTextRecords(lines)
   }
+  return format === 'text' ? groupTextRecords(lines) : parseStructuredRecords(lines, format)
+}
 
-  const finalEvent = createEvent(current)
-  if (finalEvent) {
-    finalEvent.order = order++
-    events.push(finalEvent)
+/**
+ * Parse independent streams and merge their records back into input order
+ * @param {Array<{lines: string[], indexes: number[]}>} streams - Streams with original line indexes
+ * @param {string} requestedFormat - Requested input format
+ * @param {Function} streamMeta - Returns the meta added to every record of a stream
+ * @returns {Object[]} LogRecords in input order
+ */
+function parseStreamRecords(streams, requestedFormat, streamMeta) {
+  const records = []
+
+  for (const stream of streams) {
+    for (const record of parseRecords(stream.lines, requestedFormat, false)) {
+      records.push({
+        ...record,
+        indexes: record.indexes.map((index) => stream.indexes[index] ?? index),
+        start: stream.indexes[record.start] ?? record.start,
+        meta: { ...record.meta, ...streamMeta(stream) }
+      })
+    }
+  }
+
+  return records.sort((a, b) => a.start - b.start)
+}
+
+/**
+ * Parse a CI log step by step; annotations become records of their own
+ * @param {string[]} lines - Input lines
+ * @returns {Object[]} LogRecords in input order, tagged with their step
+ */
+function parseCiRecords(lines) {
+  const { steps, annotations } = parseCiLog(lines)
+  const annotationIndexes = new Set(annotations.map((annotation) => annotation.index))
+
+  const streams = steps.map((step) => {
+    const kept = step.indexes
+      .map((index, position) => ({ index, line: step.lines[position] }))
+      .filter(({ index }) => !annotationIndexes.has(index))
+    return { name: step.name, lines: kept.map(({ line }) => line), indexes: kept.map(({ index }) => index) }
+  })
+
+  const records = parseStreamRecords(streams, 'auto', (stream) => ({ step: stream.name }))
+  records.push(...annotations.map(ciAnnotationToLogRecord))
+  return records.sort((a, b) => a.start - b.start)
+}
+
+/**
+ * Split raw input into events
+ * docker compose / kubectl --prefix output is demultiplexed first and every
+ * event carries its container in `source`; CI log events carry their `step`.
+ * @param {string} inputText - Raw log text
+ * @param {Object} options - { format: 'auto' | 'text' | 'json' | 'syslog' | 'logfmt' | 'ci', sourceMapResolver }
+ * @returns {Object[]} Events in input order
+ */
+export function splitIntoEvents(inputText, options = {}) {
+  const lines = inputText.split(newlineRegex)
+  const streams = splitContainerStreams(lines)
+  // Each container is parsed on its own so multi-line events of one
+  // container are not cut by another container's lines
+  const records = streams
+    ? parseStreamRecords(streams, options.format, (stream) => ({ source: stream.source }))
+    : parseRecords(lines, options.format)
+  const events = []
+  let order = 0
+
+  for (const record of records) {
+    // Expansion returns the input lines, not the rendering of structured records
+    const originalLines = record.indexes.map((index) => lines[index])
+    const event = createEvent(record.lines, record.meta, options, originalLines)
+    if (event) {
+      event.order = order++
+      event.line = record.start + 1 // 1-based input line where the record starts
+      events.push(event)
+    }
   }
 
   return events
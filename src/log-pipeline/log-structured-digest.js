@@ -2,14 +2,45 @@
  * Log Structured Digest - Structured Facts Extraction
  *
  * Converts verbose logs into structured facts:
- * - FileSummary: files + actions
+ * - FileSummary: files + actions + change history
  * - ErrorSummary: normalized errors + resolutions
  * - PlanSummary: decisions + milestones
  *
  * Result: 80%+ compression maintaining 100% critical information
  */
 
+import { foldDiffs, parseDiffSummary } from '../utils/diff-folding.js'
+
 const TIMELINE_TURN_LIMIT = 200
+const FILE_CONTEXT_CHARS = 200 // text around a file mention scanned for its status and actions
+const FIX_STEP_LIMIT = 5 // edits/commands kept per error between its last occurrence and a success
+const FILE_HISTORY_LIMIT = 50 // changes kept per file
+const FILE_HISTORY_DIGEST_LIMIT = 10 // files listed by churn in the digest
+const REASON_TURN_WINDOW = 5 // how far back an agent message still explains a change
+const REASON_CHARS = 100
+
+// Error lifecycle: steps and success signals in normalized transcripts
+const TOOL_STEP_REGEX = /^TOOL:\s*([^\s(]+)\((.*?)\) → (succeeded|failed|no result)/
+const EDIT_TOOL_REGEX = /edit|write|patch|replace|create/i
+const COMMAND_TOOL_REGEX = /bash|shell|exec|command|terminal|run/i
+const READ_ONLY_COMMAND_REGEX = /^(?:ls|cat|grep|rg|find|head|tail|pwd|echo|wc|tree|git (?:status|log|diff|show))\b/
+const CHECK_COMMAND_REGEX = /\b(?:test|tests|spec|jest|vitest|pytest|mocha|build|lint|tsc|check|compile|cargo|make|gradle|mvn)\b/i
+const EDIT_TEXT_REGEX = /\b(?:updated|changed|edited|modified|fixed|patched|rewrote|refactored)\b/i
+const SUCCESS_TEXT_REGEX = /\b(?:fixed|resolved|(?:tests?|build|checks?|specs?|lint) (?:now )?(?:pass(?:es|ed)|succeed(?:s|ed)|(?:is |are )?green)|all (?:tests|checks) pass|passes now|works now|no (?:more )?errors)\b|✅/i
+const NOT_SUCCESS_TEXT_REGEX = /\b(?:not|still|never|fail\w*)\b.{0,20}\b(?:fixed|resolved|pass\w*|work\w*)|n't\b.{0,20}\b(?:fixed|resolved|pass\w*|work\w*)/i
+
+// File history: what a turn did to a file, by priority
+const CHANGE_VERB_REGEXES = [
+  ['reverted', /\b(?:revert(?:ed|ing)?|restored|rolled back|undid)\b/i],
+  ['deleted', /\b(?:deleted|removed)\b/i],
+  ['created', /\b(?:created|added|new file)\b/i],
+  ['edited', /\b(?:updated|changed|edited|modified|fixed|patched|rewrote|refactored|renamed)\b/i]
+]
+const PLANNED_CHANGE_REGEX = /\b(?:I'll|I will|let me|let's|going to|need to|should|plan to|will)\b/i
+const CHANGE_PREPOSITION_REGEX = /\b(?:from|in|to|inside|within)\b/i // "removed the import from x" edits x
+const DIFF_DETAIL_REGEX = /\+(\d+) -(\d+)\b/
+const REMOVE_COMMAND_REGEX = /^(?:git )?rm\s+(?:-\w+\s+)*(.+)$/
+const RESTORE_COMMAND_REGEX = /^git (?:checkout|restore)\b.*?(?:--\s+|\s)((?:[^\s-][^\s]*\.\w+\s*)+)$/
 
 /**
  * File summary structure
@@ -22,6 +53,8 @@ export class FileSummary {
     this.status = null   // 'created', 'modified', 'removed', 'touched'
     this.firstSeen = null // Index of first mention
     this.lastSeen = null  // Index of last mention
+    this.sessions = []    // Sessions mentioning the file (multi-session recaps)
+    this.history = []     // { turn, action, diff, reason } per change, oldest first
   }
 
   addAction(action) {
@@ -30,13 +63,37 @@ export class FileSummary {
     }
   }
 
+  addSession(session) {
+    if (session !== null && !this.sessions.includes(session)) {
+      this.sessions.push(session)
+    }
+  }
+
+  /**
+   * Record a change to the file; the status follows the latest change
+   * @param {{turn: number, action: string, diff: ?{added: number, removed: number}, reason: ?string, session?: number}} change
+   */
+  addChange(change) {
+    const created = this.history.some(entry => entry.action === 'created')
+    this.history = [...this.history, change].slice(-FILE_HISTORY_LIMIT)
+    if (change.action === 'deleted') this.status = 'removed'
+    else this.status = change.action === 'created' || created ? 'created' : 'modified'
+  }
+
+  /** Lines added plus lines removed over the recorded changes */
+  get churn() {
+    return this.history.reduce((total, { diff }) => total + (diff ? diff.added + diff.removed : 0), 0)
+  }
+
   normalize() {
     // Clean duplicates and compact
     return {
       path: this.path,
       status: this.status || 'modified',
       actions: this.actions.slice(0, 2), // Max 2 main actions
-      errors: this.errors.slice(0, 1)    // Max 1 main error
+      errors: this.errors.slice(0, 1),   // Max 1 main error
+      ...(this.sessions.length ? { sessions: this.sessions } : {}),
+      ...(this.history.length ? { history: this.history.slice(-8), changes: this.history.length, churn: this.churn } : {})
     }
   }
 }
@@ -48,11 +105,50 @@ export class ErrorSummary {
   constructor(signature, text) {
     this.signature = signature  // normalized hash of message
     this.messages = [text]      // Message variations
-    this.firstSeenAt = null
-    this.resolvedAt = null
+    this.firstSeenAt = null     // Turn of the first / last occurrence
+    this.lastSeenAt = null
+    this.occurrences = 0        // Turns showing the error
+    this.resolvedAt = null      // Turn of the success signal after the last occurrence
+    this.resolvedBy = []        // Edits/commands between the last occurrence and that signal
+    this.pendingSteps = []      // Edits/commands since the last occurrence, no success yet
+    this.recurrences = 0        // Times it came back after being resolved
     this.rootCause = null
     this.fixFiles = []
     this.frequency = 1
+    this.introducedIn = null // Sessions that first showed / fixed the error (multi-session recaps)
+    this.resolvedIn = null
+  }
+
+  get status() {
+    if (this.resolvedAt !== null) return 'resolved'
+    return this.recurrences > 0 ? 'recurring' : 'open'
+  }
+
+  recordOccurrence(turn, session = null) {
+    if (this.firstSeenAt === null) {
+      this.firstSeenAt = turn
+      this.introducedIn = this.introducedIn ?? session
+    }
+    this.lastSeenAt = turn
+    this.occurrences++
+    if (this.resolvedAt !== null) {
+      this.recurrences++
+      this.resolvedAt = null
+      this.resolvedIn = null
+      this.resolvedBy = []
+    }
+    this.pendingSteps = []
+  }
+
+  addFixStep({ turn, kind, text }) {
+    this.pendingSteps = [...this.pendingSteps, { turn, kind, text }].slice(-FIX_STEP_LIMIT)
+  }
+
+  resolve(turn, session = null) {
+    this.resolvedAt = turn
+    this.resolvedIn = session
+    this.resolvedBy = this.pendingSteps
+    this.pendingSteps = []
   }
 
   addOccurrence(text) {
@@ -74,7 +170,14 @@ export class ErrorSummary {
       message: this.messages[0], // First occurrence is clearest
       frequency: this.frequency,
       resolved: this.resolvedAt !== null,
-      fixes: this.fixFiles.slice(0, 2) // Max 2 files that fixed
+      status: this.status,
+      firstSeen: this.firstSeenAt,
+      lastSeen: this.lastSeenAt,
+      occurrences: this.occurrences,
+      resolvedAt: this.resolvedAt,
+      resolvedBy: this.resolvedBy.slice(-2), // Steps right before the fix
+      fixes: this.fixFiles.slice(0, 2), // Max 2 files that fixed
+      ...(this.introducedIn !== null ? { introducedIn: this.introducedIn, resolvedIn: this.resolvedIn } : {})
     }
   }
 }
@@ -123,6 +226,65 @@ export class StructuredDigestExtractor {
     this.plans = new PlanSummary()
     this.timeline = [] // events in chronological order
     this.enrichedTurns = [] // turns enriched with metadata
+    this.turnOffset = 0 // turns and lines already extracted by a previous run
+    this.lineOffset = 0
+    this.lineCount = 0
+    this.contextTail = '' // end of the previously extracted text, for file mentions near the boundary
+    this.session = null // number of the transcript being extracted when merging several sessions
+    this.errorLines = [] // { line, signature } of each error line in the text being extracted
+    this.lastReason = null // { turn, text } of the latest agent message, explaining the changes after it
+  }
+
+  /**
+   * Serializable snapshot of the extracted facts, to resume with fromState()
+   * @returns {Object}
+   */
+  toState() {
+    return {
+      turnCount: this.turnOffset + this.turns.length,
+      lineCount: this.lineOffset + this.lineCount,
+      contextTail: this.contextTail,
+      lastReason: this.lastReason,
+      files: Array.from(this.files.values()).map(file => ({ ...file })),
+      errors: Array.from(this.errors.values()).map(error => ({ ...error })),
+      plans: {
+        docsTouched: Array.from(this.plans.docsTouched),
+        milestones: this.plans.milestones,
+        decisions: this.plans.decisions,
+        nextSteps: this.plans.nextSteps
+      },
+      timeline: this.timeline
+    }
+  }
+
+  /**
+   * Continue a previous extraction with the turns that followed it: facts
+   * from the new text are merged into the restored ones, turn and line
+   * indexes continue where the previous run stopped
+   * @param {Object} state - Result of toState()
+   * @param {string} text - New text only
+   * @param {Array} turns - Turns of the new text
+   * @returns {StructuredDigestExtractor}
+   */
+  static fromState(state, text, turns = []) {
+    const extractor = new StructuredDigestExtractor(text, turns)
+    extractor.turnOffset = state.turnCount || 0
+    extractor.lineOffset = state.lineCount || 0
+    extractor.contextTail = state.contextTail || ''
+    extractor.lastReason = state.lastReason || null
+    for (const file of state.files || []) {
+      extractor.files.set(file.path, Object.assign(new FileSummary(file.path), file))
+    }
+    for (const error of state.errors || []) {
+      extractor.errors.set(error.signature, Object.assign(new ErrorSummary(error.signature, error.messages[0]), error))
+    }
+    const plans = state.plans || {}
+    extractor.plans.docsTouched = new Set(plans.docsTouched || [])
+    extractor.plans.milestones = plans.milestones || []
+    extractor.plans.decisions = plans.decisions || []
+    extractor.plans.nextSteps = plans.nextSteps || []
+    extractor.timeline = state.timeline || []
+    return extractor
   }
 
   /**
@@ -133,15 +295,20 @@ export class StructuredDigestExtractor {
     const parseableContent = this.turns.length > 0
       ? this.turns.map(t => t.text).join('\n\n')
       : this.text
+    this.lineCount = parseableContent.split('\n').length
+    const previousTail = this.contextTail
+    this.contextTail = (previousTail ? `${previousTail}\n\n${parseableContent}` : parseableContent).slice(-FILE_CONTEXT_CHARS)
 
     // 2. Extract facts by type
-    this._extractFiles(parseableContent)
+    this._extractFiles(parseableContent, previousTail)
     this._extractErrors(parseableContent)
     this._extractPlans(parseableContent)
     this._extractTimeline(parseableContent)
 
     // 3. Enrich turns with metadata
     this._enrichTurnsWithMetadata()
+    this._trackErrorLifecycle()
+    this._trackFileHistory()
 
     return this._buildDigest()
   }
@@ -166,11 +333,12 @@ export class StructuredDigestExtractor {
 
       return {
         ...turn,
-        idx,
+        idx: this.turnOffset + idx,
         filesReferenced,
         errorSignatures,
         milestoneTags,
-        timestamp: idx // relative order for reconstruction
+        timestamp: this.turnOffset + idx, // relative order for reconstruction
+        ...(this.session !== null ? { session: this.session } : {})
       }
     })
   }
@@ -293,13 +461,16 @@ export class StructuredDigestExtractor {
    * Normalize file path for consistency
    */
   _normalizeFilePath(path) {
-    return path.replace(/\\/g, '/').toLowerCase()
+    // Case is kept: `Button.tsx` and `button.tsx` can both exist
+    return path.replace(/\\/g, '/').replace(/^[`'"(\[]+|[`'"),:\]]+$/g, '')
   }
 
   /**
    * Extracts mentioned files and their actions
+   * @param {string} content - Text to scan
+   * @param {string} [previousTail] - End of the text extracted by a previous run
    */
-  _extractFiles(content) {
+  _extractFiles(content, previousTail = '') {
     const lines = content.split('\n')
 
     // File patterns
@@ -333,32 +504,38 @@ export class StructuredDigestExtractor {
       }
     })
 
-    // Associate actions with files
+    // Associate actions with files. Files restored from a previous run of the
+    // same transcript were already read at their first mention; a new session
+    // reads them again and merges what it finds
+    const searchable = previousTail ? `${previousTail}\n\n${content}` : content
+    const contentStart = searchable.length - content.length
     foundFiles.forEach(file => {
-      if (!this.files.has(file)) {
-        this.files.set(file, new FileSummary(file))
-      }
+      const known = this.files.has(file)
+      if (known && this.session === null) return
+      if (!known) this.files.set(file, new FileSummary(file))
 
       const fileSummary = this.files.get(file)
+      fileSummary.addSession(this.session)
 
       // Look for actions near the file
       const fileIndex = content.indexOf(file)
       if (fileIndex !== -1) {
-        const context = content.substring(
-          Math.max(0, fileIndex - 200),
-          Math.min(content.length, fileIndex + 200)
+        const mentionIndex = contentStart + fileIndex
+        const context = searchable.substring(
+          Math.max(0, mentionIndex - FILE_CONTEXT_CHARS),
+          Math.min(searchable.length, mentionIndex + FILE_CONTEXT_CHARS)
         )
 
-        // Detect status
+        // Detect status (a plain mention in a later session keeps the earlier status)
+        let status = 'touched'
         if (context.match(/(?:Added|Created|new|criada)/i)) {
-          fileSummary.status = 'created'
+          status = 'created'
         } else if (context.match(/(?:Deleted|Removed|removed|removida)/i)) {
-          fileSummary.status = 'removed'
+          status = 'removed'
         } else if (context.match(/(?:Modified|Updated|edited|atualizada)/i)) {
-          fileSummary.status = 'modified'
-        } else {
-          fileSummary.status = 'touched'
+          status = 'modified'
         }
+        if (!known || status !== 'touched') fileSummary.status = status
 
         // Extract concise action
         Object.entries(actionPatterns).forEach(([action, pattern]) => {
@@ -384,31 +561,34 @@ export class StructuredDigestExtractor {
       /(?:❌|⚠️|⛔).*?([^\n]+)/gi
     ]
 
-    const errorLines = lines.filter((line, idx) => {
-      const isError = errorPatterns.some(pattern => pattern.test(line))
-      if (isError) {
-        this.timeline.push({
-          type: 'error',
-          idx,
-          text: line.substring(0, 100)
-        })
-      }
-      return isError
+    const errorLines = []
+    lines.forEach((line, idx) => {
+      if (!errorPatterns.some(pattern => pattern.test(line))) return
+      this.timeline.push({
+        type: 'error',
+        idx: this.lineOffset + idx,
+        text: line.substring(0, 100)
+      })
+      errorLines.push({ errorLine: line, lineIdx: idx })
     })
 
-    errorLines.forEach((errorLine, idx) => {
+    this.errorLines = []
+    errorLines.forEach(({ errorLine, lineIdx }) => {
       // Normalize message (remove paths, timestamps)
       const normalized = this._normalizeError(errorLine)
       const signature = this._hashError(normalized)
+      this.errorLines.push({ line: lineIdx, signature })
 
       if (!this.errors.has(signature)) {
-        this.errors.set(signature, new ErrorSummary(signature, errorLine))
+        const errorSummary = new ErrorSummary(signature, errorLine)
+        errorSummary.introducedIn = this.session
+        this.errors.set(signature, errorSummary)
       } else {
         this.errors.get(signature).addOccurrence(errorLine)
       }
 
       // Look for solution in following lines
-      for (let i = idx + 1; i < Math.min(idx + 10, lines.length); i++) {
+      for (let i = lineIdx + 1; i < Math.min(lineIdx + 10, lines.length); i++) {
         const line = lines[i]
         if (line.match(/(?:Fixed|fixed|resolved|corrected|ajustado)/i)) {
           // Extract file that was "fixed"
@@ -422,6 +602,238 @@ export class StructuredDigestExtractor {
     })
   }
 
+  /**
+   * Follow each error through the turns: where it first and last appeared,
+   * the edits and commands after its last occurrence, and the turn whose
+   * success signal (passing check, "fixed", "works now") resolved it
+   */
+  _trackErrorLifecycle() {
+    const signaturesByLine = new Map()
+    this.errorLines.forEach(({ line, signature }) => {
+      if (!signaturesByLine.has(line)) signaturesByLine.set(line, new Set())
+      signaturesByLine.get(line).add(signature)
+    })
+
+    // Turns were joined with a blank line between them
+    let line = 0
+    this.enrichedTurns.forEach(turn => {
+      const text = turn.text || ''
+      const turnLines = text.split('\n')
+      const lastErrorLine = new Map() // signature -> last line of the turn showing it
+      turnLines.forEach((_, offset) => {
+        signaturesByLine.get(line + offset)?.forEach(signature => lastErrorLine.set(signature, offset))
+      })
+      line += turnLines.length + 1
+
+      const session = turn.session ?? null
+      lastErrorLine.forEach((offset, signature) => {
+        const errorSummary = this.errors.get(signature)
+        errorSummary.recordOccurrence(turn.idx, session)
+        // "Error: … / Fixed x by …" in the same message
+        const rest = turnLines.slice(offset + 1).join('\n')
+        if (rest.trim() && !text.startsWith('USER:') && this._isSuccessSignal(rest, null)) {
+          const step = this._describeFixStep({ ...turn, text: `AGENT: ${rest}`, filesReferenced: this._extractFilesFromText(rest) })
+          if (step) errorSummary.addFixStep(step)
+          errorSummary.resolve(turn.idx, session)
+        }
+      })
+
+      const step = this._describeFixStep(turn)
+      const success = this._isSuccessSignal(text, step)
+      if (!step && !success) return
+      this.errors.forEach((errorSummary, signature) => {
+        if (lastErrorLine.has(signature) || errorSummary.lastSeenAt === null || errorSummary.resolvedAt !== null) return
+        // A rerun of the failed call that succeeds resolves it too
+        const rerun = Boolean(step?.call && step.success && errorSummary.messages[0].startsWith(`TOOL: ${step.call} → `))
+        const resolves = success || rerun
+        // The check that confirms the fix is the pointer, not one of the steps
+        if (step && (step.kind === 'edit' || !resolves)) errorSummary.addFixStep(step)
+        if (resolves) errorSummary.resolve(turn.idx, session)
+      })
+    })
+  }
+
+  /**
+   * Edit or command in a turn, as { turn, kind, text, success } (plus the
+   * `call` and whether it is a `check` for tool calls)
+   */
+  _describeFixStep(turn) {
+    const text = turn.text || ''
+    const tool = text.match(TOOL_STEP_REGEX)
+    if (tool) {
+      const [, name, target, outcome] = tool
+      const label = `${name} ${target}`.trim().substring(0, 80)
+      if (COMMAND_TOOL_REGEX.test(name)) {
+        if (READ_ONLY_COMMAND_REGEX.test(target)) return null
+        const check = CHECK_COMMAND_REGEX.test(target)
+        return { turn: turn.idx, kind: 'command', text: label, success: outcome === 'succeeded', check, call: `${name}(${target})` }
+      }
+      if (EDIT_TOOL_REGEX.test(name) && outcome !== 'failed') {
+        return { turn: turn.idx, kind: 'edit', text: label, success: outcome === 'succeeded', call: `${name}(${target})` }
+      }
+      return null
+    }
+    if (text.startsWith('AGENT:') && turn.filesReferenced?.length && EDIT_TEXT_REGEX.test(text)) {
+      const verb = text.match(EDIT_TEXT_REGEX)[0]
+      const label = `${verb[0].toUpperCase()}${verb.slice(1).toLowerCase()} ${turn.filesReferenced.slice(0, 2).join(', ')}`
+      return { turn: turn.idx, kind: 'edit', text: label, success: true }
+    }
+    return null
+  }
+
+  _isSuccessSignal(text, step) {
+    if (step?.kind === 'command') return step.success && step.check
+    // Users ask for passing tests more often than they report them
+    if (TOOL_STEP_REGEX.test(text) || text.startsWith('USER:')) return false
+    return SUCCESS_TEXT_REGEX.test(text) && !NOT_SUCCESS_TEXT_REGEX.test(text)
+  }
+
+  /**
+   * Chronological changes per file: the turn, what was done (created,
+   * edited, reverted, deleted), the diff size when a tool call or patch
+   * gives it, and the agent message that explains it
+   */
+  _trackFileHistory() {
+    this.enrichedTurns.forEach(turn => {
+      const text = (turn.text || '').trim()
+      if (!text) return
+      // A new request makes the previous explanation stale
+      if (text.startsWith('USER:')) {
+        this.lastReason = null
+        return
+      }
+      if (text.startsWith('AGENT:')) {
+        const sentence = this._firstSentence(text.replace(/^AGENT:\s*/, ''))
+        if (sentence) this.lastReason = { turn: turn.idx, text: sentence }
+      }
+      const reason = this.lastReason && turn.idx - this.lastReason.turn <= REASON_TURN_WINDOW ? this.lastReason.text : null
+
+      const fromTool = text.startsWith('TOOL:')
+      const changes = fromTool ? this._toolChanges(text) : this._textChanges(text)
+      changes.forEach(({ path, action, diff, sentence }) => {
+        const file = this._fileFor(path)
+        const last = file.history[file.history.length - 1]
+        // "I've updated x" right after the edit call repeats it, but says why
+        if (!fromTool && !diff && last?.action === action && turn.idx - last.turn <= REASON_TURN_WINDOW) {
+          if (!last.reason?.includes(path)) last.reason = this._firstSentence(sentence)
+          return
+        }
+        file.addSession(turn.session ?? null)
+        file.addChange({
+          turn: turn.idx,
+          action: action === 'created' && last && last.action !== 'deleted' ? 'edited' : action,
+          diff,
+          reason: (sentence && this._firstSentence(sentence)) || reason,
+          ...(turn.session ? { session: turn.session } : {})
+        })
+      })
+    })
+  }
+
+  /**
+   * Files changed by a successful tool call: edit tools, `rm` and
+   * `git checkout/restore -- paths`
+   */
+  _toolChanges(text) {
+    const tool = text.match(TOOL_STEP_REGEX)
+    if (!tool || tool[3] === 'failed') return []
+    const [head, name, target] = tool
+    const toChanges = (paths, action, diff = null) => paths
+      .filter(path => this._isValidFilePath(path))
+      .map(path => ({ path: this._normalizeFilePath(path), action, diff }))
+
+    if (COMMAND_TOOL_REGEX.test(name)) {
+      const removed = target.trim().match(REMOVE_COMMAND_REGEX)
+      const restored = target.trim().match(RESTORE_COMMAND_REGEX)
+      if (removed) return toChanges(removed[1].split(/\s+/), 'deleted')
+      return restored ? toChanges(restored[1].trim().split(/\s+/), 'reverted') : []
+    }
+
+    const deletes = /delete|remove/i.test(name)
+    if (!deletes && !EDIT_TOOL_REGEX.test(name)) return []
+    const paths = target.split(/,\s*/)
+    // `(exit 0, 1.2s, +3 -1)` after the outcome; one stat covers one file
+    const stat = text.slice(head.length).match(/^ \(([^)]*)\)/)?.[1].match(DIFF_DETAIL_REGEX)
+    const diff = stat && paths.length === 1 ? { added: Number(stat[1]), removed: Number(stat[2]) } : null
+    const action = deletes ? 'deleted' : /create|new|write/i.test(name) ? 'created' : 'edited'
+    return toChanges(paths, action, diff)
+  }
+
+  /**
+   * Files an agent message or log reports as changed: unified diffs, then
+   * sentences such as "Created src/a.js" or "src/b.js was deleted"
+   */
+  _textChanges(text) {
+    const changes = new Map() // path -> { path, action, diff }
+    const prose = []
+    const { lines } = foldDiffs(text.replace(/^(?:AGENT|LOG):\s*/, '').split('\n'))
+    lines.forEach(line => {
+      const diff = parseDiffSummary(line)
+      if (!diff) {
+        prose.push(line)
+        return
+      }
+      if (!this._isValidFilePath(diff.path)) return
+      const path = this._normalizeFilePath(diff.path)
+      const action = diff.status === 'added' ? 'created' : diff.status === 'deleted' ? 'deleted' : 'edited'
+      changes.set(path, { path, action, diff: { added: diff.added, removed: diff.removed } })
+    })
+
+    prose.join('\n').split(/(?<=[.!?])\s+|\n+/).forEach(sentence => {
+      // Plans are not changes yet
+      if (PLANNED_CHANGE_REGEX.test(sentence)) return
+      let start = 0
+      this._extractFilesFromText(sentence)
+        .map(path => ({ path, index: sentence.indexOf(path) }))
+        .filter(({ index }) => index !== -1)
+        .sort((a, b) => a.index - b.index)
+        .forEach(({ path, index }) => {
+          const before = sentence.slice(start, index)
+          const after = sentence.slice(index + path.length)
+          start = index + path.length
+          const action = this._changeAction(before) || (/^\W*(?:was|were|is|has been|have been)\s/i.test(after) ? this._changeAction(after.slice(0, 40)) : null)
+          if (!action || changes.has(path)) return
+          const stat = after.match(/^\W{0,3}\(\+(\d+) -(\d+)\)/)
+          changes.set(path, { path, action, diff: stat ? { added: Number(stat[1]), removed: Number(stat[2]) } : null, sentence })
+        })
+    })
+    return Array.from(changes.values())
+  }
+
+  /**
+   * Change verb in the text before (or after) a file mention, by priority
+   */
+  _changeAction(text) {
+    for (const [action, regex] of CHANGE_VERB_REGEXES) {
+      const match = text.match(regex)
+      if (!match) continue
+      // "removed the import from x" edits x
+      const rest = text.slice(match.index + match[0].length)
+      if ((action === 'deleted' || action === 'created') && CHANGE_PREPOSITION_REGEX.test(rest)) return 'edited'
+      return action
+    }
+    return null
+  }
+
+  /**
+   * Summary of the file with that path, matching absolute tool targets
+   * against the relative paths mentioned in text (and back)
+   */
+  _fileFor(path) {
+    if (this.files.has(path)) return this.files.get(path)
+    const known = Array.from(this.files.keys()).find(key => key.endsWith(`/${path}`) || path.endsWith(`/${key}`))
+    if (known) return this.files.get(known)
+    const file = new FileSummary(path)
+    this.files.set(path, file)
+    return file
+  }
+
+  _firstSentence(text) {
+    const sentence = text.trim().split(/(?<=[.!?:])\s|\n/)[0].trim().replace(/:$/, '')
+    if (sentence.length < 10 || sentence.startsWith('```')) return null
+    return sentence.length > REASON_CHARS ? `${sentence.substring(0, REASON_CHARS - 1).trim()}…` : sentence
+  }
+
   /**
    * Extracts decisions and milestones
    */
@@ -488,7 +900,8 @@ export class StructuredDigestExtractor {
       'completion': /(?:✓|✅|Done|done|completed)/i
     }
 
-    lines.forEach((line, idx) => {
+    lines.forEach((line, lineIdx) => {
+      const idx = this.lineOffset + lineIdx
       Object.entries(typePatterns).forEach(([type, pattern]) => {
         if (pattern.test(line)) {
           // Avoid duplicates
@@ -514,8 +927,13 @@ export class StructuredDigestExtractor {
     return {
       files: Array.from(this.files.values())
         .map(f => f.normalize())
-        .filter(f => f.actions.length > 0 || f.errors.length > 0)
+        .filter(f => f.actions.length > 0 || f.errors.length > 0 || f.history)
         .slice(0, 15), // Increased from 8 to 15
+      fileHistory: Array.from(this.files.values())
+        .filter(f => f.history.length > 0)
+        .sort((a, b) => b.churn - a.churn || b.history.length - a.history.length)
+        .slice(0, FILE_HISTORY_DIGEST_LIMIT)
+        .map(f => ({ path: f.path, status: f.status, churn: f.churn, changes: f.history.length, history: f.history.slice(-8) })),
       errors: Array.from(this.errors.values())
         .map(e => e.normalize())
         .sort((a, b) => b.frequency - a.frequency)
@@ -1,6 +1,9 @@
 // Import needed for normalizeLine and config
 import { normalizeLine } from './log-processor.js'
 import { logPipelineConfig } from './pipeline-config.js'
+import { isFailedStep, stepDurationMs } from './formats/ci-log.js'
+import { countTokens } from '../utils/token-counter.js'
+import { fingerprint } from '../utils/fingerprint.js'
 
 function extractEssentialPrefix(line) {
   if (!line) return null
@@ -40,11 +43,40 @@ export function truncateLine(line, maxLength = logPipelineConfig.maxLineLength)
   return `${line.slice(0, keep)} … ${line.slice(-keep)}`
 }
 
-export function formatVariableValues(set) {
+// Numeric values with an optional unit (12, 1.5s, 340ms, 2kb)
+const MEASURE_REGEX = /^(-?\d+(?:\.\d+)?)([a-zµ]*)$/i
+
+function formatNumericRange(values) {
+  const parsed = values.map((value) => String(value).match(MEASURE_REGEX))
+  if (parsed.some((match) => !match)) return null
+  const units = new Set(parsed.map((match) => match[2].toLowerCase()))
+  if (units.size > 1) return null
+  const [unit] = units
+  const numbers = parsed.map((match) => Number(match[1]))
+  return `${Math.min(...numbers)}${unit}–${Math.max(...numbers)}${unit}`
+}
+
+const VARIABLE_VALUE_LIMIT = 20 // values kept per variable in the structured result
+
+/**
+ * Distinct values of a cluster variable: count, first values and numeric range
+ * @param {Set|Array} set - Distinct values
+ * @returns {{distinct: number, values: Array, range: string|null}}
+ */
+export function summarizeVariableValues(set) {
   const values = Array.from(set)
-  if (values.length === 0) return '(no variables)'
-  if (values.length <= 5) return values.join(', ')
-  return `${values.slice(0, 5).join(', ')}, … (${values.length} values)`
+  return {
+    distinct: values.length,
+    values: values.slice(0, VARIABLE_VALUE_LIMIT),
+    range: values.length > 5 ? formatNumericRange(values) : null
+  }
+}
+
+export function formatVariableValues({ distinct, values, range }) {
+  if (distinct === 0) return '(no variables)'
+  if (distinct <= 5) return values.join(', ')
+  if (range) return `${range} (${distinct} values)`
+  return `${values.slice(0, 5).join(', ')}, … (${distinct} values)`
 }
 
 export function limitLines(lines, maxLines = 12) {
@@ -56,7 +88,11 @@ export function limitLines(lines, maxLines = 12) {
   return visible.join('\n')
 }
 
-export function formatCategoryList(categoryCounts, maxCategories = 3) {
+// Counts are plain objects in the structured result
+const toCountMap = (counts) => (counts instanceof Map ? counts : new Map(Object.entries(counts || {})))
+
+export function formatCategoryList(counts, maxCategories = 3) {
+  const categoryCounts = toCountMap(counts)
   if (!categoryCounts.size) return null
 
   // Optimize: Build sorted list in single pass instead of array.from().sort().slice()
@@ -76,30 +112,186 @@ export function formatCategoryList(categoryCounts, maxCategories = 3) {
   return formatted.join(', ')
 }
 
-export function formatVariables(cluster, maxPlaceholders = 5) {
-  if (!cluster.variables || !cluster.variables.size) return null
-  const entries = Array.from(cluster.variables.entries())
-  const limited = entries.slice(0, maxPlaceholders)
-  const lines = limited.map(
-    ([placeholder, values]) => `- ${placeholder}: ${formatVariableValues(values)}`
-  )
-  if (entries.length > maxPlaceholders) {
-    lines.push(`- … (${entries.length - maxPlaceholders} additional placeholders)`)
+/**
+ * Cluster variables as plain objects; field variables ({request_id}) carry their field name
+ * @param {Map<string, Set>} variables - Placeholder -> distinct values
+ * @returns {{placeholder: string, field: string|null, distinct: number, values: Array, range: string|null}[]}
+ */
+export function describeVariables(variables) {
+  if (!variables?.size) return []
+  return Array.from(variables.entries()).map(([placeholder, values]) => ({
+    placeholder,
+    field: placeholder.match(/^\{([^A-Z{}][^{}]*)\}$/)?.[1] ?? null,
+    ...summarizeVariableValues(values)
+  }))
+}
+
+export function formatVariables(variables, maxPlaceholders = 5) {
+  if (!variables?.length) return null
+  const limited = variables.slice(0, maxPlaceholders)
+  // Field variables are reported per field with their distinct count
+  const lines = limited.map((variable) => variable.field
+    ? `- ${variable.field} (${variable.distinct} distinct): ${formatVariableValues(variable)}`
+    : `- ${variable.placeholder}: ${formatVariableValues(variable)}`)
+  if (variables.length > maxPlaceholders) {
+    lines.push(`- … (${variables.length - maxPlaceholders} additional placeholders)`)
   }
   return lines.join('\n')
 }
 
-export function formatCluster(cluster, index) {
-  const occurrences = cluster.events.length
-  const header = `### Cluster ${index + 1} (${occurrences} occurrence${occurrences > 1 ? 's' : ''})`
-  const representative = truncateLine(cluster.templateLines[0] || '(no template)')
-  const templatePreview = cluster.templateLines.slice(0, 3)
+function countEventValues(events, pick) {
+  const counts = new Map()
+  for (const event of events) {
+    const value = event ? pick(event) : null
+    if (!value) continue
+    counts.set(value, (counts.get(value) || 0) + 1)
+  }
+  return counts
+}
+
+/**
+ * Count events per container source
+ * @param {Object[]} events - Events
+ * @returns {Map<string, number>} Counts, empty when no event has a source
+ */
+export function countSources(events) {
+  return countEventValues(events, (event) => event.source)
+}
+
+export function formatSourceList(counts, maxSources = 3, noun = 'sources') {
+  const sourceCounts = toCountMap(counts)
+  if (!sourceCounts.size) return null
+
+  const sorted = Array.from(sourceCounts.entries())
+    .sort((a, b) => b[1] - a[1])
+
+  const formatted = sorted.slice(0, maxSources).map(([source, count]) => `${source} (${count})`)
+  if (sorted.length > maxSources) {
+    formatted.push(`… (${sorted.length - maxSources} additional ${noun})`)
+  }
+
+  return formatted.join(', ')
+}
+
+function eventLocation(event) {
+  const file = event.fields?.file
+  if (!file) return null
+  return event.fields.line !== undefined ? `${file}:${event.fields.line}` : file
+}
+
+const DURATION_REGEX = /\b\d+(?:\.\d+)?\s?ms\b/gi
+const QUOTED_VALUE_REGEX = /(['"`])[^'"`\s]+\1/g
+const NAMED_VALUE_REGEX = /\b(user(?:name)?|customer|account|tenant|session|request|req|order|job|trace)([\s:=#]+)[\w.@-]+/gi
+const MIXED_TOKEN_REGEX = /\b(?=[\w-]*[A-Za-z])(?=[\w-]*\d)[\w-]+\b/g
+
+/**
+ * Line of a template with its variable parts replaced by placeholders:
+ * quoted values, the value after `user`, `request` and similar words,
+ * and tokens mixing letters and digits (`r-7f3a`, `ord_8KQ2`)
+ * @param {string} line - Template line
+ * @returns {string}
+ */
+function fingerprintLine(line) {
+  // Durations too: a slower request is the same error (see log-compare.js)
+  const masked = line
+    .replace(DURATION_REGEX, 'DURATION')
+    .replace(QUOTED_VALUE_REGEX, '$1VALUE$1')
+    .replace(NAMED_VALUE_REGEX, '$1$2VALUE')
+  return normalizeLine(masked).replace(MIXED_TOKEN_REGEX, 'VALUE').replace(/\s+/g, ' ').trim()
+}
+
+/**
+ * Fingerprint of a template: the same error gets the same fingerprint across
+ * runs and logs, whatever its ids, users, numbers, durations or timestamps
+ * @param {string[]} templateLines - Template of the cluster or event
+ * @param {string} category - Primary category
+ * @returns {string} 7 base36 characters
+ */
+export function templateFingerprint(templateLines, category) {
+  const normalized = (templateLines || []).map(fingerprintLine).filter(Boolean)
+  return fingerprint(`${category || 'Other'}\n${normalized.join('\n')}`)
+}
+
+const LATENCY_REGEX = /\b(\d+)ms\b/i
+
+/**
+ * Latency bucket of a duration, from the `latencyBuckets` setting
+ * @param {number} ms - Duration
+ * @returns {string} Label of the highest bucket reached (`latency>=1000ms`), or `latency<500ms`
+ */
+export function latencyBucketLabel(ms) {
+  const buckets = logPipelineConfig.latencyBuckets
+  const reached = buckets.filter((bucket) => ms >= bucket.minMs).pop()
+  if (reached) return reached.label || `latency>=${reached.minMs}ms`
+  return `latency<${buckets[0]?.minMs ?? 0}ms`
+}
+
+/**
+ * Count the events of each latency bucket, from the first `<n>ms` of each
+ * event as in scoring
+ * @param {Object[]} events - Cluster events
+ * @returns {Object<string, number>} Bucket label -> events (empty without latencies)
+ */
+function countLatencyBuckets(events) {
+  const counts = {}
+  for (const event of events) {
+    const match = (event.processedLines || []).join(' ').match(LATENCY_REGEX)
+    if (!match) continue
+    const label = latencyBucketLabel(Number(match[1]))
+    counts[label] = (counts[label] || 0) + 1
+  }
+  return counts
+}
+
+/**
+ * Cluster as a plain object for the structured result
+ * @param {Object} cluster - Cluster from the clustering engine
+ * @param {number} index - Position in the output
+ * @returns {Object} { id, fingerprint, occurrences, score, primaryCategory, categoryCounts, template,
+ *   variables, sources, steps, locations, latencyBuckets, sample, orderRange }: `id` (`C7`) numbers the clusters
+ *   of this output, `fingerprint` stays the same across runs
+ */
+export function describeCluster(cluster, index) {
+  const orders = cluster.events.map((event) => event.order).filter((order) => order !== undefined)
+  return {
+    id: `C${index + 1}`,
+    fingerprint: templateFingerprint(cluster.templateLines, cluster.primaryCategory),
+    occurrences: cluster.events.length,
+    // Highest event score: what the token budget keeps clusters by
+    score: Math.max(...cluster.events.map((event) => event.score ?? 0)),
+    primaryCategory: cluster.primaryCategory,
+    categoryCounts: Object.fromEntries(cluster.categoryCounts || []),
+    template: cluster.templateLines,
+    variables: describeVariables(cluster.variables),
+    sources: Object.fromEntries(countSources(cluster.events)),
+    steps: Object.fromEntries(countEventValues(cluster.events, (event) => event.step)),
+    locations: Object.fromEntries(countEventValues(cluster.events, eventLocation)),
+    latencyBuckets: countLatencyBuckets(cluster.events),
+    sample: (cluster.firstEvent || cluster.events[0])?.processedLines || [],
+    orderRange: orders.length ? { first: Math.min(...orders), last: Math.max(...orders) } : null
+  }
+}
+
+/**
+ * Render a cluster of the structured result
+ * @param {Object} cluster - Output of describeCluster()
+ * @param {Object} [options]
+ * @param {number} [options.sampleLines=10] - Sample lines shown, 0 leaves the sample out
+ * @param {number} [options.maxVariables=5] - Variables listed, 0 leaves them out
+ * @returns {string}
+ */
+export function formatCluster(cluster, { sampleLines = 10, maxVariables = 5 } = {}) {
+  const { occurrences } = cluster
+  const header = `### Cluster ${cluster.id} · ${cluster.fingerprint} (${occurrences} occurrence${occurrences > 1 ? 's' : ''})`
+  const representative = truncateLine(cluster.template[0] || '(no template)')
+  const templatePreview = cluster.template.slice(0, 3)
     .map((line) => `- ${truncateLine(line)}`)
     .join('\n') || '- (no template)'
-  const variablesSection = formatVariables(cluster)
+  const variablesSection = maxVariables > 0 ? formatVariables(cluster.variables, maxVariables) : null
   const categories = formatCategoryList(cluster.categoryCounts)
-  const annotatedSample = annotateRepetitions(cluster.firstEvent.processedLines)
-  const sampleSection = limitLines(annotatedSample, 10)
+  const sources = formatSourceList(cluster.sources)
+  const steps = formatSourceList(cluster.steps, 3, 'steps')
+  const locations = formatSourceList(cluster.locations, 5, 'locations')
 
   const parts = [
     header,
@@ -115,7 +307,21 @@ export function formatCluster(cluster, index) {
     parts.push(`Related categories: ${categories}`)
   }
 
-  parts.push('Sample:', sampleSection)
+  if (sources) {
+    parts.push(`Sources: ${sources}`)
+  }
+
+  if (steps) {
+    parts.push(`CI steps: ${steps}`)
+  }
+
+  if (locations) {
+    parts.push(`Locations: ${locations}`)
+  }
+
+  if (sampleLines > 0) {
+    parts.push('Sample:', limitLines(annotateRepetitions(cluster.sample), sampleLines))
+  }
 
   return parts.join('\n')
 }
@@ -149,17 +355,45 @@ export function annotateRepetitions(lines) {
   return result
 }
 
+/**
+ * Event as a plain object for the structured result
+ * @param {Object} event - Parsed event
+ * @param {string} id - Reference to expand (`U3`)
+ * @returns {{id: string, fingerprint: string, order: ?number, line: ?number, score: number, category: string, level: ?string, source: ?string, step: ?string, lines: string[]}}
+ */
+export function describeEvent(event, id) {
+  return {
+    id,
+    fingerprint: templateFingerprint(event.templateLines, event.primaryCategory),
+    order: event.order ?? null,
+    line: event.line ?? null,
+    score: event.score ?? 0,
+    category: event.primaryCategory || 'Other',
+    level: event.level || null,
+    source: event.source || null,
+    step: event.step || null,
+    lines: event.processedLines || []
+  }
+}
+
+/**
+ * Render the Unique Events section, oldest first
+ * @param {Object[]} uniqueEvents - Output of describeEvent()
+ * @param {number} limit - Events shown
+ * @returns {string} Markdown section (empty when there are none)
+ */
 export function formatUniqueEvents(uniqueEvents, limit = logPipelineConfig.miscUniqueLimit) {
-  if (!uniqueEvents?.length) return ''
-  const selected = uniqueEvents
+  if (!uniqueEvents?.length || limit <= 0) return ''
+  const selected = [...uniqueEvents]
     .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
     .slice(0, limit)
 
   const lines = ['## Unique Events']
   for (const event of selected) {
-    const sample = annotateRepetitions(event.processedLines || [])
+    const sample = annotateRepetitions(event.lines)
     const rendered = limitLines(sample, 8)
-    lines.push(`- Order ${event.order ?? '?'} | Score ${event.score ?? 0}\n${rendered}`)
+    const source = event.source ? ` | Source ${event.source}` : ''
+    lines.push(`- ${event.id} · ${event.fingerprint} | Order ${event.order ?? '?'} | Score ${event.score}${source}\n${rendered}`)
   }
   if (uniqueEvents.length > limit) {
     lines.push(`- … (${uniqueEvents.length - limit} additional unique events omitted)`)
@@ -167,7 +401,37 @@ export function formatUniqueEvents(uniqueEvents, limit = logPipelineConfig.miscU
   return lines.join('\n')
 }
 
-export function buildErrorSummary(clusters) {
+const QUIET_LEVELS = new Set(['trace', 'debug', 'info'])
+
+/**
+ * Count cluster events per Error Summary group
+ * - 'category' (default): the cluster category counts
+ * - 'app-severity': syslog app and severity of each event; quiet severities
+ *   are skipped unless the cluster has a non-Other category
+ */
+function countSummaryGroups(cluster, groupBy) {
+  if (groupBy !== 'app-severity') return cluster.categoryCounts
+
+  const counts = new Map()
+  for (const event of cluster.events) {
+    const quiet = !event.level || QUIET_LEVELS.has(event.level)
+    if (quiet && cluster.primaryCategory === 'Other' && !logPipelineConfig.showOtherInSummary) continue
+    const app = event.fields?.app || 'unknown app'
+    const severity = event.fields?.severity || event.level || 'unknown'
+    const key = `${app} · ${severity}`
+    counts.set(key, (counts.get(key) || 0) + 1)
+  }
+  return counts
+}
+
+/**
+ * Build the Error Summary: patterns per group, most frequent first
+ * @param {Object[]} clusters - Clusters to summarize
+ * @param {Object} options - { groupBy: 'category' | 'app-severity' }
+ * @returns {{group: string, total: number, patterns: {template: string, count: number, example: string, sources: Object}[]}[]}
+ */
+export function buildErrorSummary(clusters, options = {}) {
+  const { groupBy = 'category' } = options
   const summary = new Map()
 
   const isBenignSuccess = (cluster) => {
@@ -184,55 +448,406 @@ export function buildErrorSummary(clusters) {
       // skip benign network successes in summary
       continue
     }
-    for (const [category, count] of cluster.categoryCounts.entries()) {
+    for (const [category, count] of countSummaryGroups(cluster, groupBy).entries()) {
       if (!summary.has(category)) {
         summary.set(category, [])
       }
       summary.get(category).push({
         count,
         template: cluster.templateLines[0] || '(no title)',
-        example: cluster.firstEvent.processedLines[0] || '(no example)'
+        example: cluster.firstEvent.processedLines[0] || '(no example)',
+        sources: countSources(cluster.events)
       })
     }
   }
 
-  if (summary.size === 0) return ''
-
-  const sections = ['## Error Summary']
-
+  const groups = []
   for (const [category, entries] of summary.entries()) {
     if (category === 'Other' && !logPipelineConfig.showOtherInSummary) continue
     const aggregated = new Map()
     for (const entry of entries) {
       const key = entry.template
       if (!aggregated.has(key)) {
-        aggregated.set(key, { ...entry })
+        aggregated.set(key, { ...entry, sources: new Map(entry.sources) })
       } else {
         const existing = aggregated.get(key)
         existing.count += entry.count
+        for (const [source, count] of entry.sources) {
+          existing.sources.set(source, (existing.sources.get(source) || 0) + count)
+        }
         if (!existing.example && entry.example) {
           existing.example = entry.example
         }
       }
     }
-    const aggregatedEntries = Array.from(aggregated.values())
-    const total = aggregatedEntries.reduce((sum, entry) => sum + entry.count, 0)
-    sections.push(`### ${category} (${total} occurrence${total > 1 ? 's' : ''})`)
-    const topEntries = aggregatedEntries.sort((a, b) => b.count - a.count)
-    const maxEntries = 5
-    for (const entry of topEntries.slice(0, maxEntries)) {
+    const patterns = Array.from(aggregated.values())
+      .sort((a, b) => b.count - a.count)
+      .map((entry) => ({ ...entry, sources: Object.fromEntries(entry.sources) }))
+    groups.push({ group: category, total: patterns.reduce((sum, entry) => sum + entry.count, 0), patterns })
+  }
+
+  return groups
+}
+
+/**
+ * Render the Error Summary section
+ * @param {Object[]} groups - Output of buildErrorSummary()
+ * @param {number} maxEntries - Patterns listed per group
+ * @returns {string} Markdown section (empty when nothing to report)
+ */
+export function formatErrorSummary(groups, maxEntries = 5) {
+  if (!groups?.length) return ''
+
+  const sections = ['## Error Summary']
+  for (const { group, total, patterns } of groups) {
+    sections.push(`### ${group} (${total} occurrence${total > 1 ? 's' : ''})`)
+    for (const entry of patterns.slice(0, maxEntries)) {
       const templatePreview = entry.template.length > 160
         ? `${entry.template.slice(0, 160)}…`
         : entry.template
       const examplePreview = entry.example.length > 160
         ? `${entry.example.slice(0, 160)}…`
         : entry.example
-      sections.push(`- "${templatePreview}" (${entry.count}×) — example: ${examplePreview}`)
+      const sourceList = formatSourceList(entry.sources)
+      const sourcesText = sourceList ? ` — sources: ${sourceList}` : ''
+      sections.push(`- "${templatePreview}" (${entry.count}×)${sourcesText} — example: ${examplePreview}`)
+    }
+    if (patterns.length > maxEntries) {
+      sections.push(`- … (${patterns.length - maxEntries} additional patterns)`)
+    }
+  }
+
+  return sections.join('\n')
+}
+
+/**
+ * Summarize every container of demultiplexed input, busiest first
+ * @param {Object[]} events - All parsed events
+ * @param {Object[]} clusters - Clusters kept in the output
+ * @returns {{source: string, events: number, flagged: number, categoryCounts: Object, patterns: {template: string, count: number}[]}[]}
+ *   Empty when events carry no source
+ */
+export function buildContainerSummary(events, clusters) {
+  const eventCounts = countSources(events)
+  const sorted = Array.from(eventCounts.entries()).sort((a, b) => b[1] - a[1])
+
+  return sorted.map(([source, total]) => {
+    const sourceEvents = events.filter((event) => event.source === source)
+    const flagged = sourceEvents.filter((event) => ['warn', 'error', 'fatal'].includes(event.level) ||
+      (event.primaryCategory && event.primaryCategory !== 'Other')).length
+
+    const categoryCounts = {}
+    for (const event of sourceEvents) {
+      if (!event.primaryCategory || event.primaryCategory === 'Other') continue
+      categoryCounts[event.primaryCategory] = (categoryCounts[event.primaryCategory] || 0) + 1
+    }
+
+    const patterns = clusters
+      .map((cluster) => ({
+        template: cluster.templateLines[0] || '(no template)',
+        count: cluster.events.filter((event) => event.source === source).length
+      }))
+      .filter((pattern) => pattern.count > 0)
+      .sort((a, b) => b.count - a.count)
+
+    return { source, events: total, flagged, categoryCounts, patterns }
+  })
+}
+
+/**
+ * Render the per-container section
+ * @param {Object[]} containers - Output of buildContainerSummary()
+ * @param {number} maxPatterns - Patterns listed per container
+ * @returns {string} Markdown section (empty without containers)
+ */
+export function formatContainerSection(containers, maxPatterns = 3) {
+  if (!containers?.length) return ''
+
+  const sections = ['## Containers']
+  for (const container of containers) {
+    const total = container.events
+    sections.push(`### ${container.source} (${total} event${total > 1 ? 's' : ''}, ${container.flagged} flagged)`)
+
+    const categories = formatCategoryList(container.categoryCounts)
+    if (categories) {
+      sections.push(`- Categories: ${categories}`)
+    }
+
+    for (const pattern of container.patterns.slice(0, maxPatterns)) {
+      sections.push(`- "${truncateLine(pattern.template)}" (${pattern.count}×)`)
+    }
+    if (container.patterns.length > maxPatterns) {
+      sections.push(`- … (${container.patterns.length - maxPatterns} additional patterns)`)
+    }
+  }
+
+  return sections.join('\n')
+}
+
+export function formatDurationMs(ms) {
+  if (ms === null || ms === undefined) return null
+  if (ms < 1000) return `${Math.round(ms)}ms`
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`
+  const minutes = Math.floor(ms / 60000)
+  const seconds = Math.round((ms % 60000) / 1000)
+  return `${minutes}m ${seconds}s`
+}
+
+/**
+ * Summarize CI steps: status, exit code, duration, and the last lines of
+ * failing steps
+ * @param {{steps: Object[]}} ciLog - Output of parseCiLog
+ * @param {number} tailLines - Lines kept from the end of each failing step
+ * @returns {{name: string, failed: boolean, exitCode: ?number, durationMs: ?number, tail: string[], omittedLines: number}[]}
+ */
+export function buildCiStepSummary(ciLog, tailLines = logPipelineConfig.ciFailureTailLines) {
+  return (ciLog?.steps || []).map((step) => {
+    const failed = isFailedStep(step)
+    const output = failed ? step.lines.filter((line) => line.trim()) : []
+    const tail = output.slice(-tailLines)
+    return {
+      name: step.name,
+      failed,
+      exitCode: step.exitCode,
+      durationMs: stepDurationMs(step),
+      tail,
+      omittedLines: output.length - tail.length
     }
-    if (topEntries.length > maxEntries) {
-      sections.push(`- … (${topEntries.length - maxEntries} additional patterns)`)
+  })
+}
+
+function describeStep(step) {
+  const status = step.failed
+    ? `failed${step.exitCode ? ` (exit code ${step.exitCode})` : ''}`
+    : 'ok'
+  const duration = formatDurationMs(step.durationMs)
+  return [status, duration].filter(Boolean).join(', ')
+}
+
+/**
+ * Render the CI steps section: failing steps first with their last lines,
+ * then every step with its status and duration
+ * @param {Object[]} steps - Output of buildCiStepSummary()
+ * @param {Object} [options]
+ * @param {number} [options.tailLines] - Last lines shown per failing step (default: all kept)
+ * @param {boolean} [options.passedSteps=true] - List the steps that passed
+ * @returns {string} Markdown section (empty when there are no steps)
+ */
+export function formatCiSteps(steps, { tailLines, passedSteps = true } = {}) {
+  if (!steps?.length) return ''
+
+  const sections = ['## CI Steps']
+
+  for (const step of steps.filter((candidate) => candidate.failed)) {
+    const details = [
+      step.exitCode ? `exit code ${step.exitCode}` : null,
+      formatDurationMs(step.durationMs)
+    ].filter(Boolean).join(', ')
+    const tail = tailLines === undefined ? step.tail : step.tail.slice(step.tail.length - tailLines)
+    const omittedLines = step.omittedLines + step.tail.length - tail.length
+    sections.push(`### Failed step: ${step.name}${details ? ` (${details})` : ''}`)
+    if (omittedLines > 0) {
+      sections.push(`… (${omittedLines} earlier lines omitted)`)
     }
+    sections.push(...tail.map((line) => truncateLine(line)))
+    sections.push('')
+  }
+
+  sections.push('### Steps')
+  const listed = passedSteps ? steps : steps.filter((step) => step.failed)
+  for (const step of listed) {
+    sections.push(`- ${step.name} — ${describeStep(step)}`)
+  }
+  if (listed.length < steps.length) {
+    sections.push(`- … (${steps.length - listed.length} passing steps)`)
   }
 
   return sections.join('\n')
 }
+
+/**
+ * Render the scenario: story markers separated by blank lines, their
+ * context events indented under them
+ * @param {Object[]} steps - `steps` from reconstructScenario()
+ * @param {Object} [options]
+ * @param {boolean} [options.context=true] - Show the context events
+ * @returns {string} Markdown section (empty without story markers)
+ */
+export function formatScenario(steps, { context: withContext = true } = {}) {
+  if (!steps?.length) return ''
+
+  const lines = []
+  for (const step of steps) {
+    if (lines.length > 0) lines.push('')
+    lines.push(...step.lines)
+    if (!withContext) continue
+    for (const context of step.context) {
+      lines.push(...context.lines.map((line) => `  ${line}`))
+    }
+  }
+  return '## Scenario Reconstruction\n' + lines.join('\n')
+}
+
+/**
+ * Render the Markdown output from the structured LogSlimmer result
+ * @param {Object} result - Result of runLogSlimmerPipeline() without `compressed`
+ * @param {Object} [layout] - Set by fitLogSlimmerResult() to shrink the output
+ * @param {Object[]} [layout.clusters] - Clusters rendered (default: the first `maxClusters`)
+ * @param {number} [layout.sampleLines] - See formatCluster()
+ * @param {number} [layout.maxVariables] - See formatCluster()
+ * @param {number} [layout.uniqueLimit] - Unique events shown
+ * @param {number} [layout.errorPatterns] - Patterns per error summary group
+ * @param {boolean} [layout.scenario] - Show the scenario (false: left out)
+ * @param {boolean} [layout.scenarioContext] - See formatScenario()
+ * @param {number} [layout.ciTailLines] - See formatCiSteps()
+ * @param {boolean} [layout.ciPassedSteps] - See formatCiSteps()
+ * @param {string} [layout.note] - Footer line
+ * @returns {string} Markdown
+ */
+export function formatLogSlimmerResult(result, layout = {}) {
+  const {
+    clusters = result.clusters.slice(0, logPipelineConfig.maxClusters),
+    sampleLines,
+    maxVariables,
+    uniqueLimit = logPipelineConfig.miscUniqueLimit,
+    errorPatterns,
+    scenario = true,
+    scenarioContext = true,
+    ciTailLines,
+    ciPassedSteps = true,
+    note = ''
+  } = layout
+
+  const clusterBlocks = clusters.map((cluster) => formatCluster(cluster, { sampleLines, maxVariables }))
+  if (result.clusters.length > clusters.length) {
+    clusterBlocks.push(`… (${result.clusters.length - clusters.length} additional clusters omitted)\n`)
+  }
+
+  // Failing CI steps go first: their tail is usually all a reader needs
+  return [
+    formatCiSteps(result.ciSteps, { tailLines: ciTailLines, passedSteps: ciPassedSteps }),
+    scenario ? formatScenario(result.scenario, { context: scenarioContext }) : '',
+    formatErrorSummary(result.errorSummary, errorPatterns),
+    formatContainerSection(result.containers),
+    '## Event Clusters',
+    clusterBlocks.join('\n\n'),
+    formatUniqueEvents(result.uniqueEvents, uniqueLimit),
+    note
+  ]
+    .filter(Boolean)
+    .join('\n\n')
+}
+
+const SAMPLE_LINE_STEPS = [5, 2, 0]
+const VARIABLE_STEPS = [2, 0]
+const ERROR_PATTERN_STEPS = [2, 0]
+const CI_TAIL_STEPS = [5, 1]
+
+function describeTrim(maxOutputTokens, dropped) {
+  const parts = []
+  if (dropped.sampleLines !== undefined) {
+    parts.push(dropped.sampleLines ? `samples cut to ${dropped.sampleLines} lines` : 'samples left out')
+  }
+  if (dropped.maxVariables !== undefined) {
+    parts.push(dropped.maxVariables ? `variables cut to ${dropped.maxVariables} per cluster` : 'variables left out')
+  }
+  if (dropped.uniqueEvents) parts.push(`${dropped.uniqueEvents} unique events left out`)
+  if (dropped.clusters) parts.push(`${dropped.clusters} low-score clusters left out`)
+  if (dropped.errorPatterns !== undefined) {
+    parts.push(dropped.errorPatterns ? `error summary cut to ${dropped.errorPatterns} patterns per group` : 'error summary patterns left out')
+  }
+  if (dropped.scenario) parts.push('scenario left out')
+  else if (dropped.scenarioContext) parts.push('scenario context left out')
+  if (dropped.ciTailLines !== undefined) parts.push(`failing step output cut to ${dropped.ciTailLines} lines`)
+  if (dropped.ciPassedSteps) parts.push('passing CI steps left out')
+  if (dropped.overBudget) {
+    return `_Over the ${maxOutputTokens} token budget even after trimming (${parts.join(', ')})._`
+  }
+  return parts.length ? `_Trimmed to ${maxOutputTokens} tokens: ${parts.join(', ')}._` : ''
+}
+
+/**
+ * Render the LogSlimmer result within a token budget. Sections go from the
+ * least to the most useful: sample lines are shortened, then variables,
+ * then unique events and the lowest-score clusters are left out (at least
+ * one cluster stays), then the error summary, the scenario and the CI
+ * steps are shortened. What was left out is noted in a footer line, which
+ * says so when the output is still over the budget.
+ * @param {Object} result - Result of runLogSlimmerPipeline() without `compressed`
+ * @param {number} maxOutputTokens - Token budget, 0 for none
+ * @returns {{text: string, tokens: ?number, dropped: Object}} `tokens` is null without a budget
+ *   (nothing is counted); `dropped` is empty when nothing was trimmed, and
+ *   `dropped.overBudget` is set when the budget could not be met
+ */
+export function fitLogSlimmerResult(result, maxOutputTokens = 0) {
+  const layout = { clusters: result.clusters.slice(0, logPipelineConfig.maxClusters) }
+  const dropped = {}
+
+  const render = () => formatLogSlimmerResult(result, { ...layout, note: describeTrim(maxOutputTokens, dropped) })
+
+  let text = render()
+  if (!maxOutputTokens || maxOutputTokens <= 0) return { text, tokens: null, dropped }
+  let tokens = countTokens(text)
+
+  const shrink = (apply) => {
+    if (tokens <= maxOutputTokens) return false
+    apply()
+    text = render()
+    tokens = countTokens(text)
+    return true
+  }
+
+  for (const lines of SAMPLE_LINE_STEPS) {
+    shrink(() => { layout.sampleLines = dropped.sampleLines = lines })
+  }
+  for (const count of VARIABLE_STEPS) {
+    shrink(() => { layout.maxVariables = dropped.maxVariables = count })
+  }
+
+  const uniqueShown = Math.min(result.uniqueEvents.length, logPipelineConfig.miscUniqueLimit)
+  for (let limit = uniqueShown - 1; limit >= 0; limit--) {
+    shrink(() => {
+      layout.uniqueLimit = limit
+      dropped.uniqueEvents = uniqueShown - limit
+    })
+  }
+
+  while (layout.clusters.length > 1) {
+    const removed = shrink(() => {
+      // Ties go to the later cluster: the output order puts the most relevant first
+      const lowest = layout.clusters.reduce((min, cluster) => (cluster.score <= min.score ? cluster : min))
+      layout.clusters = layout.clusters.filter((cluster) => cluster !== lowest)
+      dropped.clusters = (dropped.clusters || 0) + 1
+    })
+    if (!removed) break
+  }
+
+  for (const count of ERROR_PATTERN_STEPS) {
+    if (!result.errorSummary.some((group) => group.patterns.length > count)) continue
+    shrink(() => { layout.errorPatterns = dropped.errorPatterns = count })
+  }
+
+  if (result.scenario.length) {
+    if (result.scenario.some((step) => step.context.length)) {
+      shrink(() => { layout.scenarioContext = false; dropped.scenarioContext = true })
+    }
+    shrink(() => { layout.scenario = false; dropped.scenario = true })
+  }
+
+  const failedSteps = result.ciSteps.filter((step) => step.failed)
+  for (const lines of CI_TAIL_STEPS) {
+    if (!failedSteps.some((step) => step.tail.length > lines)) continue
+    shrink(() => { layout.ciTailLines = dropped.ciTailLines = lines })
+  }
+  if (failedSteps.length < result.ciSteps.length) {
+    shrink(() => { layout.ciPassedSteps = false; dropped.ciPassedSteps = true })
+  }
+
+  if (tokens > maxOutputTokens) {
+    dropped.overBudget = true
+    text = render()
+    tokens = countTokens(text)
+  }
+
+  return { text, tokens, dropped }
+}
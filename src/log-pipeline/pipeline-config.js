@@ -16,6 +16,14 @@ const DEFAULT_PIPELINE_CONFIG = {
     '403': 3,
     '404': 3
   },
+  levelWeights: {
+    fatal: 5,
+    error: 3,
+    warn: 1,
+    info: 0,
+    debug: -1,
+    trace: -2
+  },
   messageWeights: [
     { pattern: /(error|fail|exception|timed out|denied)/i, weight: 3, label: 'error-ish' },
     { pattern: /\[.*?ERROR.*?\]/i, weight: 3, label: '[ERROR] block' },
@@ -26,6 +34,14 @@ const DEFAULT_PIPELINE_CONFIG = {
     { pattern: /(CORS|allowing empty origin|matchesPattern: false|Connection claim succeeded|claim succeeded|check-claim)/i, weight: -3, label: 'success-noise' }
   ],
   noisePatterns: defaultNoisePatterns,
+  stableFields: ['level', 'msg', 'message', 'status', 'status_code', 'code', 'method', 'path', 'route', 'component', 'module', 'logger', 'caller', 'event'],
+  volatileFieldPatterns: [
+    /(?:^|[._-])(?:id|uuid|guid)$/i,
+    /(?:request|req|trace|span|correlation)_?id/i,
+    /(?:duration|elapsed|latency|took|response_?time)/i,
+    /^(?:user|username|user_?name|email|session|ip|remote_?addr|client_?ip|port|pid|tid)$/i,
+    /(?:^|[._-])(?:time|timestamp|date|ts)$/i
+  ],
   maxLineLength: 240,
   showOtherInSummary: false,
   scoreCutoffNonOther: -1,
@@ -33,14 +49,47 @@ const DEFAULT_PIPELINE_CONFIG = {
   maxOtherClusters: 5,
   maxClusters: 20,
   miscUniqueLimit: 3,
+  maxOutputTokens: 0,
   keepFileLinePrefix: true,
   preserveTimestamps: false,
   keepHumanNotes: true,
   stackFramePreviewHead: 2,
   stackFramePreviewTail: 1,
+  // First match wins, unmatched frames are app code. `lang` scopes a rule to
+  // one trace kind, the label (or the first capture group) names collapsed
+  // runs: "12 react-dom frames"
+  framePathRules: [
+    // JavaScript: matched against the frame line
+    { lang: 'js', pattern: /\.vite\/deps\/chunk-/, kind: 'vendor', label: 'vite chunk' },
+    { lang: 'js', pattern: /\.vite\/deps\/([\w@.-]+?)(?:_\w+)?\.js/, kind: 'vendor' },
+    { lang: 'js', pattern: /^.*node_modules\/((?:@[\w.-]+\/)?[\w.-]+)/, kind: 'vendor' },
+    { lang: 'js', pattern: /react_stack_bottom_frame|runWithFiberInDEV/, kind: 'vendor', label: 'react-dom' },
+    { lang: 'js', pattern: /\b(react-dom|react-reconciler|scheduler|react)(?:[-_.]\w+)*?\.(?:development|production)(?:\.min)?\.js/, kind: 'vendor' },
+    { lang: 'js', pattern: /__webpack_require__|[\s@(/]webpack\.js\b|webpack\/bootstrap/, kind: 'runtime', label: 'webpack' },
+    { lang: 'js', pattern: /(?:^|[\s(@])node:/, kind: 'runtime', label: 'node' },
+    { lang: 'js', pattern: /\((?:<anonymous>|native)\)$/, kind: 'runtime', label: 'native' },
+    { lang: 'js', pattern: /(?:chrome|moz)-extension:\/\//, kind: 'vendor', label: 'extension' },
+    // Python: matched against the file path
+    { lang: 'python', pattern: /[\\/](?:site|dist)-packages[\\/]([\w.-]+)/, kind: 'vendor' },
+    { lang: 'python', pattern: /^<frozen |[\\/]lib[\\/]python\d[\d.]*[\\/]|^<string>$/, kind: 'runtime', label: 'python' },
+    // JVM: matched against the qualified method
+    { lang: 'jvm', pattern: /^(?:java|javax|jdk|sun|com\.sun)\./, kind: 'runtime', label: 'jdk' },
+    { lang: 'jvm', pattern: /^(kotlinx?|scala|org\.springframework|org\.apache|org\.hibernate|org\.junit|io\.netty|reactor|com\.fasterxml)\./, kind: 'vendor' },
+    // Go: matched against "function file"
+    { lang: 'go', pattern: /^(?:runtime|internal|sync|syscall)[./]/, kind: 'runtime', label: 'go runtime' },
+    // GOROOT packages have no dot in their first path segment, modules do
+    { lang: 'go', pattern: /[\\/]go[\\/]src[\\/](?![\w-]+\.[\w.-]+[\\/])/, kind: 'runtime', label: 'go stdlib' },
+    { lang: 'go', pattern: /[\\/]pkg[\\/]mod[\\/]([^@\s]+)@/, kind: 'vendor' }
+  ],
+  ciFailureTailLines: 50,
+  // Unified diffs are folded into one summary line per file; true keeps the
+  // first hunk of each file under its summary
+  diffKeepFirstHunk: false,
   debugScore: false
 }
 
+const FRAME_KINDS = ['app', 'vendor', 'runtime']
+
 function normalizeBool(value, fallback) {
   if (typeof value === 'boolean') return value
   if (typeof value === 'string') {
@@ -82,6 +131,17 @@ function normalizeStatusWeights(statusWeights = {}) {
   return Object.keys(normalized).length ? normalized : DEFAULT_PIPELINE_CONFIG.statusWeights
 }
 
+function normalizeLevelWeights(levelWeights = {}) {
+  if (!levelWeights || typeof levelWeights !== 'object') return DEFAULT_PIPELINE_CONFIG.levelWeights
+  const normalized = { ...DEFAULT_PIPELINE_CONFIG.levelWeights }
+  for (const [level, weight] of Object.entries(levelWeights)) {
+    const numericWeight = normalizeNumber(weight, null)
+    if (numericWeight === null) continue
+    normalized[level.toLowerCase()] = numericWeight
+  }
+  return normalized
+}
+
 function normalizeMessageWeights(messageWeights = []) {
   if (!Array.isArray(messageWeights)) return DEFAULT_PIPELINE_CONFIG.messageWeights
 
@@ -109,7 +169,7 @@ function normalizeMessageWeights(messageWeights = []) {
   }))
 }
 
-function normalizeNoisePatterns(patterns = []) {
+function normalizeRegexList(patterns = [], fallback = DEFAULT_PIPELINE_CONFIG.noisePatterns) {
   const array = Array.isArray(patterns) ? patterns : []
   const normalized = array
     .map((pattern) => {
@@ -126,7 +186,31 @@ function normalizeNoisePatterns(patterns = []) {
     .filter(Boolean)
 
   if (normalized.length) return normalized
-  return DEFAULT_PIPELINE_CONFIG.noisePatterns
+  return fallback
+}
+
+function normalizeFramePathRules(rules) {
+  if (!Array.isArray(rules)) return DEFAULT_PIPELINE_CONFIG.framePathRules
+  const normalized = rules
+    .map((rule) => {
+      if (!rule || typeof rule !== 'object' || !FRAME_KINDS.includes(rule.kind)) return null
+      const [pattern] = normalizeRegexList([rule.pattern], [])
+      if (!pattern) return null
+      return {
+        lang: typeof rule.lang === 'string' ? rule.lang : null,
+        pattern,
+        kind: rule.kind,
+        label: typeof rule.label === 'string' ? rule.label : null
+      }
+    })
+    .filter(Boolean)
+
+  return normalized.length ? normalized : DEFAULT_PIPELINE_CONFIG.framePathRules
+}
+
+function normalizeStableFields(fields) {
+  if (!Array.isArray(fields)) return DEFAULT_PIPELINE_CONFIG.stableFields
+  return fields.filter((field) => typeof field === 'string').map((field) => field.toLowerCase())
 }
 
 function resolveGlobalOverrides() {
@@ -168,8 +252,11 @@ export function getLogPipelineConfig(overrides = {}) {
   const normalized = {
     latencyBuckets: normalizeLatencyBuckets(merged.latencyBuckets),
     statusWeights: normalizeStatusWeights(merged.statusWeights),
+    levelWeights: normalizeLevelWeights(merged.levelWeights),
     messageWeights: normalizeMessageWeights(merged.messageWeights),
-    noisePatterns: normalizeNoisePatterns(merged.noisePatterns),
+    noisePatterns: normalizeRegexList(merged.noisePatterns),
+    stableFields: normalizeStableFields(merged.stableFields),
+    volatileFieldPatterns: normalizeRegexList(merged.volatileFieldPatterns, DEFAULT_PIPELINE_CONFIG.volatileFieldPatterns),
     maxLineLength: normalizeNumber(merged.maxLineLength, DEFAULT_PIPELINE_CONFIG.maxLineLength),
     showOtherInSummary: normalizeBool(merged.showOtherInSummary, DEFAULT_PIPELINE_CONFIG.showOtherInSummary),
     scoreCutoffNonOther: normalizeScoreCutoff(merged.scoreCutoffNonOther, DEFAULT_PIPELINE_CONFIG.scoreCutoffNonOther),
@@ -177,11 +264,15 @@ export function getLogPipelineConfig(overrides = {}) {
     maxOtherClusters: normalizeNumber(merged.maxOtherClusters, DEFAULT_PIPELINE_CONFIG.maxOtherClusters),
     maxClusters: normalizeNumber(merged.maxClusters, DEFAULT_PIPELINE_CONFIG.maxClusters),
     miscUniqueLimit: normalizeNumber(merged.miscUniqueLimit, DEFAULT_PIPELINE_CONFIG.miscUniqueLimit),
+    maxOutputTokens: normalizeNumber(merged.maxOutputTokens, DEFAULT_PIPELINE_CONFIG.maxOutputTokens),
     keepFileLinePrefix: normalizeBool(merged.keepFileLinePrefix, DEFAULT_PIPELINE_CONFIG.keepFileLinePrefix),
     preserveTimestamps: normalizeBool(merged.preserveTimestamps, DEFAULT_PIPELINE_CONFIG.preserveTimestamps),
     keepHumanNotes: normalizeBool(merged.keepHumanNotes, DEFAULT_PIPELINE_CONFIG.keepHumanNotes),
     stackFramePreviewHead: normalizePositiveInt(merged.stackFramePreviewHead, DEFAULT_PIPELINE_CONFIG.stackFramePreviewHead),
     stackFramePreviewTail: normalizePositiveInt(merged.stackFramePreviewTail, DEFAULT_PIPELINE_CONFIG.stackFramePreviewTail),
+    framePathRules: normalizeFramePathRules(merged.framePathRules),
+    ciFailureTailLines: normalizePositiveInt(merged.ciFailureTailLines, DEFAULT_PIPELINE_CONFIG.ciFailureTailLines),
+    diffKeepFirstHunk: normalizeBool(merged.diffKeepFirstHunk, DEFAULT_PIPELINE_CONFIG.diffKeepFirstHunk),
     debugScore: normalizeBool(
       merged.debugScore ?? (typeof process !== 'undefined' ? process.env.LOGSLIMMER_DEBUG_SCORE : undefined),
       DEFAULT_PIPELINE_CONFIG.debugScore
@@ -22,46 +22,36 @@ export function isContextEvent(event) {
 }
 
 /**
- * Builds the scenario reconstruction section.
+ * Builds the scenario: each story marker with the context events that follow it.
  * 
  * @param {Array} allEvents - All events sorted by order
- * @returns {object} { storyText: string, usedEventIds: Set<number> }
+ * @returns {object} { steps: [{ order, lines, context: [{ order, lines }] }], usedEventIds: Set<number> }
  */
 export function reconstructScenario(allEvents) {
   const usedEventIds = new Set()
-  const scenarioLines = []
+  const steps = []
   
   // Sort events by original order to ensure chronology
   const sortedEvents = [...allEvents].sort((a, b) => a.order - b.order)
   
-  let currentStoryBlock = null
+  let currentStep = null
   
   for (const event of sortedEvents) {
     // 1. Identify Story Markers (Explicit User Annotations)
     if (event.primaryCategory === 'Story') {
-      currentStoryBlock = event
+      currentStep = { order: event.order, lines: [...event.processedLines], context: [] }
       usedEventIds.add(event.order) // Assuming order is unique enough for ID in this context
-      
-      // Add distinct visual separator for new story steps
-      if (scenarioLines.length > 0) scenarioLines.push('')
-      scenarioLines.push(...event.processedLines)
+      steps.push(currentStep)
       continue
     }
     
     // 2. Identify Context Events (Implicit Application Logic)
     // Only add if we are inside a story block (after at least one marker)
-    if (currentStoryBlock && isContextEvent(event)) {
+    if (currentStep && isContextEvent(event)) {
       usedEventIds.add(event.order)
-      // Indent context events to show they belong to the step
-      const indentedLines = event.processedLines.map(line => `  ${line}`)
-      scenarioLines.push(...indentedLines)
+      currentStep.context.push({ order: event.order, lines: [...event.processedLines] })
     }
   }
   
-  return {
-    storyText: scenarioLines.length > 0 
-      ? '## Scenario Reconstruction\n' + scenarioLines.join('\n') 
-      : '',
-    usedEventIds
-  }
+  return { steps, usedEventIds }
 }
@@ -159,8 +159,8 @@ function isTurnBoundary(line, newType, currentType) {
     return true
   }
 
-  // Explicit separation patterns
-  if (trimmed.match(/^─{3,}|^===+|^---+|^###|^##\s/)) {
+  // Explicit separation patterns (speaker prefixes of normalized transcripts included)
+  if (trimmed.match(/^─{3,}|^===+|^---+|^###|^##\s|^(?:USER|AGENT|TOOL):/)) {
     return true
   }
 
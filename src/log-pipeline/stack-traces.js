@@ -0,0 +1,793 @@
+/**
+ * Language-aware stack trace handling (Python, JVM, Go)
+ *
+ * Two jobs:
+ * - keep a whole trace inside one event while splitting text input
+ *   (blank lines and exception lines would otherwise start new events)
+ * - fold a trace found in an event and compute its signature
+ *
+ * Each trace kind provides `track` (splitter state machine) and `parse`
+ * (block parser). JS-style `at ...` frames are still folded by
+ * log-processor's foldStackTrace. Frames of every kind are classified as
+ * app, vendor or runtime code through `framePathRules`.
+ */
+
+import { logPipelineConfig } from './pipeline-config.js'
+
+const STACK_PREVIEW_HEAD = logPipelineConfig.stackFramePreviewHead
+const STACK_PREVIEW_TAIL = logPipelineConfig.stackFramePreviewTail
+const FRAME_PATH_RULES = logPipelineConfig.framePathRules
+
+const PYTHON_TRACEBACK_REGEX = /^\s*Traceback \(most recent call last\):\s*$/
+const PYTHON_FRAME_REGEX = /^\s*File "([^"]+)", line (\d+)(?:, in (.+))?$/
+const PYTHON_CHAIN_REGEX = /^\s*(During handling of the above exception, another exception occurred|The above exception was the direct cause of the following exception):\s*$/
+const PYTHON_EXCEPTION_REGEX = /^([A-Za-z_][\w.]*)(?::\s*(.*))?$/
+
+const JVM_HEADER_REGEX = /^(?:Exception in thread "[^"]*" )?((?:[\w$]+\.)+[\w$]*(?:Exception|Error|Throwable)[\w$]*)(?::\s*(.*))?$/
+// Braces: redaction may already have replaced long class names with {API_KEY}
+const JVM_FRAME_REGEX = /^\s+at\s+(?:[\w.$-]+\/)*([\w$.<>{}]+)\.([\w$<>{}-]+)\(([^)]*)\)/
+const JVM_MORE_REGEX = /^\s+\.\.\. (\d+) (?:more|common frames omitted)\s*$/
+const JVM_LINK_REGEX = /^\s*(Caused by|Suppressed): (.*)$/
+const MAX_APP_FRAMES_PER_LINK = 3
+
+const V8_FRAME_REGEX = /^(\s*at\s+)(?:(.*?)\s+\()?([^\s()]+?):(\d+):(\d+)\)?\s*$/
+const GECKO_FRAME_REGEX = /^(\s*)([^@\s]*)@([^\s@]+?):(\d+):(\d+)\s*$/
+// Chrome DevTools "copy stack": `handleClick @ Button.tsx:42`
+const DEVTOOLS_FRAME_REGEX = /^(\s*)(.*?) @ (\S+?):(\d+)(?::(\d+))?\s*$/
+
+const GO_PANIC_REGEX = /^(?:panic: |fatal error: )(.*)$/
+const GO_GOROUTINE_REGEX = /^goroutine (\d+)(?: [^[]*)?\[([^\]]+)\]:\s*$/
+const GO_FUNCTION_REGEX = /^(?:created by )?(.+?)(?:\([^()]*\))?(?: in goroutine \d+)?$/
+const GO_FILE_REGEX = /^\s+(\S+?\.(?:go|s)):(\d+)(?: \+0x[0-9a-f]+)?\s*$/i
+// `main.handler(0xc000010000)`, `net/http.(*conn).serve(...)`, `panic({0x64ec20?, 0xc000012345?})`
+const GO_CALL_REGEX = /^[\w./*()[\]-]+\(.*\)$/
+const GO_CONTEXT_REGEX = /^(?:\[signal |\[recovered\]|exit status \d+|\.\.\.additional frames elided\.\.\.|SIGQUIT: |PC=|\s)/
+const MAX_GOROUTINE_GROUPS = 10
+
+function baseName(path) {
+  return path.split(/[\\/]/).pop()
+}
+
+function nextNonEmptyIndex(lines, index) {
+  for (let next = index + 1; next < lines.length; next++) {
+    if (lines[next].trim()) return next
+  }
+  return -1
+}
+
+function nextNonEmptyLine(lines, index) {
+  const next = nextNonEmptyIndex(lines, index)
+  return next > -1 ? lines[next] : null
+}
+
+/**
+ * Keep `head` and `tail` items of a list, reporting how many were dropped
+ * @param {Array} items - Frames
+ * @returns {{head: Array, tail: Array, omitted: number}}
+ */
+function previewFrames(items) {
+  const headCount = Math.max(0, STACK_PREVIEW_HEAD)
+  const tailCount = Math.max(0, STACK_PREVIEW_TAIL)
+  if (items.length <= headCount + tailCount || (headCount === 0 && tailCount === 0)) {
+    return { head: items, tail: [], omitted: 0 }
+  }
+  return {
+    head: items.slice(0, headCount),
+    tail: tailCount > 0 ? items.slice(-tailCount) : [],
+    omitted: items.length - headCount - tailCount
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Frame classification
+// ---------------------------------------------------------------------------
+
+/**
+ * Classify a frame as app, vendor or runtime code (first matching rule wins)
+ * @param {string} target - Text the rules match: frame line (JS), file (Python),
+ *   qualified method (JVM) or "function file" (Go)
+ * @param {string} lang - Trace kind: js, python, jvm or go
+ * @returns {{kind: 'app'|'vendor'|'runtime', label: string|null}}
+ */
+export function classifyFrame(target, lang) {
+  for (const rule of FRAME_PATH_RULES) {
+    if (rule.lang && rule.lang !== lang) continue
+    const match = target.match(rule.pattern)
+    if (match) {
+      return { kind: rule.kind, label: rule.label || match[1] || rule.kind }
+    }
+  }
+  return { kind: 'app', label: null }
+}
+
+function describeFrameRun(labels) {
+  const counts = new Map()
+  for (const label of labels) {
+    counts.set(label, (counts.get(label) || 0) + 1)
+  }
+  const noun = (count) => (count === 1 ? 'frame' : 'frames')
+  if (counts.size === 1) {
+    const [[label, count]] = counts
+    return `… (${count} ${label} ${noun(count)})`
+  }
+  const parts = Array.from(counts, ([label, count]) => `${count} ${label}`)
+  return `… (${labels.length} library ${noun(labels.length)}: ${parts.join(', ')})`
+}
+
+/**
+ * Collapse each run of vendor/runtime frames into a note such as
+ * "… (12 react-dom frames)". App frames are kept up to the head/tail preview
+ * size; the app frames in between are left out with the runs around them.
+ * @param {Array} frames - Frames in trace order
+ * @param {(frame: any) => string} toTarget - Text matched by the rules
+ * @param {string} lang - Trace kind
+ * @returns {Array<{frame: any}|{note: string}>|null} Null when no frame is app code or
+ *   collapsing would not shorten the trace (callers fall back to the head/tail preview)
+ */
+export function collapseFrames(frames, toTarget, lang) {
+  const entries = []
+  let run = []
+  let appFrames = 0
+
+  const flushRun = () => {
+    if (run.length) {
+      entries.push({ note: describeFrameRun(run), count: run.length })
+      run = []
+    }
+  }
+
+  for (const frame of frames) {
+    const { kind, label } = classifyFrame(toTarget(frame), lang)
+    if (kind === 'app') {
+      flushRun()
+      entries.push({ frame, count: 1 })
+      appFrames++
+    } else {
+      run.push(label)
+    }
+  }
+  flushRun()
+
+  if (!appFrames) return null
+  const capped = capAppFrames(entries, appFrames)
+  return capped.length < frames.length ? capped.map(({ frame, note }) => (note ? { note } : { frame })) : null
+}
+
+// Keep the first `head` and last `tail` app frames, with one note for everything between
+function capAppFrames(entries, appFrames) {
+  const headCount = Math.max(0, STACK_PREVIEW_HEAD)
+  const tailCount = Math.max(0, STACK_PREVIEW_TAIL)
+  if (appFrames <= headCount + tailCount || (headCount === 0 && tailCount === 0)) return entries
+
+  const appIndexes = entries.flatMap((entry, index) => (entry.frame ? [index] : []))
+  const headEnd = headCount ? appIndexes[headCount - 1] + 1 : 0
+  const tailStart = tailCount ? appIndexes[appIndexes.length - tailCount] : entries.length
+  const omitted = entries.slice(headEnd, tailStart).reduce((sum, entry) => sum + entry.count, 0)
+  return [
+    ...entries.slice(0, headEnd),
+    { note: `… (${omitted} frames omitted)`, count: omitted },
+    ...entries.slice(tailStart)
+  ]
+}
+
+/**
+ * Parse a JS frame: V8 `at fn (file:line:col)`, Gecko `fn@file:line:col`
+ * or DevTools `fn @ file:line`
+ * @param {string} line - Frame line
+ * @returns {{fn: string|null, file: string, line: number, column: number|null}|null}
+ */
+export function parseJsFrame(line) {
+  const match = line.match(V8_FRAME_REGEX) || line.match(GECKO_FRAME_REGEX) || line.match(DEVTOOLS_FRAME_REGEX)
+  if (!match) return null
+  const [, , fn, file, lineNumber, column] = match
+  return { fn: fn || null, file, line: Number(lineNumber), column: column ? Number(column) : null }
+}
+
+/**
+ * Signature of a JS trace from its first app frame (`js handleClick @ Button.tsx`)
+ * @param {string[]} frameLines - Frame lines in trace order
+ * @returns {string|null} Null when no app frame can be parsed
+ */
+export function jsTraceSignature(frameLines) {
+  for (const line of frameLines) {
+    const frame = parseJsFrame(line)
+    if (frame && classifyFrame(line.trim(), 'js').kind === 'app') {
+      return `js ${frame.fn || '<anonymous>'} @ ${baseName(frame.file.split(/[?#]/)[0])}`
+    }
+  }
+  return null
+}
+
+// ---------------------------------------------------------------------------
+// Source maps
+// ---------------------------------------------------------------------------
+
+/**
+ * Rewrite minified JS frames (`at e (main.3f2a.js:1:48213)`, `e@main.3f2a.js:1:48213`)
+ * to their original `src/...:line:col` location
+ * @param {string[]} lines - Event lines
+ * @param {{size: number, resolve: Function}|null} resolver - From createSourceMapResolver
+ * @returns {string[]} Lines with resolvable frames rewritten
+ */
+export function rewriteFramesWithSourceMaps(lines, resolver) {
+  if (!resolver?.size) return lines
+
+  return lines.map((line) => {
+    const v8 = line.match(V8_FRAME_REGEX)
+    if (v8) {
+      const [, prefix, fn, file, lineNumber, column] = v8
+      const original = resolver.resolve(file, Number(lineNumber), Number(column))
+      if (!original) return line
+      const location = `${original.source}:${original.line}:${original.column}`
+      const name = original.name || fn
+      return name ? `${prefix}${name} (${location})` : `${prefix}${location}`
+    }
+
+    const gecko = line.match(GECKO_FRAME_REGEX)
+    if (gecko) {
+      const [, indent, fn, file, lineNumber, column] = gecko
+      const original = resolver.resolve(file, Number(lineNumber), Number(column))
+      if (!original) return line
+      return `${indent}${original.name || fn}@${original.source}:${original.line}:${original.column}`
+    }
+
+    return line
+  })
+}
+
+// ---------------------------------------------------------------------------
+// Python
+// ---------------------------------------------------------------------------
+
+/**
+ * Splitter state for Python tracebacks, including chained exceptions
+ * phases: frames -> ended -> (chain -> frames)*
+ */
+function trackPython(state, lines, index) {
+  const line = lines[index]
+  const blank = !line.trim()
+
+  if (!state) {
+    return PYTHON_TRACEBACK_REGEX.test(line) ? { next: { kind: 'python', phase: 'frames' }, keep: false } : null
+  }
+
+  switch (state.phase) {
+    case 'frames':
+      if (blank) return { next: null, keep: false }
+      // Frames and code lines are indented, the exception line is not
+      if (/^\s/.test(line) || PYTHON_TRACEBACK_REGEX.test(line)) return { next: state, keep: true }
+      return { next: { kind: 'python', phase: 'ended' }, keep: true }
+    case 'ended':
+      if (PYTHON_CHAIN_REGEX.test(line)) return { next: { kind: 'python', phase: 'chain' }, keep: true }
+      if (blank) {
+        const upcoming = nextNonEmptyLine(lines, index)
+        return upcoming && PYTHON_CHAIN_REGEX.test(upcoming)
+          ? { next: state, keep: true }
+          : { next: null, keep: false }
+      }
+      // Multi-line messages and 3.11+ notes are indented
+      return /^\s/.test(line) ? { next: state, keep: true } : { next: null, keep: false }
+    case 'chain':
+      if (blank) return { next: state, keep: true }
+      if (PYTHON_TRACEBACK_REGEX.test(line)) return { next: { kind: 'python', phase: 'frames' }, keep: true }
+      return { next: null, keep: false }
+    default:
+      return { next: null, keep: false }
+  }
+}
+
+/**
+ * Parse one traceback block (plus chained tracebacks) starting at `start`
+ * @returns {{end: number, trace: Object}|null}
+ */
+function parsePython(lines, start) {
+  if (!PYTHON_TRACEBACK_REGEX.test(lines[start])) return null
+
+  const links = []
+  let index = start
+  let relation = null
+
+  while (index < lines.length && PYTHON_TRACEBACK_REGEX.test(lines[index])) {
+    const header = lines[index]
+    const frames = []
+    index++
+
+    while (index < lines.length) {
+      const frameMatch = lines[index].match(PYTHON_FRAME_REGEX)
+      if (frameMatch) {
+        frames.push({
+          file: frameMatch[1],
+          line: Number(frameMatch[2]),
+          fn: frameMatch[3] || null,
+          lines: [lines[index]]
+        })
+        index++
+        continue
+      }
+      // Source excerpt and ^^^^ markers under the current frame
+      if (frames.length && /^\s/.test(lines[index]) && lines[index].trim()) {
+        frames[frames.length - 1].lines.push(lines[index])
+        index++
+        continue
+      }
+      break
+    }
+
+    const exceptionLines = []
+    const exceptionMatch = index < lines.length ? lines[index].trim().match(PYTHON_EXCEPTION_REGEX) : null
+    if (index < lines.length && lines[index].trim() && !PYTHON_CHAIN_REGEX.test(lines[index])) {
+      exceptionLines.push(lines[index])
+      index++
+      while (index < lines.length && /^\s/.test(lines[index]) && lines[index].trim()) {
+        exceptionLines.push(lines[index])
+        index++
+      }
+    }
+
+    links.push({
+      relation,
+      header,
+      frames,
+      exceptionLines,
+      exception: exceptionMatch ? exceptionMatch[1] : 'UnknownException',
+      message: exceptionMatch?.[2] || ''
+    })
+
+    // Chained exception?
+    let lookahead = index
+    while (lookahead < lines.length && !lines[lookahead].trim()) lookahead++
+    if (lookahead < lines.length && PYTHON_CHAIN_REGEX.test(lines[lookahead])) {
+      relation = lines[lookahead].trim()
+      lookahead++
+      while (lookahead < lines.length && !lines[lookahead].trim()) lookahead++
+      if (lookahead < lines.length && PYTHON_TRACEBACK_REGEX.test(lines[lookahead])) {
+        index = lookahead
+        continue
+      }
+    }
+    break
+  }
+
+  const final = links[links.length - 1]
+  const frame = innermostAppFrame(final.frames, isPythonLibraryFrame)
+  const location = frame ? ` @ ${baseName(frame.file)}:${frame.fn || frame.line}` : ''
+
+  return {
+    end: index,
+    trace: {
+      kind: 'python',
+      exception: final.exception,
+      message: final.message,
+      chain: links.map((link) => link.exception),
+      frameCount: links.reduce((sum, link) => sum + link.frames.length, 0),
+      signature: `python ${final.exception}${location}`,
+      links
+    }
+  }
+}
+
+function isPythonLibraryFrame(frame) {
+  return classifyFrame(frame.file, 'python').kind !== 'app'
+}
+
+function innermostAppFrame(frames, isLibrary) {
+  for (let index = frames.length - 1; index >= 0; index--) {
+    if (!isLibrary(frames[index])) return frames[index]
+  }
+  return frames[frames.length - 1] || null
+}
+
+function foldPython(trace) {
+  const header = [`[STACKTRACE ${trace.signature}] (${trace.frameCount} frames)`]
+  if (trace.chain.length > 1) {
+    header.push(`Exception chain: ${trace.chain.join(' → ')}`)
+  }
+
+  const body = []
+  for (const link of trace.links) {
+    if (link.relation) body.push(link.relation)
+    body.push(link.header)
+    const collapsed = collapseFrames(link.frames, (frame) => frame.file, 'python')
+    if (collapsed) {
+      collapsed.forEach((entry) => (entry.note ? body.push(`  ${entry.note}`) : body.push(...entry.frame.lines)))
+    } else {
+      const { head, tail, omitted } = previewFrames(link.frames)
+      head.forEach((frame) => body.push(...frame.lines))
+      if (omitted > 0) body.push(`… (${omitted} frames omitted)`)
+      tail.forEach((frame) => body.push(...frame.lines))
+    }
+    body.push(...link.exceptionLines)
+  }
+
+  return [...header, ...body]
+}
+
+// ---------------------------------------------------------------------------
+// JVM (Java, Kotlin, Scala)
+// ---------------------------------------------------------------------------
+
+function isJvmHeader(line, next) {
+  return JVM_HEADER_REGEX.test(line.trim()) && next !== null && JVM_FRAME_REGEX.test(next)
+}
+
+function isJvmContinuation(line) {
+  return JVM_FRAME_REGEX.test(line) || JVM_MORE_REGEX.test(line) || JVM_LINK_REGEX.test(line)
+}
+
+/**
+ * Splitter state for JVM traces: the header joins the log line above it
+ * (unless it is an uncaught `Exception in thread`), then frames,
+ * `Caused by:` / `Suppressed:` sections and `... N more` stay together
+ */
+function trackJvm(state, lines, index) {
+  const line = lines[index]
+
+  if (!state) {
+    if (!isJvmHeader(line, nextNonEmptyLine(lines, index))) return null
+    return { next: { kind: 'jvm' }, keep: !/^Exception in thread/.test(line.trim()) }
+  }
+
+  return isJvmContinuation(line) ? { next: state, keep: true } : { next: null, keep: false }
+}
+
+function parseJvmException(text) {
+  const match = text.trim().match(JVM_HEADER_REGEX)
+  return match
+    ? { exception: match[1], message: match[2] || '' }
+    : { exception: text.trim().split(':')[0] || 'UnknownException', message: text.trim().split(':').slice(1).join(':').trim() }
+}
+
+function parseJvmFrame(line) {
+  const match = line.match(JVM_FRAME_REGEX)
+  return {
+    text: line.trim(),
+    className: match[1],
+    method: match[2],
+    location: match[3]
+  }
+}
+
+function isJvmLibraryFrame(frame) {
+  return frame.location === 'Native Method' || classifyFrame(`${frame.className}.${frame.method}`, 'jvm').kind !== 'app'
+}
+
+/**
+ * Parse a JVM trace: header, frames, `Caused by:` links and `... N more`
+ * @returns {{end: number, trace: Object}|null}
+ */
+function parseJvm(lines, start) {
+  if (!isJvmHeader(lines[start], start + 1 < lines.length ? lines[start + 1] : null)) return null
+
+  const links = [{ relation: null, ...parseJvmException(lines[start].replace(/^Exception in thread "[^"]*" /, '')), frames: [], more: 0 }]
+  let index = start + 1
+
+  while (index < lines.length) {
+    const line = lines[index]
+    const current = links[links.length - 1]
+
+    if (JVM_FRAME_REGEX.test(line)) {
+      current.frames.push(parseJvmFrame(line))
+    } else if (JVM_MORE_REGEX.test(line)) {
+      current.more = Number(line.match(JVM_MORE_REGEX)[1])
+    } else if (JVM_LINK_REGEX.test(line)) {
+      const [, relation, rest] = line.match(JVM_LINK_REGEX)
+      links.push({ relation, ...parseJvmException(rest), frames: [], more: 0 })
+    } else {
+      break
+    }
+    index++
+  }
+
+  // Suppressed exceptions are attached to a link, they are not causes
+  const chain = links.filter((link) => link.relation !== 'Suppressed')
+  const root = chain[chain.length - 1]
+
+  // Frames elided by `... N more` are the enclosing link's, so walk outwards
+  let frame = null
+  for (let position = chain.length - 1; position >= 0 && !frame; position--) {
+    frame = chain[position].frames.find((candidate) => !isJvmLibraryFrame(candidate)) || null
+  }
+  frame = frame || root.frames[0] || null
+  const location = frame ? ` @ ${frame.className}.${frame.method}` : ''
+
+  return {
+    end: index,
+    trace: {
+      kind: 'jvm',
+      exception: root.exception,
+      message: root.message,
+      chain: chain.map((link) => link.exception),
+      frameCount: links.reduce((sum, link) => sum + link.frames.length, 0),
+      signature: `jvm ${root.exception}${location}`,
+      links
+    }
+  }
+}
+
+function foldJvm(trace) {
+  const lines = [`[STACKTRACE ${trace.signature}] (${trace.frameCount} frames, ${trace.chain.length} exception${trace.chain.length > 1 ? 's' : ''})`]
+  if (trace.chain.length > 1) {
+    lines.push('Cause chain (outer → root):')
+  }
+
+  const rootIndex = trace.links.map((link) => link.relation !== 'Suppressed').lastIndexOf(true)
+  trace.links.forEach((link, position) => {
+    const appFrames = link.frames.filter((frame) => !isJvmLibraryFrame(frame))
+    const details = [`${link.frames.length} frames`]
+    if (link.more) details.push(`… ${link.more} more`)
+    if (position === rootIndex && trace.chain.length > 1) details.push('root cause')
+    const prefix = link.relation ? `${link.relation}: ` : ''
+    const message = link.message ? `: ${link.message}` : ''
+    lines.push(`- ${prefix}${link.exception}${message} (${details.join(', ')})`)
+
+    for (const frame of appFrames.slice(0, MAX_APP_FRAMES_PER_LINK)) {
+      lines.push(`    at ${frame.className}.${frame.method}(${frame.location})`)
+    }
+    if (appFrames.length > MAX_APP_FRAMES_PER_LINK) {
+      lines.push(`    … (${appFrames.length - MAX_APP_FRAMES_PER_LINK} more app frames)`)
+    }
+  })
+
+  return lines
+}
+
+// ---------------------------------------------------------------------------
+// Go panics and goroutine dumps
+// ---------------------------------------------------------------------------
+
+/**
+ * File line of a frame, or function line followed by its file line: a log
+ * line that merely ends in `)` is not a frame
+ */
+function isGoFrameLine(lines, index) {
+  const line = lines[index]
+  if (GO_FILE_REGEX.test(line)) return true
+  if (/^\s/.test(line) || !(line.startsWith('created by ') || GO_CALL_REGEX.test(line.trim()))) return false
+  return index + 1 < lines.length && GO_FILE_REGEX.test(lines[index + 1])
+}
+
+function isGoContinuation(lines, index) {
+  const line = lines[index]
+  return GO_GOROUTINE_REGEX.test(line) || GO_PANIC_REGEX.test(line) || GO_CONTEXT_REGEX.test(line) || isGoFrameLine(lines, index)
+}
+
+/**
+ * Splitter state for Go panics: goroutine sections are separated by blank
+ * lines, so a blank line stays in the dump when more of it follows
+ */
+function trackGo(state, lines, index) {
+  const line = lines[index]
+
+  if (!state) {
+    return GO_PANIC_REGEX.test(line) || GO_GOROUTINE_REGEX.test(line)
+      ? { next: { kind: 'go' }, keep: false }
+      : null
+  }
+
+  if (!line.trim()) {
+    const upcoming = nextNonEmptyIndex(lines, index)
+    return upcoming > -1 && isGoContinuation(lines, upcoming) && !/^\s/.test(lines[upcoming])
+      ? { next: state, keep: true }
+      : { next: null, keep: false }
+  }
+
+  return isGoContinuation(lines, index) ? { next: state, keep: true } : { next: null, keep: false }
+}
+
+function parseGoroutine(lines, start) {
+  const [, id, rawState] = lines[start].match(GO_GOROUTINE_REGEX)
+  const goroutine = {
+    id: Number(id),
+    // "chan receive, 5 minutes" -> "chan receive"
+    state: rawState.split(',')[0].trim(),
+    lines: [lines[start]],
+    frames: []
+  }
+
+  let index = start + 1
+  while (index < lines.length && !GO_GOROUTINE_REGEX.test(lines[index]) && isGoFrameLine(lines, index)) {
+    const line = lines[index]
+    goroutine.lines.push(line)
+    const file = line.match(GO_FILE_REGEX)
+    if (file) {
+      const frame = goroutine.frames[goroutine.frames.length - 1]
+      if (frame && !frame.file) {
+        frame.file = file[1]
+        frame.line = Number(file[2])
+      }
+    } else {
+      const fn = line.trim().match(GO_FUNCTION_REGEX)
+      goroutine.frames.push({ fn: fn ? fn[1] : line.trim(), createdBy: line.startsWith('created by '), file: null, line: null })
+    }
+    index++
+  }
+
+  return { end: index, goroutine }
+}
+
+function isGoLibraryFrame(frame) {
+  return classifyFrame(`${frame.fn} ${frame.file || ''}`, 'go').kind !== 'app'
+}
+
+function goLocation(frame) {
+  return frame?.file ? `${baseName(frame.file)}:${frame.line}` : frame?.fn || 'unknown'
+}
+
+/**
+ * Parse a panic / fatal error with its goroutine sections
+ * @returns {{end: number, trace: Object}|null}
+ */
+function parseGo(lines, start) {
+  if (!GO_PANIC_REGEX.test(lines[start]) && !GO_GOROUTINE_REGEX.test(lines[start])) return null
+
+  const preamble = []
+  const goroutines = []
+  const trailer = []
+  let index = start
+
+  while (index < lines.length && !GO_GOROUTINE_REGEX.test(lines[index]) &&
+         (index === start || GO_PANIC_REGEX.test(lines[index]) || GO_CONTEXT_REGEX.test(lines[index]))) {
+    preamble.push(lines[index])
+    index++
+  }
+
+  while (index < lines.length) {
+    if (GO_GOROUTINE_REGEX.test(lines[index])) {
+      const parsed = parseGoroutine(lines, index)
+      goroutines.push(parsed.goroutine)
+      index = parsed.end
+    } else if (/^exit status \d+/.test(lines[index])) {
+      trailer.push(lines[index])
+      index++
+    } else {
+      break
+    }
+  }
+
+  // A bare panic line without goroutines is not a dump
+  if (!goroutines.length) return null
+
+  const [main, ...others] = goroutines
+  const groups = new Map()
+  for (const goroutine of others) {
+    const key = [goroutine.state, ...goroutine.frames.map((frame) => `${frame.fn}@${frame.file}:${frame.line}`)].join('|')
+    if (!groups.has(key)) {
+      const top = goroutine.frames.find((frame) => !isGoLibraryFrame(frame) && !frame.createdBy) || goroutine.frames[0]
+      groups.set(key, { state: goroutine.state, location: goLocation(top), fn: top?.fn || null, count: 0 })
+    }
+    groups.get(key).count++
+  }
+
+  const panicMatch = preamble.length ? preamble[0].match(GO_PANIC_REGEX) : null
+  const reason = panicMatch
+    ? panicMatch[1].replace(/0x[0-9a-f]+/gi, '0xN').replace(/\d+/g, 'N').slice(0, 80)
+    : 'goroutine dump'
+  const frame = main.frames.find((candidate) => !isGoLibraryFrame(candidate) && !candidate.createdBy) || main.frames[0]
+
+  return {
+    end: index,
+    trace: {
+      kind: 'go',
+      exception: reason,
+      message: panicMatch ? panicMatch[1] : '',
+      chain: [reason],
+      frameCount: main.frames.length,
+      signature: `go ${reason}${frame ? ` @ ${frame.fn}` : ''}`,
+      preamble,
+      main,
+      goroutineCount: goroutines.length,
+      groups: Array.from(groups.values()).sort((a, b) => b.count - a.count),
+      trailer
+    }
+  }
+}
+
+function foldGo(trace) {
+  const lines = [`[STACKTRACE ${trace.signature}] (${trace.goroutineCount} goroutine${trace.goroutineCount > 1 ? 's' : ''})`]
+  lines.push(...trace.preamble)
+
+  // Group counts come before the full panicking goroutine so they survive sample truncation
+  if (trace.groups.length) {
+    const others = trace.goroutineCount - 1
+    lines.push(`Other goroutines: ${others} in ${trace.groups.length} group${trace.groups.length > 1 ? 's' : ''}`)
+    for (const group of trace.groups.slice(0, MAX_GOROUTINE_GROUPS)) {
+      const noun = group.count > 1 ? 'goroutines' : 'goroutine'
+      lines.push(`- ${group.count} ${noun} blocked in ${group.state} at ${group.location}${group.fn ? ` (${group.fn})` : ''}`)
+    }
+    if (trace.groups.length > MAX_GOROUTINE_GROUPS) {
+      lines.push(`- … (${trace.groups.length - MAX_GOROUTINE_GROUPS} additional groups)`)
+    }
+  }
+
+  lines.push(...trace.main.lines)
+  lines.push(...trace.trailer)
+  return lines
+}
+
+// ---------------------------------------------------------------------------
+// Registry
+// ---------------------------------------------------------------------------
+
+const TRACE_KINDS = [
+  { kind: 'jvm', track: trackJvm, parse: parseJvm, fold: foldJvm },
+  { kind: 'python', track: trackPython, parse: parsePython, fold: foldPython },
+  { kind: 'go', track: trackGo, parse: parseGo, fold: foldGo }
+]
+
+/**
+ * Splitter helper that keeps multi-line traces in a single event
+ * @returns {{continues: (lines: string[], index: number) => boolean}}
+ */
+export function createStackTraceTracker() {
+  let state = null
+
+  return {
+    /**
+     * Whether lines[index] belongs to the trace being read and must not
+     * start a new event. Blank lines look ahead for chained traces.
+     */
+    continues(lines, index) {
+      if (state) {
+        const kind = TRACE_KINDS.find((candidate) => candidate.kind === state.kind)
+        const step = kind.track(state, lines, index)
+        state = step.next
+        if (step.keep) return true
+      }
+
+      for (const kind of TRACE_KINDS) {
+        const step = kind.track(null, lines, index)
+        if (step) {
+          state = step.next
+          return step.keep
+        }
+      }
+      return false
+    }
+  }
+}
+
+/**
+ * Fold every recognized trace of an event; other lines go through `foldPlain`
+ * @param {string[]} lines - Event lines
+ * @param {(lines: string[]) => string[]} foldPlain - Folding for the remaining lines
+ * @returns {{lines: string[], traces: Object[]}}
+ */
+export function foldStackTraces(lines, foldPlain = (plain) => plain) {
+  const result = []
+  const traces = []
+  let plain = []
+
+  const flushPlain = () => {
+    if (plain.length) {
+      result.push(...foldPlain(plain))
+      plain = []
+    }
+  }
+
+  let index = 0
+  while (index < lines.length) {
+    let parsed = null
+    let kind = null
+    for (const candidate of TRACE_KINDS) {
+      parsed = candidate.parse(lines, index)
+      if (parsed) {
+        kind = candidate
+        break
+      }
+    }
+
+    if (!parsed) {
+      plain.push(lines[index])
+      index++
+      continue
+    }
+
+    flushPlain()
+    result.push(...kind.fold(parsed.trace))
+    traces.push(parsed.trace)
+    index = Math.max(parsed.end, index + 1)
+  }
+
+  flushPlain()
+  return { lines: result, traces }
+}
@@ -0,0 +1,268 @@
+/**
+ * Handoff brief: the context a fresh agent session needs to pick up where
+ * the transcript stopped
+ *
+ * Sections: goal, constraints stated by the user, state of each touched
+ * file, open errors, approaches already tried and rejected, and the next
+ * action. Lists are trimmed (least useful first) until the brief fits the
+ * token budget.
+ */
+
+import { countTokens } from '../utils/token-counter.js'
+import { isCommandTool } from './transcripts/tool-calls.js'
+
+export const DEFAULT_HANDOFF_TOKEN_BUDGET = 1500
+
+const GOAL_CHAR_LIMIT = 600
+const MIN_TEXT_CHARS = 40 // goal and next action are shortened until they get below this
+const SECTION_ITEM_LIMIT = 10
+const ITEM_CHAR_LIMIT = 220
+const ACKNOWLEDGEMENT_REGEX = /^(?:ok(?:ay)?|yes|yep|sure|thanks?(?: you)?|continue|go on|go ahead|proceed|do it|lgtm|perfect|great|nice)\b[\s.!]*$/i
+const CONSTRAINT_REGEX = /\b(?:don'?t|do not|never|must(?: not)?|only|without|avoid|keep|make sure|always|should(?:n'?t| not)|no need to|instead of|prefer|stick to)\b/i
+const USER_REJECTION_REGEX = /\b(?:instead|revert|undo|roll ?back|not what|that'?s wrong|wrong approach|rather than|stop|don'?t use|no,)\b/i
+const AGENT_REJECTION_REGEX = /\b(?:didn'?t work|doesn'?t work|won'?t work|did not work|does not work|reverted|rolled back|abandon(?:ed|ing)?|giving up on|switch(?:ed|ing)? to|instead)\b/i
+const NEXT_STEP_REGEX = /\bnext(?: step)?s?\s*(?::|is to|would be|,)\s*(.+)/i
+const FILE_TARGET_REGEX = /^[\w.~\-/\\:@]+\.\w+$/
+const EDIT_TOOL_REGEX = /edit|write|patch|replace|create/i
+const SENTENCE_SPLIT_REGEX = /(?<=[.!?])\s+|\n+/
+
+/**
+ * Build the handoff brief
+ * @param {Object} digest - Structured digest (with enrichedTurns)
+ * @param {Object[]} timeline - Recap events (tool events carry `tool`)
+ * @param {Object} [options]
+ * @param {number} [options.tokenBudget] - Maximum size of the brief in tokens
+ * @returns {{text: string, tokens: number, dropped: Object<string, number>}}
+ */
+export function buildHandoffBrief(digest, timeline, { tokenBudget = DEFAULT_HANDOFF_TOKEN_BUDGET } = {}) {
+  const turns = Array.isArray(digest.enrichedTurns) ? digest.enrichedTurns : []
+  const userMessages = turns.filter(turn => turn.text?.startsWith('USER:')).map(turn => ({ idx: turn.idx, text: stripSpeaker(turn.text) }))
+  const agentMessages = turns.filter(turn => turn.text?.startsWith('AGENT:')).map(turn => ({ idx: turn.idx, text: stripSpeaker(turn.text) }))
+  const toolEvents = timeline.filter(event => event.type === 'tool')
+
+  const lastRuns = new Map()
+  toolEvents.forEach(event => lastRuns.set(toolKey(event.tool), event))
+  const stillFailing = Array.from(lastRuns.values()).filter(event => event.tool.success === false)
+
+  const sections = [
+    // Chronological lists lose their oldest items first when trimmed
+    { key: 'constraints', title: 'Constraints', items: extractConstraints(userMessages), oldestFirst: true },
+    { key: 'files', title: 'Files', items: describeFileStates(toolEvents, digest.files) },
+    { key: 'errors', title: 'Open errors', items: describeOpenErrors(stillFailing, digest.errors) },
+    { key: 'tried', title: 'Tried and rejected', items: describeRejectedApproaches(toolEvents, lastRuns, userMessages, agentMessages), oldestFirst: true }
+  ]
+  const goal = describeGoal(userMessages)
+  const nextAction = describeNextAction(turns, userMessages, agentMessages, stillFailing)
+
+  return fitToBudget(goal, sections, nextAction, tokenBudget)
+}
+
+function stripSpeaker(text) {
+  return text.replace(/^(?:USER|AGENT):\s*/, '').trim()
+}
+
+function toolKey(call) {
+  return `${call.name}:${call.target}`
+}
+
+function clip(text, limit = ITEM_CHAR_LIMIT) {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim()
+  return flat.length > limit ? `${flat.slice(0, limit)}…` : flat
+}
+
+function splitSentences(text) {
+  return text.split(SENTENCE_SPLIT_REGEX).map(sentence => sentence.trim()).filter(Boolean)
+}
+
+function describeGoal(userMessages) {
+  const substantive = userMessages.filter(message => message.text.length > 15 && !ACKNOWLEDGEMENT_REGEX.test(message.text))
+  if (!substantive.length) return 'No explicit goal was stated in the transcript.'
+  const first = substantive[0]
+  const latest = substantive[substantive.length - 1]
+  if (first === latest) return clip(first.text, GOAL_CHAR_LIMIT)
+  return `${clip(first.text, GOAL_CHAR_LIMIT)}\n\nLatest request: ${clip(latest.text, GOAL_CHAR_LIMIT)}`
+}
+
+function extractConstraints(userMessages) {
+  const constraints = []
+  for (const message of userMessages) {
+    for (const sentence of splitSentences(message.text)) {
+      if (CONSTRAINT_REGEX.test(sentence)) constraints.push(clip(sentence))
+    }
+  }
+  // Later constraints override earlier ones: keep the most recent
+  return Array.from(new Set(constraints)).slice(-SECTION_ITEM_LIMIT)
+}
+
+/**
+ * Latest state per file, from tool calls first, then from the digest
+ */
+function describeFileStates(toolEvents, digestFiles = []) {
+  const states = new Map() // lowercased path -> { path, state, rank }
+  const setState = (path, state, rank) => {
+    const key = path.toLowerCase()
+    const current = states.get(key)
+    // An edit outranks a read, whatever the order
+    if (!current || rank >= current.rank) states.set(key, { path: current?.path || path, state, rank })
+  }
+
+  for (const event of toolEvents) {
+    const { tool } = event
+    if (isCommandTool(tool.name)) continue
+    const paths = tool.target.split(/,\s*/).filter(target => FILE_TARGET_REGEX.test(target))
+    const edits = EDIT_TOOL_REGEX.test(tool.name)
+    for (const path of paths) {
+      if (edits) setState(path, tool.success === false ? 'last edit failed' : 'edited', 2)
+      else setState(path, 'read only', 1)
+    }
+  }
+
+  for (const file of Array.isArray(digestFiles) ? digestFiles : []) {
+    // Tool targets are often absolute: `src/app.js` is `/repo/src/app.js`
+    const key = file.path.toLowerCase()
+    const known = Array.from(states.keys()).some(path => path === key || path.endsWith(`/${key}`))
+    if (!known) setState(file.path, file.status || 'mentioned', 0)
+  }
+
+  // Edited files first: they are what the next session has to build on
+  return Array.from(states.values())
+    .sort((a, b) => b.rank - a.rank)
+    .slice(0, SECTION_ITEM_LIMIT * 2)
+    .map(({ path, state }) => `\`${path}\` — ${state}`)
+}
+
+function describeOpenErrors(stillFailing, digestErrors = []) {
+  const items = stillFailing.map(event => {
+    const { tool } = event
+    const exit = tool.exitCode !== null ? ` (exit ${tool.exitCode})` : ''
+    return clip(`${tool.name} \`${tool.target}\` fails${exit}${tool.excerpt ? `: ${tool.excerpt}` : ''}`)
+  })
+  for (const error of Array.isArray(digestErrors) ? digestErrors : []) {
+    // Tool failures are covered above, with their latest outcome
+    if (error.resolved || /^TOOL:/.test(error.message)) continue
+    items.push(clip(error.message))
+  }
+  return Array.from(new Set(items)).slice(0, SECTION_ITEM_LIMIT)
+}
+
+function describeRejectedApproaches(toolEvents, lastRuns, userMessages, agentMessages) {
+  const items = []
+
+  // Tool calls that failed and were retried or superseded
+  const failures = new Map()
+  for (const event of toolEvents) {
+    if (event.tool.success !== false || lastRuns.get(toolKey(event.tool)) === event) continue
+    const key = toolKey(event.tool)
+    failures.set(key, { event, count: (failures.get(key)?.count || 0) + 1 })
+  }
+  for (const { event, count } of failures.values()) {
+    const { tool } = event
+    const times = count > 1 ? ` ${count} times` : ''
+    items.push({ idx: event.order, text: clip(`${tool.name} \`${tool.target}\` failed${times}${tool.excerpt ? `: ${tool.excerpt}` : ''}`) })
+  }
+
+  for (const message of userMessages) {
+    const sentence = splitSentences(message.text).find(candidate => USER_REJECTION_REGEX.test(candidate))
+    if (sentence) items.push({ idx: message.idx, text: clip(`User: "${sentence}"`) })
+  }
+  for (const message of agentMessages) {
+    const sentence = splitSentences(message.text).find(candidate => AGENT_REJECTION_REGEX.test(candidate))
+    if (sentence) items.push({ idx: message.idx, text: clip(`Agent: ${sentence}`) })
+  }
+
+  return items
+    .sort((a, b) => a.idx - b.idx)
+    .map(item => item.text)
+    .slice(-SECTION_ITEM_LIMIT)
+}
+
+function describeNextAction(turns, userMessages, agentMessages, stillFailing) {
+  const lastUser = userMessages[userMessages.length - 1]
+  const lastAgent = agentMessages[agentMessages.length - 1]
+  const lastTurn = turns[turns.length - 1]
+
+  // The user spoke last: their message is what is waiting for an answer
+  if (lastUser && lastTurn?.idx === lastUser.idx) {
+    return `Respond to the user's last message: ${clip(lastUser.text, GOAL_CHAR_LIMIT)}`
+  }
+
+  if (stillFailing.length) {
+    const { tool } = stillFailing.reduce((latest, event) => (event.order > latest.order ? event : latest))
+    const reason = tool.excerpt ? ` (${clip(tool.excerpt, 160)})` : ''
+    return `Fix the failure of ${tool.name} \`${tool.target}\`${reason}, then run it again.`
+  }
+
+  if (lastAgent) {
+    const next = lastAgent.text.match(NEXT_STEP_REGEX)
+    if (next) return clip(next[1].charAt(0).toUpperCase() + next[1].slice(1), GOAL_CHAR_LIMIT)
+    return `Verify the last reported state and continue from it: ${clip(lastAgent.text, 300)}`
+  }
+
+  return 'Confirm the goal with the user before making changes.'
+}
+
+function renderBrief(goal, sections, nextAction, { preamble = true, note = '' } = {}) {
+  const lines = ['# Handoff brief']
+  if (preamble) lines.push('You are taking over a coding session from another agent. Treat this brief as the current state of the work.')
+  lines.push('', '## Goal', goal)
+  // Sections with nothing recorded (or trimmed away) are left out
+  sections.forEach(({ title, items }) => {
+    if (items.length) lines.push('', `## ${title}`, ...items.map(item => `- ${item}`))
+  })
+  lines.push('', '## Next action', nextAction)
+  if (note) lines.push('', note)
+  return lines.join('\n')
+}
+
+/**
+ * Drop list items (tried approaches, then files, constraints and errors)
+ * until the brief fits, then the preamble; the goal and next action are
+ * shortened last
+ */
+function fitToBudget(goal, sections, nextAction, tokenBudget) {
+  const dropOrder = ['tried', 'files', 'constraints', 'errors']
+  const byKey = Object.fromEntries(sections.map(section => [section.key, section]))
+  const dropped = {}
+  let preamble = true
+
+  const render = () => {
+    const counts = Object.entries(dropped).filter(([, count]) => count > 0)
+    const note = counts.length
+      ? `_Trimmed to ${tokenBudget} tokens, left out: ${counts.map(([key, count]) => `${byKey[key].title.toLowerCase()} ${count}`).join(', ')}._`
+      : ''
+    return renderBrief(goal, sections, nextAction, { preamble, note })
+  }
+
+  let text = render()
+  let tokens = countTokens(text)
+  if (!tokenBudget || tokenBudget <= 0) return { text, tokens, dropped }
+
+  // First shorten every list to one item, then empty them
+  for (const floor of [1, 0]) {
+    for (const key of dropOrder) {
+      const section = byKey[key]
+      while (tokens > tokenBudget && section.items.length > floor) {
+        if (section.oldestFirst) section.items.shift()
+        else section.items.pop()
+        dropped[key] = (dropped[key] || 0) + 1
+        text = render()
+        tokens = countTokens(text)
+      }
+    }
+  }
+
+  if (tokens > tokenBudget) {
+    preamble = false
+    text = render()
+    tokens = countTokens(text)
+  }
+
+  while (tokens > tokenBudget && (goal.length > MIN_TEXT_CHARS || nextAction.length > MIN_TEXT_CHARS)) {
+    if (goal.length > MIN_TEXT_CHARS) goal = clip(goal, Math.floor(goal.length * 0.7))
+    if (nextAction.length > MIN_TEXT_CHARS) nextAction = clip(nextAction, Math.floor(nextAction.length * 0.7))
+    text = render()
+    tokens = countTokens(text)
+  }
+
+  return { text, tokens, dropped }
+}
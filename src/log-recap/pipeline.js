@@ -1,184 +1,315 @@
 import { segmentIntoTurns } from '../log-pipeline/semantic-analyzer.js'
 import { StructuredDigestExtractor } from '../log-pipeline/log-structured-digest.js'
+import { normalizeTranscript, detectTranscriptFormat, findPendingOffset, isAppendOnlyFormat } from './transcripts/index.js'
+import { buildHandoffBrief, DEFAULT_HANDOFF_TOKEN_BUDGET } from './handoff.js'
+import { parseToolCall, describeToolCall, isCommandTool } from './transcripts/tool-calls.js'
+import { foldDiffText, parseDiffSummary } from '../utils/diff-folding.js'
+import { countTokens } from '../utils/token-counter.js'
 
 // --- Constants ---
 const CHUNK_EVENT_LIMIT = 80
 const CHUNK_CHAR_LIMIT = 18000
 const SUMMARY_ITEM_LIMIT = 6
-const MAX_PROCESSED_LINES = 2000
+const COMMAND_OUTCOME_LIMIT = 12
+const FILE_CHANGE_LIMIT = 4 // latest changes listed per file in the Files section
+const ISSUE_LIMIT = 6
+// Limits tried in turn to fit a recap token budget
+const HIGHLIGHT_LIMIT_STEPS = [3, 1, 0] // 0: the briefing only
+const COMMAND_LIMIT_STEPS = [4, 0]
+const FILE_CHANGE_STEPS = [1, 0]
+const FILE_LIMIT_STEPS = [3, 1]
+const ISSUE_LIMIT_STEPS = [3, 1]
+const RECAP_STATE_VERSION = 1
+const PROCESSED_TAIL_CHARS = 200
 
 // --- Main Pipeline Export ---
 
-export async function runLogRecapPipeline(inputText, { maxEventsPerChunk = CHUNK_EVENT_LIMIT } = {}) {
+export const RECAP_OUTPUT_MODES = ['recap', 'handoff']
+
+/**
+ * Run LogRecap on a transcript, or on several sessions of the same work
+ * merged into one recap
+ * @param {string|Array<string|{name: string, text: string}>} input - Transcript in any
+ *   supported format, or one transcript per session in chronological order
+ * @param {Object} [options]
+ * @param {number} [options.maxEventsPerChunk] - Events per timeline block
+ * @param {string} [options.transcriptFormat] - Format id or 'auto'
+ * @param {string} [options.outputMode] - 'recap' (narrative) or 'handoff' (brief for a new agent session)
+ * @param {number} [options.handoffTokenBudget] - Maximum handoff brief size in tokens
+ * @param {number} [options.maxOutputTokens] - Maximum recap size in tokens: the oldest
+ *   timeline blocks are left out first (recap mode; the brief has its own budget)
+ * @param {Object} [options.previousState] - `state` of an earlier run to continue: only the
+ *   turns after it are processed (the input may be the new tail or the whole grown transcript).
+ *   JSON exports are rewritten as a whole, so for them the input is processed from scratch
+ * @param {boolean} [options.keepState] - Return `state` for a later incremental run
+ *   (single transcript only)
+ */
+export async function runLogRecapPipeline(input, {
+  maxEventsPerChunk = CHUNK_EVENT_LIMIT,
+  transcriptFormat = 'auto',
+  outputMode = 'recap',
+  handoffTokenBudget = DEFAULT_HANDOFF_TOKEN_BUDGET,
+  maxOutputTokens = 0,
+  previousState = null,
+  keepState = false
+} = {}) {
   const start = Date.now()
-
-  // 1) Pre-processing
-  const processedText = preprocessChatJson(inputText)
-  const turns = segmentIntoTurns(processedText)
-  const extractor = new StructuredDigestExtractor(processedText, turns)
-  const digest = extractor.extract()
-
-  // Filter low-relevance errors for chat context (reduce noise like npm install logs)
-  if (digest.errorSignatures) {
-    digest.errorSignatures = digest.errorSignatures.filter(sig => {
-      return !/run out of credits|failed to build|exit code|npm ci|npm install/i.test(sig.toLowerCase())
-    })
+  const sessions = toSessions(input)
+  if (sessions.length > 1 && (previousState || keepState)) {
+    throw new Error('Incremental recaps take a single transcript: merge sessions without a previous state')
   }
+  const inputText = sessions.map(session => session.text).join('\n\n')
+
+  // 1) Pre-processing: normalize each export to USER/AGENT/TOOL lines, then extract
+  const analysis = sessions.length > 1
+    ? analyzeSessions(sessions, transcriptFormat)
+    : analyzeSingleTranscript(inputText, transcriptFormat, previousState, keepState)
+  const { digest, timeline, eventState, state } = analysis
 
-  const timeline = buildEventTimeline(digest)
   const chunks = buildChunks(timeline, maxEventsPerChunk)
 
   // 2) Per-chunk synthesis
   const chunkSummaries = chunks.map(chunk => summarizeChunkLocally(chunk))
 
-  // 3) Final synthesis
-  const finalSummary = stitchNarrativeLocally(chunkSummaries, digest, timeline)
+  // 3) Final synthesis: narrative recap, or a brief for the next agent session
+  const finalSummary = stitchNarrativeLocally(chunkSummaries, digest, timeline, { maxOutputTokens })
+  const handoff = outputMode === 'handoff'
+    ? buildHandoffBrief(digest, timeline, { tokenBudget: handoffTokenBudget })
+    : null
+  const compressed = handoff ? handoff.text : finalSummary.text
 
   return {
-    compressed: finalSummary.text,
+    compressed,
     chunkSummaries,
     digest,
     events: timeline,
+    ...(handoff ? { handoff } : {}),
+    ...(state ? { state } : {}),
     stats: {
       mode: 'log-recap',
+      outputMode: handoff ? 'handoff' : 'recap',
+      transcriptFormat: analysis.format,
       originalSize: +(inputText.length / 1024).toFixed(2),
-      compressedSize: +(finalSummary.text.length / 1024).toFixed(2),
+      compressedSize: +(compressed.length / 1024).toFixed(2),
       originalLines: inputText.split('\n').length,
-      originalTurns: turns.length,
+      originalTurns: eventState.turnCount,
+      newTurns: analysis.newTurns,
+      resumed: analysis.resumed,
+      sessions: sessions.length,
       chunksProcessed: chunks.length,
-      sizeReduction: Math.max(0, Math.round((1 - (finalSummary.text.length / Math.max(inputText.length, 1))) * 100)),
+      maxOutputTokens: !handoff && maxOutputTokens > 0 ? maxOutputTokens : null,
+      outputTokens: handoff ? handoff.tokens : finalSummary.outputTokens,
+      droppedTimelineBlocks: handoff ? 0 : finalSummary.droppedBlocks,
+      overBudget: handoff ? handoffTokenBudget > 0 && handoff.tokens > handoffTokenBudget : finalSummary.overBudget,
+      sizeReduction: Math.max(0, Math.round((1 - (compressed.length / Math.max(inputText.length, 1))) * 100)),
       totalTokensUsed: 0,
       processingTimeMs: Date.now() - start
     }
   }
 }
 
-// --- Pre-processing Functions ---
-
-function preprocessChatJson(inputText) {
-  try {
-    // Attempt to parse as JSON export
-    const parsed = JSON.parse(inputText)
-    if (parsed.version && parsed.conversation?.chatHistory) {
-      const history = parsed.conversation.chatHistory
-      const cleanText = history
-        .filter(item => item.chatItemType !== 'agentic-checkpoint-delimiter')
-        .map(item => {
-          const userMsg = (item.request_message || '').replace(/\{.*?\}/gs, '').trim()
-          const agentMsg = (item.response_text || '').replace(/\{.*?\}/gs, '').trim()
-          return `USER: ${userMsg}\nAGENT: ${agentMsg}`.trim()
-        })
-        .filter(text => text.length > 10)
-        .join('\n\n')
-      return cleanText || inputText
-    }
-  } catch (e) {
-    // Not JSON, fall through to text logic
-  }
+function toSessions(input) {
+  if (!Array.isArray(input)) return [{ name: 'Session 1', text: input || '' }]
+  const sessions = input
+    .map((entry, idx) => (typeof entry === 'string' ? { name: `Session ${idx + 1}`, text: entry } : entry))
+    .filter(session => session?.text?.trim())
+  return sessions.length ? sessions : [{ name: 'Session 1', text: '' }]
+}
 
-  // Check if it's a text chat log (Claude Code CLI style)
-  if (inputText.includes('⏺') || inputText.includes('> ')) {
-    return preprocessTextChatLog(inputText)
-  }
+/**
+ * One transcript, resumed from `previousState` when it is given
+ */
+function analyzeSingleTranscript(inputText, transcriptFormat, previousState, keepState) {
+  const saved = previousState ? checkRecapState(previousState) : null
+  const previous = saved && isAppendOnlyFormat(saved.transcriptFormat) &&
+    (transcriptFormat === 'auto' || transcriptFormat === saved.transcriptFormat)
+    ? saved
+    : null
+  const incremental = Boolean(previousState || keepState)
+
+  const newText = previous ? unprocessedInput(inputText, previous.processed) : inputText
+  // A tail may lack the markers that identified the format: keep the one already detected
+  const requestedFormat = previous && transcriptFormat === 'auto' ? previous.transcriptFormat : transcriptFormat
+  const format = requestedFormat === 'auto' ? detectTranscriptFormat(newText) : requestedFormat
+
+  // Records of a live session still waiting for a tool result are left for
+  // the next run, which sees them again together with their result
+  const settledLength = incremental ? findPendingOffset(newText, format) : newText.length
+  const settled = analyzeTranscript(newText.slice(0, settledLength), format, previous, incremental)
+  const state = incremental
+    ? snapshotRecapState(settled, format, previous, newText, settledLength)
+    : null
+  const pending = settledLength < newText.length
+    ? analyzeTranscript(newText.slice(settledLength), format, structuredClone(state), incremental)
+    : null
 
-  return inputText
+  return {
+    ...(pending || settled),
+    format,
+    state,
+    newTurns: settled.turns.length + (pending?.turns.length || 0),
+    resumed: Boolean(previous)
+  }
 }
 
-function preprocessTextChatLog(inputText) {
-  const lines = inputText.split('\n')
-  const processedLines = []
-  
-  let currentMessage = []
-  let currentSpeaker = null // 'USER' | 'AGENT' | null
-
-  const flushMessage = () => {
-    if (currentMessage.length > 0 && currentSpeaker) {
-      processedLines.push(`${currentSpeaker}: ${currentMessage.join(' ').trim()}`)
-      currentMessage = []
+/**
+ * Several sessions in chronological order: each one continues the facts and
+ * events of the ones before it, so files and errors are merged across
+ * sessions while turns and events keep the session they came from
+ */
+function analyzeSessions(sessions, transcriptFormat) {
+  let previous = null
+  let analysis = null
+  const formats = []
+  sessions.forEach((session, idx) => {
+    const format = transcriptFormat === 'auto' ? detectTranscriptFormat(session.text) : transcriptFormat
+    formats.push(format)
+    analysis = analyzeTranscript(session.text, format, previous, false, idx + 1)
+    previous = {
+      // File mentions and change reasons are read within their own session
+      extractor: { ...analysis.extractor.toState(), contextTail: '', lastReason: null },
+      turns: analysis.digest.enrichedTurns,
+      events: analysis.eventState
     }
-  }
+  })
 
-  for (const line of lines) {
-    const trimmed = line.trim()
+  const errors = Array.from(analysis.extractor.errors.values())
+  analysis.digest.sessions = sessions.map((session, idx) => ({
+    index: idx + 1,
+    name: session.name,
+    format: formats[idx],
+    turns: analysis.digest.enrichedTurns.filter(turn => turn.session === idx + 1).length,
+    introduced: errors.filter(error => error.introducedIn === idx + 1).length,
+    resolved: errors.filter(error => error.resolvedIn === idx + 1).length
+  }))
 
-    let newSpeaker = null
-    let content = trimmed
+  return {
+    ...analysis,
+    format: Array.from(new Set(formats)).join(', '),
+    state: null,
+    newTurns: analysis.eventState.turnCount,
+    resumed: false
+  }
+}
 
-    if (trimmed.startsWith('⏺')) {
-      newSpeaker = 'AGENT'
-      content = trimmed.substring(1).trim()
-    } else if (trimmed.startsWith('>')) {
-      newSpeaker = 'USER'
-      content = trimmed.substring(1).trim()
-    }
+/**
+ * Segment, extract and collect events for a (part of a) transcript,
+ * continuing `previous` when given
+ * @param {number} [session] - Session number when merging several transcripts
+ */
+function analyzeTranscript(text, format, previous, incremental, session = null) {
+  // Parts of a session may hold no message at all: don't fall back to the raw records.
+  // Diffs pasted in messages are folded to one summary line per file
+  const linesBefore = previous?.processed?.lines || 0
+  const transcript = normalizeTranscript(text, format, { keepInput: !incremental, linesBefore }).text
+  // Blank lines before the first message (the tail of a resumed run can start
+  // between two messages) are not a turn of their own
+  const processedText = foldDiffText(transcript).text.replace(/^(?:[ \t]*\n)+/, '')
+  const turns = processedText.trim() ? segmentIntoTurns(processedText) : []
+  const extractor = previous
+    ? StructuredDigestExtractor.fromState(previous.extractor, processedText, turns)
+    : new StructuredDigestExtractor(processedText, turns)
+  extractor.session = session
+  const digest = extractor.extract()
+  const newTurns = digest.enrichedTurns
+  if (previous) digest.enrichedTurns = [...previous.turns, ...newTurns]
 
-    // State Machine Logic
-    if (newSpeaker) {
-      // Speaker changed or new message started
-      if (currentSpeaker && currentMessage.length > 0) {
-        flushMessage()
-      }
-      currentSpeaker = newSpeaker
-      currentMessage.push(content)
-    } else if (trimmed.length > 0) {
-      // Continuation or System Log
-      if (currentSpeaker) {
-        currentMessage.push(content)
-      } else {
-        processedLines.push(`LOG: ${content}`)
-      }
-    } else {
-      // Empty line usually ends a block in logs
-      flushMessage()
-      currentSpeaker = null
-    }
+  // Filter low-relevance errors for chat context (reduce noise like npm install logs)
+  if (digest.errorSignatures) {
+    digest.errorSignatures = digest.errorSignatures.filter(sig => {
+      return !/run out of credits|failed to build|exit code|npm ci|npm install/i.test(sig.toLowerCase())
+    })
   }
 
-  // Final flush
-  flushMessage()
+  const { timeline, eventState } = buildEventTimeline(newTurns, digest, previous?.events)
+  const lines = linesBefore + (transcript ? transcript.split('\n').length : 0)
+  return { extractor, digest, timeline, eventState, turns, lines }
+}
+
+// --- Incremental State ---
+
+function checkRecapState(state) {
+  if (!state || state.version !== RECAP_STATE_VERSION || !state.extractor || !state.events) {
+    throw new Error(`Unsupported LogRecap state (expected version ${RECAP_STATE_VERSION}); run without the previous state to rebuild it`)
+  }
+  return state
+}
 
-  // Safety Limit
-  if (processedLines.length > MAX_PROCESSED_LINES) {
-    processedLines.splice(MAX_PROCESSED_LINES)
+/**
+ * State to persist after a run: extracted facts, collected events and
+ * where the processed input ended (plus the unfinished records to replay)
+ */
+function snapshotRecapState({ extractor, digest, eventState, lines }, format, previous, newText, settledLength) {
+  const settledText = newText.slice(0, settledLength)
+  return {
+    version: RECAP_STATE_VERSION,
+    transcriptFormat: format,
+    processed: {
+      length: (previous?.processed.length || 0) + settledLength,
+      tail: `${previous?.processed.tail || ''}${settledText}`.slice(-PROCESSED_TAIL_CHARS),
+      carry: newText.slice(settledLength),
+      // Transcript lines so far: size limits apply to the whole transcript
+      lines
+    },
+    extractor: extractor.toState(),
+    // Messages only: tool and log turns live on as events
+    turns: digest.enrichedTurns.filter(turn => /^(?:USER|AGENT):/.test(turn.text)),
+    events: eventState
   }
+}
 
-  // Clean up consecutive LOG lines to reduce noise
-  return processedLines.join('\n').replace(/(LOG: \n)+/g, 'LOG: ')
+/**
+ * Part of the input that the previous run has not settled. When the input
+ * is the whole transcript again (it still contains the processed text where
+ * it ended) only what follows is returned; otherwise the input is the new
+ * tail, appended to the records carried over from the previous run.
+ */
+function unprocessedInput(inputText, processed) {
+  const { length, tail, carry = '' } = processed
+  if (inputText.length >= length && inputText.slice(length - tail.length, length) === tail) {
+    return inputText.slice(length)
+  }
+  return `${carry}${inputText}`
 }
 
 // --- Timeline Construction ---
 
-function buildEventTimeline(digest) {
+/**
+ * Turn events into the recap timeline
+ * @param {Array} turns - Enriched turns to convert (only the new ones when resuming)
+ * @param {Object} digest - Structured digest
+ * @param {Object} [previous] - Event state of the run being continued
+ * @returns {{timeline: Array, eventState: Object}} Timeline and the event state to persist
+ */
+function buildEventTimeline(turns, digest, previous = null) {
   const timeline = []
-  const turns = Array.isArray(digest.enrichedTurns) ? digest.enrichedTurns : []
-  const maxEvents = Math.max(400, Math.min(2400, Math.floor(turns.length * 0.75)))
-  const commandHashes = new Set()
+  const totalTurns = (previous?.turnCount || 0) + turns.length
+  const maxEvents = Math.max(400, Math.min(2400, Math.floor(totalTurns * 0.75)))
+  const commandHashes = new Set(previous?.commandHashes || [])
 
   // 1. Briefing Events (User Intent)
-  const briefingEvents = extractBriefingEvents(turns)
+  const briefingEvents = previous?.briefing?.length ? previous.briefing : extractBriefingEvents(turns)
   timeline.push(...briefingEvents)
 
   // 2. Identify Last Interaction Points
-  let lastUserIdx = -1
-  let lastAgentIdx = -1
+  let lastUserIdx = previous?.lastUserIdx ?? -1
+  let lastAgentIdx = previous?.lastAgentIdx ?? -1
   for (const turn of turns) {
     if (turn.text.startsWith('USER:')) lastUserIdx = Math.max(lastUserIdx, turn.idx)
     if (turn.text.startsWith('AGENT:')) lastAgentIdx = Math.max(lastAgentIdx, turn.idx)
   }
 
   // 3. Collect & Score Events
-  const allEvents = []
-  const userEvents = []
+  const allEvents = [...(previous?.events || [])]
+  const userEventIds = new Set(previous?.userEventIds || [])
 
   for (const turn of turns) {
-    const event = turnToEvent(turn)
+    const event = turn.text.startsWith('TOOL:') ? toolTurnToEvent(turn) : turnToEvent(turn)
     if (!event) continue
+    if (turn.session) event.session = turn.session
 
-    if (turn.idx === lastUserIdx) event.isLastUser = true
-    if (turn.idx === lastAgentIdx) event.isLastAgent = true
-
-    // Deduplicate repetitive commands
-    if (event.intent === 'command') {
+    // Deduplicate repetitive commands (tool calls are kept: reruns are retries)
+    if (event.intent === 'command' && event.type !== 'tool') {
       const hash = `${event.intent}:${event.summary}`
       if (commandHashes.has(hash)) continue
       commandHashes.add(hash)
@@ -187,19 +318,25 @@ function buildEventTimeline(digest) {
     allEvents.push(event)
 
     if (turn.text.startsWith('USER:')) {
-      userEvents.push(event)
+      userEventIds.add(event.id)
     }
   }
 
+  allEvents.forEach(event => {
+    event.isLastUser = event.order === lastUserIdx
+    event.isLastAgent = event.order === lastAgentIdx
+  })
+  markToolRetries(allEvents)
+
   // 4. Populate Timeline
   // Always include user events
-  const includedIDs = new Set(userEvents.map(e => e.id))
+  const userEvents = allEvents.filter(e => userEventIds.has(e.id))
   timeline.push(...userEvents)
 
   // Fill remaining slots with highest relevance non-user events
   const remainingSlots = maxEvents - briefingEvents.length - userEvents.length
   if (remainingSlots > 0) {
-    const nonUserEvents = allEvents.filter(e => !includedIDs.has(e.id))
+    const nonUserEvents = allEvents.filter(e => !userEventIds.has(e.id))
     // Prefer recent events
     const recentNonUser = nonUserEvents
       .sort((a, b) => b.order - a.order)
@@ -227,7 +364,17 @@ function buildEventTimeline(digest) {
   }
 
   appendErrorHighlights(timeline, digest.errors || [])
-  return timeline
+
+  const eventState = {
+    turnCount: totalTurns,
+    briefing: briefingEvents,
+    events: allEvents,
+    userEventIds: Array.from(userEventIds),
+    commandHashes: Array.from(commandHashes),
+    lastUserIdx,
+    lastAgentIdx
+  }
+  return { timeline, eventState }
 }
 
 function turnToEvent(turn) {
@@ -237,11 +384,13 @@ function turnToEvent(turn) {
 
   // Filter noise
   const noiseRegex = /no matches found|file not found|regex search results|here's the result|note:\nend line|total lines in file|successfully edited|file saved|command completed|\{.*?\}|\[.*?\]|encrypted_content|tool_use_id|⚠️|run out of credits/i
-  if (score < 4 || noiseRegex.test(rawText)) {
+  // `[DIFF path]` summaries of folded diffs are changes, whatever their score
+  const foldedDiff = rawText.split('\n').some(line => parseDiffSummary(line))
+  if (!foldedDiff && (score < 4 || noiseRegex.test(rawText))) {
     return null
   }
 
-  const { type, intent } = normalizeEventType(turn, cleanText)
+  const { type, intent } = foldedDiff ? { type: 'action', intent: 'code_change' } : normalizeEventType(turn, cleanText)
   
   // Skip trivial errors
   if (type === 'error' && score < 5) return null
@@ -268,6 +417,53 @@ function turnToEvent(turn) {
   }
 }
 
+/**
+ * Tool calls bypass the relevance filter: their outcome is the point
+ * `tool` holds { name, target, success, exitCode, durationMs, excerpt },
+ * plus `attempt` and `retryOf` once retries are marked
+ */
+function toolTurnToEvent(turn) {
+  const call = parseToolCall(turn.text.split('\n')[0])
+  if (!call) return null
+
+  const editsFiles = /edit|write|patch|replace|create/i.test(call.name) && !isCommandTool(call.name)
+  return {
+    id: `turn_${turn.idx}`,
+    type: 'tool',
+    intent: editsFiles ? 'code_change' : 'command',
+    summary: describeToolCall(call),
+    tool: { ...call, attempt: 1, retryOf: null },
+    files: turn.filesReferenced || [],
+    errors: turn.errorSignatures || [],
+    actor: 'agent',
+    order: turn.idx,
+    isLastUser: false,
+    isLastAgent: false
+  }
+}
+
+/**
+ * Number reruns of the same tool call; a rerun after a failed run is a
+ * retry of that run
+ */
+function markToolRetries(events) {
+  const lastRuns = new Map()
+  for (const event of events) {
+    if (event.type !== 'tool') continue
+    const key = toolCallKey(event.tool)
+    const previous = lastRuns.get(key)
+    if (previous) {
+      event.tool.attempt = previous.tool.attempt + 1
+      event.tool.retryOf = previous.tool.success === false ? previous.id : null
+    }
+    lastRuns.set(key, event)
+  }
+}
+
+function toolCallKey(call) {
+  return `${call.name}:${call.target}`
+}
+
 function relevanceScorer(turn, rawText) {
   let score = 0
   const lower = rawText.toLowerCase()
@@ -318,10 +514,13 @@ function buildChunks(events, maxEventsPerChunk) {
   events.forEach((event, idx) => {
     const eventText = formatEventForPrompt(event)
     const tentativeChars = current.approxChars + eventText.length
+    // A block never spans two sessions
+    const sessionChanged = Boolean(event.session && current.session && event.session !== current.session)
 
     if (
       (current.events.length >= maxEventsPerChunk) ||
-      (tentativeChars > CHUNK_CHAR_LIMIT && current.events.length > 0)
+      (tentativeChars > CHUNK_CHAR_LIMIT && current.events.length > 0) ||
+      sessionChanged
     ) {
       current.context = buildChunkContext(current)
       chunks.push(current)
@@ -330,6 +529,7 @@ function buildChunks(events, maxEventsPerChunk) {
 
     current.events.push({ ...event, promptText: eventText })
     current.approxChars += eventText.length
+    current.session = current.session || event.session
 
     if (idx === events.length - 1) {
       current.context = buildChunkContext(current)
@@ -367,7 +567,7 @@ function summarizeChunkLocally(chunk) {
     const targetGroup =
       event.type === 'briefing' ? 'briefing' :
       event.intent === 'command' ? 'command' :
-      event.type === 'action' ? 'action' :
+      event.type === 'action' || event.type === 'tool' ? 'action' :
       event.type === 'error' ? 'error' :
       event.type === 'decision' ? 'decision' :
       'note'
@@ -396,6 +596,7 @@ function summarizeChunkLocally(chunk) {
 
   return {
     chunkId: chunk.id,
+    ...(chunk.session ? { session: chunk.session } : {}),
     text: lines.join('\n'),
     events: chunk.events,
     tokensUsed: 0,
@@ -404,20 +605,18 @@ function summarizeChunkLocally(chunk) {
   }
 }
 
-function stitchNarrativeLocally(chunkSummaries, digest, timeline) {
-  const lines = []
-  
-  // Overview
-  lines.push('## Overview')
-  lines.push(`Session touched ${digest.files?.length || 0} files and ${digest.errors?.length || 0} primary issues.`)
-  
-  // Highlights
+/**
+ * Narrative recap. With a token budget the oldest timeline blocks are left
+ * out first, then the Highlights, Commands & Outcomes, Files and Issues
+ * lists are shortened; the footer says what was left out, and whether the
+ * recap is still over the budget.
+ * @returns {{text: string, tokensUsed: number, source: string, outputTokens: number|null,
+ *   droppedBlocks: number, overBudget: boolean}} `outputTokens` is null without a budget
+ */
+function stitchNarrativeLocally(chunkSummaries, digest, timeline, { maxOutputTokens = 0 } = {}) {
   const aggregatedGroups = aggregateGroups(chunkSummaries)
-  lines.push('\n## Highlights')
-  
   const lastUserEvent = timeline.find(e => e.isLastUser)
   const lastUserSection = lastUserEvent ? [{ label: 'Last User Interaction', entries: [lastUserEvent.summary], limit: 1 }] : []
-
   const highlightSections = [
     { label: 'Briefing', entries: aggregatedGroups.briefing, limit: 3 },
     { label: 'Investigations', entries: aggregatedGroups.command, limit: 8 },
@@ -426,46 +625,168 @@ function stitchNarrativeLocally(chunkSummaries, digest, timeline) {
     { label: 'Notes', entries: aggregatedGroups.note, limit: 3 },
     ...lastUserSection
   ]
+  const fileHistory = digest.fileHistory || []
+  const blocks = chunkSummaries.map((summary, idx) => ({ summary, idx })).filter(({ summary }) => summary.text)
+  // What the full recap shows, for the footer of a trimmed one
+  const fullCounts = {
+    highlights: Math.max(0, ...highlightSections.map(({ entries, limit }) => Math.min(limit, dedupeStrings(entries).length))),
+    commands: buildCommandOutcomes(timeline)?.lines.length || 0,
+    files: fileHistory.length,
+    issues: Math.min(ISSUE_LIMIT, digest.errors?.length || 0)
+  }
+
+  // Shrunk by the budget loop below; the defaults give the full recap
+  const layout = {
+    blocks,
+    highlightLimit: Infinity,
+    commandLimit: COMMAND_OUTCOME_LIMIT,
+    fileChanges: FILE_CHANGE_LIMIT,
+    fileLimit: fileHistory.length,
+    issueLimit: ISSUE_LIMIT,
+    overBudget: false
+  }
 
-  let highlightsAdded = false
-  highlightSections.forEach(({ label, entries, limit }) => {
-    const formatted = formatGroupSection(label, entries, limit)
-    if (formatted) {
-      lines.push(`- ${formatted}`)
-      highlightsAdded = true
+  const render = () => {
+    const lines = []
+
+    // Overview
+    lines.push('## Overview')
+    const subject = digest.sessions ? `${digest.sessions.length} sessions` : 'Session'
+    lines.push(`${subject} touched ${digest.files?.length || 0} files and ${digest.errors?.length || 0} primary issues.`)
+
+    if (digest.sessions) {
+      lines.push('\n## Sessions')
+      digest.sessions.forEach(session => lines.push(`- ${formatSessionLine(session)}`))
     }
-  })
-  if (!highlightsAdded) lines.push('- No major highlights were extracted.')
 
-  // Issues
-  lines.push('\n## Issues & Resolutions')
-  const problemLines = buildProblemResolutionLines(digest)
-  if (problemLines.length) {
-    problemLines.forEach(line => lines.push(`- ${line}`))
-  } else {
-    lines.push('- No critical issues highlighted.')
+    // Highlights
+    lines.push('\n## Highlights')
+    let highlightsAdded = false
+    const shownSections = layout.highlightLimit > 0 ? highlightSections : highlightSections.slice(0, 1)
+    shownSections.forEach(({ label, entries, limit }) => {
+      const formatted = formatGroupSection(label, entries, Math.max(1, Math.min(limit, layout.highlightLimit)))
+      if (formatted) {
+        lines.push(`- ${formatted}`)
+        highlightsAdded = true
+      }
+    })
+    if (!highlightsAdded) lines.push('- No major highlights were extracted.')
+
+    // Commands & Outcomes (only when the transcript has tool calls)
+    const commandOutcomes = buildCommandOutcomes(timeline, layout.commandLimit)
+    if (commandOutcomes) {
+      lines.push('\n## Commands & Outcomes')
+      lines.push(commandOutcomes.overview)
+      commandOutcomes.lines.forEach(line => lines.push(`- ${line}`))
+    }
+
+    // Files (only when changes were recorded), most churn first
+    if (fileHistory.length) {
+      lines.push('\n## Files')
+      fileHistory.slice(0, layout.fileLimit).forEach(file => lines.push(...formatFileHistory(file, layout.fileChanges)))
+      if (fileHistory.length > layout.fileLimit) lines.push(`- … ${fileHistory.length - layout.fileLimit} more files`)
+    }
+
+    // Issues
+    lines.push('\n## Issues & Resolutions')
+    const problemLines = buildProblemResolutionLines(digest, layout.issueLimit)
+    if (problemLines.length) {
+      problemLines.forEach(line => lines.push(`- ${line}`))
+    } else {
+      lines.push('- No critical issues highlighted.')
+    }
+
+    // Next Steps
+    lines.push('\n## Next Steps')
+    if (digest.plans?.nextSteps?.length) {
+      digest.plans.nextSteps.slice(0, 3).forEach(step => lines.push(`- ${step}`))
+    } else {
+      lines.push('- Define next steps based on the timeline above.')
+    }
+
+    // Detailed Timeline
+    const dropped = blocks.length - layout.blocks.length
+    const note = describeRecapTrim(maxOutputTokens, layout, blocks.length, fullCounts)
+    return [...lines, ...formatTimelineBlocks(layout.blocks, digest, dropped > 0), ...(note ? [note] : [])].join('\n')
   }
 
-  // Next Steps
-  lines.push('\n## Next Steps')
-  if (digest.plans?.nextSteps?.length) {
-    digest.plans.nextSteps.slice(0, 3).forEach(step => lines.push(`- ${step}`))
-  } else {
-    lines.push('- Define next steps based on the timeline above.')
+  let text = render()
+  // Without a budget the tokenizer is not needed: its encoder is slow to build
+  let outputTokens = maxOutputTokens > 0 ? countTokens(text) : null
+  const shrink = apply => {
+    if (maxOutputTokens <= 0 || outputTokens <= maxOutputTokens) return false
+    apply()
+    text = render()
+    outputTokens = countTokens(text)
+    return true
+  }
+
+  // Oldest timeline blocks first, then the lists above the timeline
+  while (layout.blocks.length) {
+    if (!shrink(() => { layout.blocks = layout.blocks.slice(1) })) break
+  }
+  for (const limit of HIGHLIGHT_LIMIT_STEPS) shrink(() => { layout.highlightLimit = limit })
+  for (const limit of COMMAND_LIMIT_STEPS) {
+    if (limit < layout.commandLimit) shrink(() => { layout.commandLimit = limit })
+  }
+  for (const limit of FILE_CHANGE_STEPS) {
+    if (fileHistory.some(file => file.history.length > limit)) shrink(() => { layout.fileChanges = limit })
+  }
+  for (const limit of FILE_LIMIT_STEPS) {
+    if (limit < layout.fileLimit) shrink(() => { layout.fileLimit = limit })
+  }
+  for (const limit of ISSUE_LIMIT_STEPS) {
+    if (limit < Math.min(layout.issueLimit, fullCounts.issues)) shrink(() => { layout.issueLimit = limit })
   }
+  shrink(() => { layout.overBudget = true })
 
-  // Detailed Timeline
-  lines.push('\n## Detailed Timeline')
-  chunkSummaries.forEach((summary, idx) => {
-    if (!summary.text) return
-    lines.push(`### Block ${idx + 1}`)
+  return {
+    text,
+    tokensUsed: 0,
+    source: 'local',
+    outputTokens,
+    droppedBlocks: blocks.length - layout.blocks.length,
+    overBudget: layout.overBudget
+  }
+}
+
+/**
+ * Footer of a trimmed recap: what was left out, compared with the full counts
+ */
+function describeRecapTrim(maxOutputTokens, layout, blockCount, full) {
+  const parts = []
+  const dropped = blockCount - layout.blocks.length
+  if (dropped) parts.push(`${dropped} of ${blockCount} timeline blocks left out`)
+  if (layout.highlightLimit === 0) parts.push('highlights other than the briefing left out')
+  else if (layout.highlightLimit < full.highlights) parts.push(`highlights cut to ${layout.highlightLimit} per group`)
+  if (layout.commandLimit < full.commands) {
+    parts.push(layout.commandLimit ? `commands cut to the last ${layout.commandLimit}` : 'command list left out')
+  }
+  if (layout.fileChanges < FILE_CHANGE_LIMIT) {
+    parts.push(layout.fileChanges ? `file changes cut to the last ${layout.fileChanges}` : 'file changes left out')
+  }
+  if (layout.fileLimit < full.files) parts.push(`files cut to ${layout.fileLimit}`)
+  if (layout.issueLimit < full.issues) parts.push(`issues cut to ${layout.issueLimit}`)
+  if (layout.overBudget) return `_Over the ${maxOutputTokens} token budget even after trimming (${parts.join(', ')})._`
+  return parts.length ? `_Trimmed to ${maxOutputTokens} tokens: ${parts.join(', ')}._` : ''
+}
+
+function formatTimelineBlocks(blocks, digest, trimmed) {
+  const lines = ['\n## Detailed Timeline']
+  if (!blocks.length && trimmed) lines.push('- Left out to fit the token budget.', '')
+  let currentSession = null
+  blocks.forEach(({ summary, idx }) => {
+    if (digest.sessions && summary.session && summary.session !== currentSession) {
+      currentSession = summary.session
+      lines.push(`### Session ${currentSession}: ${digest.sessions[currentSession - 1].name}`)
+    }
+    lines.push(`${currentSession ? '####' : '###'} Block ${idx + 1}`)
     summary.text.split('\n').forEach(line => {
       if (line) lines.push(`- ${line}`)
     })
     lines.push('')
   })
-
-  return { text: lines.join('\n'), tokensUsed: 0, source: 'local' }
+  return lines
 }
 
 // --- Helpers & Formatters ---
@@ -483,7 +804,8 @@ function extractBriefingEvents(turns) {
         files: turn.filesReferenced || [],
         errors: [],
         actor: 'user',
-        order: events.length
+        order: events.length,
+        ...(turn.session ? { session: turn.session } : {})
       })
     } else if (events.length > 0) {
       break
@@ -552,6 +874,12 @@ function summarizeCommand(text) {
 }
 
 function summarizeDiff(rawText, files) {
+  const diffs = rawText.split('\n').map(parseDiffSummary).filter(Boolean)
+  if (diffs.length) {
+    const verb = diffs.every(diff => diff.status === 'added') ? 'Added' : diffs.every(diff => diff.status === 'deleted') ? 'Removed' : 'Updated'
+    const listed = diffs.slice(0, 3).map(diff => `${diff.path} (+${diff.added} / -${diff.removed})`)
+    return `${verb} ${listed.join(', ')}${diffs.length > listed.length ? ` and ${diffs.length - listed.length} more files` : ''}`
+  }
   const diffHeader = rawText.match(/•\s+(Added|Edited|Deleted)\s+([^\s]+)\s+\(\+(\d+)\s+-?(\d+)\)/i)
   if (diffHeader) {
     const [, verb, file, added, removed] = diffHeader
@@ -579,8 +907,12 @@ function normalizeNarrativeText(text) {
 
 function extractPrimaryClause(text) {
   if (!text) return ''
-  const parts = text.split(/(?:;|\s{2,}| -- | — | – )+/).map(part => part.trim()).filter(Boolean)
-  return parts.length ? parts[0] : text.trim()
+  // Separators inside `code spans` (commands like `npm test -- foo`) don't end a clause
+  const spans = []
+  const masked = text.replace(/`[^`]*`/g, span => `\u0000${spans.push(span) - 1}\u0000`)
+  const parts = masked.split(/(?:;|\s{2,}| -- | — | – )+/).map(part => part.trim()).filter(Boolean)
+  const clause = parts.length ? parts[0] : masked.trim()
+  return clause.replace(/\u0000(\d+)\u0000/g, (_, index) => spans[Number(index)])
 }
 
 function extractKeyDetail(text, files = []) {
@@ -616,7 +948,7 @@ function extractActionVerb(text) {
   return 'Changed'
 }
 
-function buildProblemResolutionLines(digest) {
+function buildProblemResolutionLines(digest, limit = ISSUE_LIMIT) {
   const errors = Array.isArray(digest.errors) ? digest.errors : []
   const filesMap = new Map()
   const files = Array.isArray(digest.files) ? digest.files : []
@@ -627,12 +959,107 @@ function buildProblemResolutionLines(digest) {
     })
   })
 
-  return errors.slice(0, 6).map(err => {
+  const lines = errors.slice(0, limit).map(err => {
     const fileList = filesMap.get(err.signature) || err.fixes || []
     const scope = fileList.length ? ` (affected ${fileList.slice(0, 2).join(', ')})` : ''
-    const status = err.resolved ? 'resolved' : 'pending'
-    return `${truncateSentence(err.message, 80)}${scope} — ${status}`
+    return `${truncateSentence(err.message, 80)}${scope} — ${formatIssueLifecycle(err)}${formatIssueSessions(err)}`
+  })
+  if (limit < ISSUE_LIMIT && errors.length > limit) lines.push(`… ${Math.min(errors.length, ISSUE_LIMIT) - limit} more issues`)
+  return lines
+}
+
+/**
+ * "resolved at turn 7 after Edit x (turn 6)", "recurring …" or "still open …",
+ * then where the error was seen. Turns are numbered from 1.
+ */
+function formatIssueLifecycle(err) {
+  const turn = idx => `turn ${idx + 1}`
+  let status
+  if (err.status === 'resolved') {
+    const steps = (err.resolvedBy || []).map(step =>
+      `${truncateSentence(step.text, 60)}${step.turn === err.resolvedAt ? '' : ` (${turn(step.turn)})`}`
+    )
+    status = `resolved at ${turn(err.resolvedAt)}${steps.length ? ` after ${steps.join(', ')}` : ''}`
+  } else if (err.status === 'recurring') {
+    status = 'recurring: came back after a fix'
+  } else {
+    status = 'still open'
+  }
+
+  if (err.firstSeen === null || err.firstSeen === undefined) return status
+  const seen = err.occurrences > 1
+    ? `seen ${err.occurrences}× (turns ${err.firstSeen + 1}–${err.lastSeen + 1})`
+    : `seen at ${turn(err.firstSeen)}`
+  return `${status}; ${seen}`
+}
+
+/**
+ * "`src/a.js` — 3 changes, 16 lines changed" then the latest changes, one per line:
+ * "turn 5: edited (+3 -1) — reason". Turns are numbered from 1.
+ */
+function formatFileHistory(file, changeLimit = FILE_CHANGE_LIMIT) {
+  const diffStat = diff => `+${diff.added} -${diff.removed}`
+  const total = file.churn ? `, ${file.churn} ${file.churn === 1 ? 'line' : 'lines'} changed` : ''
+  const lines = [`- \`${file.path}\` — ${file.changes} ${file.changes === 1 ? 'change' : 'changes'}${total}${file.status === 'removed' ? ' (deleted)' : ''}`]
+  const shown = changeLimit > 0 ? file.history.slice(-changeLimit) : []
+  if (shown.length && file.changes > shown.length) lines.push(`  - … ${file.changes - shown.length} earlier changes`)
+  shown.forEach(change => {
+    const session = change.session ? `session ${change.session}, ` : ''
+    const diff = change.diff ? ` (${diffStat(change.diff)})` : ''
+    const reason = change.reason ? ` — ${truncateSentence(change.reason, 100)}` : ''
+    lines.push(`  - ${session}turn ${change.turn + 1}: ${change.action}${diff}${reason}`)
+  })
+  return lines
+}
+
+function formatIssueSessions(err) {
+  if (!err.introducedIn) return ''
+  const resolved = err.resolvedIn ? `, resolved in session ${err.resolvedIn}` : ''
+  return `; introduced in session ${err.introducedIn}${resolved}`
+}
+
+function formatSessionLine(session) {
+  const issues = []
+  if (session.introduced) issues.push(`${session.introduced} new ${session.introduced === 1 ? 'issue' : 'issues'}`)
+  if (session.resolved) issues.push(`${session.resolved} resolved`)
+  const turns = `${session.turns} ${session.turns === 1 ? 'turn' : 'turns'}`
+  return `Session ${session.index}: ${session.name} (${session.format}, ${turns})${issues.length ? ` — ${issues.join(', ')}` : ''}`
+}
+
+/**
+ * One line per command run and per failed tool call, oldest first.
+ * Failures are marked as retried or still failing, reruns after a failure
+ * as retries.
+ */
+function buildCommandOutcomes(timeline, limit = COMMAND_OUTCOME_LIMIT) {
+  const toolEvents = timeline.filter(event => event.type === 'tool')
+  if (!toolEvents.length) return null
+
+  const lastRuns = new Map()
+  toolEvents.forEach(event => lastRuns.set(toolCallKey(event.tool), event))
+
+  const entries = toolEvents.filter(event =>
+    isCommandTool(event.tool.name) || event.tool.success === false || event.tool.retryOf
+  )
+  const failed = toolEvents.filter(event => event.tool.success === false).length
+  const retries = toolEvents.filter(event => event.tool.retryOf).length
+  const overview = `${toolEvents.length} tool calls, ${failed} failed, ${retries} retried.`
+
+  const lines = []
+  const shown = limit > 0 ? entries.slice(-limit) : []
+  if (entries.length > shown.length) lines.push(`… ${entries.length - shown.length} earlier calls omitted`)
+  shown.forEach(event => {
+    const { tool } = event
+    const marks = []
+    if (tool.retryOf) marks.push(`retry, attempt ${tool.attempt}`)
+    if (tool.success === false) {
+      marks.push(lastRuns.get(toolCallKey(tool)) === event ? 'still failing' : 'failed attempt')
+    } else if (tool.retryOf && tool.success) {
+      marks.push('fixed')
+    }
+    lines.push(`${truncateSentence(event.summary, 200)}${marks.length ? ` — ${marks.join(', ')}` : ''}`)
   })
+  return { overview, lines }
 }
 
 function aggregateGroups(chunkSummaries) {
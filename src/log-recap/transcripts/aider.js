@@ -0,0 +1,159 @@
+/**
+ * Aider chat history (`.aider.chat.history.md`)
+ *
+ *   # aider chat started at 2026-10-19 10:00:00
+ *   #### fix the failing test in src/app.py      (user, one `####` per line)
+ *   I'll update the handler...                    (assistant markdown)
+ *   > Applied edit to src/app.py                  (aider output, quoted)
+ *   > Running pytest -q
+ *   > FAILED tests/test_app.py::test_handler
+ *
+ * Quoted aider output is turned into tool calls: applied/failed edits,
+ * commits and shell commands with their output. Prompts and token reports
+ * are dropped.
+ */
+
+import { formatToolCall, inferToolOutcome, pickResultExcerpt, countDiffLines } from './tool-calls.js'
+
+const SESSION_HEADER_REGEX = /^# aider chat started at /
+const USER_LINE_REGEX = /^#### ?(.*)$/
+// `>>>>>>> REPLACE` markers of edit blocks are not quotes
+const QUOTE_LINE_REGEX = /^>(?: (.*))?$/
+const APPLIED_EDIT_REGEX = /^Applied edit to (.+)$/
+const FAILED_EDIT_REGEX = /^(?:(?:Failed|Unable) to apply edit to|SearchReplaceNoExactMatch:.* in) (\S+)|^The LLM did not conform to the edit format/
+const COMMIT_REGEX = /^Commit ([0-9a-f]{6,}) (.+)$/
+const RUNNING_REGEX = /^Running (.+)$/
+const FENCE_REGEX = /^```/
+const SEARCH_BLOCK_REGEX = /^<{5,9} SEARCH\s*$/
+const REPLACE_END_REGEX = /^>{5,9} REPLACE\s*$/
+const SKIPPED_OUTPUT_REGEX = /^(?:Tokens: |Cost: |Add .* to the chat\?|Run shell command\?|Create new file\?|Allow |Model: |Git repo: |Repo-map: |Aider v|Main model: |Weak model: |Added .* to the chat|Dropping |Use \/help|Warning: |Restored previous conversation history)/
+
+/**
+ * Check whether the text is an Aider chat history
+ * @param {string} text - Raw input
+ * @returns {boolean}
+ */
+export function looksLikeAiderHistory(text) {
+  const head = text.slice(0, 4000)
+  return /^# aider chat started at /m.test(head) || (/^#### /m.test(head) && /^> /m.test(text))
+}
+
+/**
+ * SEARCH/REPLACE blocks of an assistant message, grouped by the file named
+ * on the line before each block (or before its code fence)
+ * @returns {Map<string, string[]>} path -> block lines
+ */
+function editBlocksByFile(body) {
+  const blocks = new Map()
+  let fileName = null
+  let current = null
+  for (const line of body.split('\n')) {
+    if (current) {
+      current.push(line)
+      if (REPLACE_END_REGEX.test(line)) current = null
+    } else if (SEARCH_BLOCK_REGEX.test(line) && fileName) {
+      if (!blocks.has(fileName)) blocks.set(fileName, [])
+      current = blocks.get(fileName)
+      current.push(line)
+    } else if (line.trim() && !FENCE_REGEX.test(line)) {
+      fileName = line.trim()
+    }
+  }
+  return blocks
+}
+
+/**
+ * Convert an Aider chat history into USER/AGENT/TOOL transcript lines
+ * @param {string} text - Markdown history
+ * @returns {string} Normalized transcript
+ */
+export function aiderHistoryToTranscript(text) {
+  const lines = []
+  let message = null // { speaker, lines }
+  let command = null // { target, output }
+  let editBlocks = new Map() // edit blocks of the last assistant message, for the size of applied edits
+
+  const flushMessage = () => {
+    const body = message?.lines.join('\n').trim()
+    if (body) lines.push(`${message.speaker}: ${body}`)
+    if (body && message.speaker === 'AGENT') editBlocks = editBlocksByFile(body)
+    message = null
+  }
+  const flushCommand = () => {
+    if (!command) return
+    const output = command.output.join('\n')
+    const outcome = output.trim() ? inferToolOutcome(output) : { success: true, exitCode: null, text: '' }
+    lines.push(formatToolCall({
+      name: 'run',
+      target: command.target,
+      success: outcome.success,
+      exitCode: outcome.exitCode,
+      excerpt: pickResultExcerpt('run', outcome.text, outcome.success)
+    }))
+    command = null
+  }
+  const append = (speaker, line) => {
+    flushCommand()
+    if (message?.speaker !== speaker) {
+      flushMessage()
+      message = { speaker, lines: [] }
+    }
+    message.lines.push(line)
+  }
+
+  for (const rawLine of text.split('\n')) {
+    if (SESSION_HEADER_REGEX.test(rawLine)) {
+      flushCommand()
+      flushMessage()
+      continue
+    }
+
+    const user = rawLine.match(USER_LINE_REGEX)
+    if (user) {
+      append('USER', user[1])
+      continue
+    }
+
+    const quote = rawLine.match(QUOTE_LINE_REGEX)
+    if (!quote) {
+      // Blank lines inside a command's output don't end it
+      if (command && !rawLine.trim()) continue
+      append('AGENT', rawLine)
+      continue
+    }
+
+    const output = (quote[1] || '').trim()
+    const running = output.match(RUNNING_REGEX)
+    const applied = output.match(APPLIED_EDIT_REGEX)
+    const failed = output.match(FAILED_EDIT_REGEX)
+    const commit = output.match(COMMIT_REGEX)
+
+    if (running) {
+      flushMessage()
+      flushCommand()
+      command = { target: running[1], output: [] }
+    } else if (applied || failed || commit) {
+      flushMessage()
+      flushCommand()
+      const target = commit ? commit[2] : (applied || failed)[1]
+      const blocks = applied ? editBlocks.get(target) : null
+      lines.push(formatToolCall({
+        name: commit ? 'git_commit' : 'edit',
+        target,
+        success: !failed,
+        diff: blocks ? countDiffLines(blocks.join('\n')) : null,
+        excerpt: failed ? output : ''
+      }))
+    } else if (command) {
+      command.output.push(output)
+    } else if (output && !SKIPPED_OUTPUT_REGEX.test(output)) {
+      // Other aider output (lint results, /run output) stays as context
+      flushMessage()
+      lines.push(`LOG: ${output}`)
+    }
+  }
+
+  flushCommand()
+  flushMessage()
+  return lines.join('\n\n')
+}
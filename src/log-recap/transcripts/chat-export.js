@@ -0,0 +1,34 @@
+/**
+ * IDE chat history export
+ *
+ *   { version, conversation: { chatHistory: [{ request_message, response_text, chatItemType }] } }
+ *
+ * Every history item becomes a USER/AGENT pair; inline JSON payloads are
+ * dropped from both messages.
+ */
+
+/**
+ * Check whether a parsed JSON document is a chat history export
+ * @param {any} parsed - Parsed JSON
+ * @returns {boolean}
+ */
+export function isChatHistoryExport(parsed) {
+  return Boolean(parsed?.version && Array.isArray(parsed.conversation?.chatHistory))
+}
+
+/**
+ * Convert a chat history export into USER/AGENT transcript lines
+ * @param {Object} parsed - Parsed export
+ * @returns {string} Normalized transcript
+ */
+export function chatHistoryExportToTranscript(parsed) {
+  return parsed.conversation.chatHistory
+    .filter(item => item.chatItemType !== 'agentic-checkpoint-delimiter')
+    .map(item => {
+      const userMsg = (item.request_message || '').replace(/\{.*?\}/gs, '').trim()
+      const agentMsg = (item.response_text || '').replace(/\{.*?\}/gs, '').trim()
+      return `USER: ${userMsg}\nAGENT: ${agentMsg}`.trim()
+    })
+    .filter(text => text.length > 10)
+    .join('\n\n')
+}
@@ -0,0 +1,173 @@
+/**
+ * Claude Code session transcripts (`~/.claude/projects/<project>/<session>.jsonl`)
+ *
+ * One JSON record per line. `user` and `assistant` records carry an API
+ * message whose content mixes text, thinking, tool_use and tool_result
+ * blocks; tool results arrive in a later user record and are paired with
+ * their tool_use by id. Subagent (sidechain) records and meta records are
+ * skipped so the main session reads in order.
+ */
+
+import { formatToolCall, pickResultExcerpt, describeToolInput, elapsedMs, diffStatFromInput } from './tool-calls.js'
+
+const DETECTION_SAMPLE_LINES = 20
+const MESSAGE_RECORD_TYPES = ['user', 'assistant']
+const KNOWN_RECORD_TYPES = [...MESSAGE_RECORD_TYPES, 'summary', 'system', 'file-history-snapshot']
+const EXIT_CODE_REGEX = /^Exit code (-?\d+)/
+
+function parseJsonLines(text) {
+  const records = []
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue
+    try {
+      records.push(JSON.parse(line))
+    } catch {
+      // A session being written may end with a partial line
+    }
+  }
+  return records
+}
+
+/**
+ * Check whether the input is a Claude Code JSONL session
+ * @param {string} text - Raw input
+ * @returns {boolean}
+ */
+export function looksLikeClaudeCodeJsonl(text) {
+  const sample = text.split('\n').filter(line => line.trim()).slice(0, DETECTION_SAMPLE_LINES)
+  if (!sample.length) return false
+
+  let messages = 0
+  for (const line of sample) {
+    let record
+    try {
+      record = JSON.parse(line)
+    } catch {
+      return false
+    }
+    if (!record || typeof record !== 'object' || !KNOWN_RECORD_TYPES.includes(record.type)) return false
+    if (MESSAGE_RECORD_TYPES.includes(record.type) && record.message && typeof record.message === 'object') messages++
+  }
+  return messages > 0
+}
+
+function contentBlocks(message) {
+  const content = message?.content
+  if (typeof content === 'string') return [{ type: 'text', text: content }]
+  return Array.isArray(content) ? content : []
+}
+
+function resultText(content) {
+  if (typeof content === 'string') return content
+  if (!Array.isArray(content)) return ''
+  return content.filter(block => block?.type === 'text').map(block => block.text).join('\n')
+}
+
+/**
+ * Strip harness wrappers from user text: reminders are dropped and slash
+ * commands are shown as typed
+ */
+function cleanUserText(text) {
+  if (/<local-command-stdout>|<local-command-stderr>/.test(text)) return ''
+  const command = text.match(/<command-name>([^<]*)<\/command-name>/)
+  if (command) {
+    const args = text.match(/<command-args>([^<]*)<\/command-args>/)
+    return `${command[1].trim()} ${args ? args[1].trim() : ''}`.trim()
+  }
+  return text
+    .replace(/<system-reminder>[\s\S]*?<\/system-reminder>/g, '')
+    .replace(/<command-message>[\s\S]*?<\/command-message>/g, '')
+    .trim()
+}
+
+/**
+ * Outcome of a tool_result block
+ * @returns {{success: boolean, exitCode: number|null, durationMs: number|null, finishedAt: string, output: string}}
+ */
+function toolOutcome(block, record) {
+  const output = resultText(block.content)
+  const exit = output.match(EXIT_CODE_REGEX)
+  const interrupted = record?.toolUseResult?.interrupted === true
+  const durationMs = record?.toolUseResult?.durationMs
+  return {
+    success: !block.is_error && !interrupted,
+    exitCode: exit ? Number(exit[1]) : null,
+    durationMs: Number.isFinite(durationMs) ? durationMs : null,
+    finishedAt: record?.timestamp,
+    output
+  }
+}
+
+/**
+ * Offset of the first record whose tool calls have no result yet (a session
+ * still being written); the text length when every call is answered
+ * @param {string} text - JSONL session
+ * @returns {number}
+ */
+export function claudeCodePendingOffset(text) {
+  const pending = new Map() // tool_use id -> offset of its record
+  let offset = 0
+  for (const line of text.split('\n')) {
+    let record = null
+    try {
+      record = line.trim() ? JSON.parse(line) : null
+    } catch {
+      // Partial line
+    }
+    if (record && MESSAGE_RECORD_TYPES.includes(record.type) && !record.isSidechain) {
+      for (const block of contentBlocks(record.message)) {
+        if (block?.type === 'tool_use' && block.id) pending.set(block.id, offset)
+        if (block?.type === 'tool_result') pending.delete(block.tool_use_id)
+      }
+    }
+    offset += line.length + 1
+  }
+  return pending.size ? Math.min(...pending.values()) : text.length
+}
+
+/**
+ * Convert a Claude Code session into USER/AGENT/TOOL transcript lines
+ * @param {string} text - JSONL session
+ * @returns {string} Normalized transcript
+ */
+export function claudeCodeJsonlToTranscript(text) {
+  const records = parseJsonLines(text).filter(record =>
+    MESSAGE_RECORD_TYPES.includes(record?.type) && !record.isSidechain && !record.isMeta
+  )
+
+  // Results are reported in a later user record, index them by tool_use id
+  const results = new Map()
+  for (const record of records) {
+    if (record.type !== 'user') continue
+    for (const block of contentBlocks(record.message)) {
+      if (block?.type === 'tool_result' && block.tool_use_id) {
+        results.set(block.tool_use_id, toolOutcome(block, record))
+      }
+    }
+  }
+
+  const lines = []
+  for (const record of records) {
+    for (const block of contentBlocks(record.message)) {
+      if (!block) continue
+      if (block.type === 'text' && block.text?.trim()) {
+        const text = record.type === 'user' ? cleanUserText(block.text) : block.text.trim()
+        if (text) lines.push(`${record.type === 'user' ? 'USER' : 'AGENT'}: ${text}`)
+      } else if (block.type === 'tool_use') {
+        const outcome = results.get(block.id)
+        lines.push(formatToolCall({
+          name: block.name,
+          target: describeToolInput(block.name, block.input),
+          success: outcome ? outcome.success : null,
+          exitCode: outcome?.exitCode ?? null,
+          // Some tools report their own duration, otherwise use the record timestamps
+          durationMs: outcome ? outcome.durationMs ?? elapsedMs(record.timestamp, outcome.finishedAt) : null,
+          diff: outcome?.success === false ? null : diffStatFromInput(block.input),
+          excerpt: outcome ? pickResultExcerpt(block.name, outcome.output, outcome.success) : ''
+        }))
+      }
+    }
+  }
+
+  return lines.join('\n\n')
+}
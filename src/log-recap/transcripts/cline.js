@@ -0,0 +1,125 @@
+/**
+ * Cline task history (`ui_messages.json` of a task folder)
+ *
+ *   [{ ts, type: 'say', say: 'task', text },
+ *    { ts, type: 'ask', ask: 'command', text: 'npm test' },
+ *    { ts, type: 'say', say: 'command_output', text: '...' },
+ *    { ts, type: 'say', say: 'tool', text: '{"tool":"editedExistingFile","path":"src/app.ts"}' }]
+ *
+ * Commands are paired with the output that follows them, file tools are
+ * marked failed when Cline reports an error right after them. Streaming
+ * partials, API request markers and reasoning are skipped.
+ */
+
+import { formatToolCall, inferToolOutcome, pickResultExcerpt, describeToolInput, elapsedMs, diffStatFromInput } from './tool-calls.js'
+
+const USER_SAYS = ['task', 'user_feedback', 'user_feedback_diff']
+const AGENT_SAYS = ['text', 'completion_result']
+const ERROR_SAYS = ['error', 'diff_error', 'clineignore_error']
+
+/**
+ * Check whether a parsed JSON document is a Cline task history
+ * @param {any} parsed - Parsed JSON
+ * @returns {boolean}
+ */
+export function isClineTaskHistory(parsed) {
+  if (!Array.isArray(parsed) || !parsed.length) return false
+  return parsed.every(message => message && typeof message.ts === 'number' && (message.type === 'say' || message.type === 'ask'))
+}
+
+function parseToolPayload(text) {
+  try {
+    const payload = JSON.parse(text)
+    return payload && typeof payload === 'object' ? payload : null
+  } catch {
+    return null
+  }
+}
+
+function followupText(text) {
+  const payload = parseToolPayload(text)
+  return payload?.question || text
+}
+
+/**
+ * Convert a Cline task history into USER/AGENT/TOOL transcript lines
+ * @param {Object[]} messages - ui_messages.json entries
+ * @returns {string} Normalized transcript
+ */
+export function clineTaskToTranscript(messages) {
+  const lines = []
+  let pending = null // { kind, name, target, diff, ts, lastTs, output: [], success }
+
+  const flushPending = () => {
+    if (!pending) return
+    let { success, exitCode = null, excerpt = '' } = pending
+    const durationMs = pending.lastTs ? elapsedMs(pending.ts, pending.lastTs) : null
+    if (pending.kind === 'command') {
+      const output = pending.output.join('\n')
+      const outcome = output.trim() ? inferToolOutcome(output) : { success: true, exitCode: null, text: '' }
+      success = success === false ? false : outcome.success
+      exitCode = outcome.exitCode
+      excerpt = pickResultExcerpt(pending.name, outcome.text, success) || excerpt
+    }
+    const diff = pending.kind === 'tool' && success !== false ? pending.diff : null
+    lines.push(formatToolCall({ name: pending.name, target: pending.target, success, exitCode, durationMs, diff, excerpt }))
+    pending = null
+  }
+
+  for (const message of messages) {
+    if (message.partial) continue
+    const kind = message.type === 'say' ? message.say : message.ask
+    const text = (message.text || '').trim()
+
+    if (kind === 'command_output') {
+      if (pending?.kind === 'command') {
+        pending.output.push(text)
+        pending.lastTs = message.ts
+      }
+      continue
+    }
+    if (ERROR_SAYS.includes(kind)) {
+      if (pending) {
+        pending.success = false
+        pending.excerpt = text
+        flushPending()
+      } else if (text) {
+        lines.push(`AGENT: Error: ${text}`)
+      }
+      continue
+    }
+
+    if (kind === 'command') {
+      flushPending()
+      pending = { kind: 'command', name: 'execute_command', target: text, ts: message.ts, output: [], success: true }
+      continue
+    }
+    if (kind === 'tool') {
+      const payload = parseToolPayload(text)
+      // Cline emits the same tool as `ask` (approval) then `say` (done)
+      if (pending?.kind === 'tool' && pending.raw === text) continue
+      flushPending()
+      pending = {
+        kind: 'tool',
+        raw: text,
+        name: payload?.tool || 'tool',
+        target: describeToolInput(payload?.tool, payload || text),
+        diff: diffStatFromInput(payload),
+        success: true
+      }
+      continue
+    }
+
+    if (!text) continue
+    if (USER_SAYS.includes(kind)) {
+      flushPending()
+      lines.push(`USER: ${text}`)
+    } else if (AGENT_SAYS.includes(kind) || kind === 'followup') {
+      flushPending()
+      lines.push(`AGENT: ${kind === 'followup' ? followupText(text) : text}`)
+    }
+  }
+
+  flushPending()
+  return lines.join('\n\n')
+}
@@ -0,0 +1,164 @@
+/**
+ * Codex CLI rollout files (`~/.codex/sessions/YYYY/MM/DD/rollout-*.jsonl`)
+ *
+ *   {"type":"session_meta","payload":{"id":"...","cwd":"..."}}
+ *   {"type":"response_item","payload":{"type":"message","role":"user","content":[{"type":"input_text","text":"..."}]}}
+ *   {"type":"response_item","payload":{"type":"function_call","name":"shell","arguments":"{...}","call_id":"c1"}}
+ *   {"type":"response_item","payload":{"type":"function_call_output","call_id":"c1","output":"{...}"}}
+ *
+ * Older rollouts store the response items directly, one per line. Event
+ * records (`event_msg`) repeat the response items and are skipped, as are
+ * reasoning items and the injected environment/instructions messages.
+ */
+
+import { formatToolCall, inferToolOutcome, pickResultExcerpt, describeToolInput, diffStatFromInput } from './tool-calls.js'
+
+const DETECTION_SAMPLE_LINES = 20
+const ROLLOUT_RECORD_TYPES = ['session_meta', 'response_item', 'event_msg', 'turn_context', 'compacted']
+const ITEM_TYPES = ['message', 'function_call', 'function_call_output', 'custom_tool_call', 'custom_tool_call_output', 'local_shell_call', 'reasoning']
+const CALL_TYPES = ['function_call', 'custom_tool_call', 'local_shell_call']
+const OUTPUT_TYPES = ['function_call_output', 'custom_tool_call_output']
+const INJECTED_MESSAGE_REGEX = /^\s*(?:<environment_context>|<user_instructions>|# AGENTS\.md instructions)/
+const PATCH_FILE_REGEX = /^\*\*\* (?:Add|Update|Delete) File: (.+)$/gm
+
+function parseRecords(text) {
+  const records = []
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue
+    try {
+      records.push(JSON.parse(line))
+    } catch {
+      // Partial trailing line of a running session
+    }
+  }
+  return records
+}
+
+function toItem(record) {
+  if (record?.type === 'response_item') return record.payload
+  return ITEM_TYPES.includes(record?.type) ? record : null
+}
+
+/**
+ * Check whether the input is a Codex rollout
+ * @param {string} text - Raw input
+ * @returns {boolean}
+ */
+export function looksLikeCodexRollout(text) {
+  const sample = text.split('\n').filter(line => line.trim()).slice(0, DETECTION_SAMPLE_LINES)
+  if (!sample.length) return false
+
+  let items = 0
+  for (const line of sample) {
+    let record
+    try {
+      record = JSON.parse(line)
+    } catch {
+      return false
+    }
+    if (ROLLOUT_RECORD_TYPES.includes(record?.type) || toItem(record)) {
+      if (toItem(record)) items++
+      continue
+    }
+    // Legacy rollouts start with an untyped session header and have state records
+    if (record && !record.type && ((record.id && record.timestamp) || record.record_type)) continue
+    return false
+  }
+  return items > 0
+}
+
+function messageText(content) {
+  if (typeof content === 'string') return content
+  if (!Array.isArray(content)) return ''
+  return content.map(part => part?.text ?? '').filter(Boolean).join('\n')
+}
+
+function parseArguments(raw) {
+  if (typeof raw !== 'string') return raw || {}
+  try {
+    return JSON.parse(raw)
+  } catch {
+    return raw
+  }
+}
+
+function callInput(item) {
+  if (item.type === 'local_shell_call') return item.action
+  return item.type === 'custom_tool_call' ? item.input : parseArguments(item.arguments)
+}
+
+function describeCall(item) {
+  if (item.type === 'local_shell_call') return describeToolInput('shell', item.action)
+  const input = callInput(item)
+  // apply_patch carries the patch text: name the files it touches
+  const patch = typeof input === 'string' ? input : input?.input || input?.patch
+  if (typeof patch === 'string' && patch.includes('*** Begin Patch')) {
+    return Array.from(patch.matchAll(PATCH_FILE_REGEX), match => match[1].trim()).join(', ')
+  }
+  return describeToolInput(item.name, input)
+}
+
+/**
+ * Offset of the first record whose tool call has no output yet; the text
+ * length when every call is answered
+ * @param {string} text - Rollout JSONL
+ * @returns {number}
+ */
+export function codexPendingOffset(text) {
+  const pending = new Map() // call_id -> offset of its record
+  let offset = 0
+  for (const line of text.split('\n')) {
+    let item = null
+    try {
+      item = line.trim() ? toItem(JSON.parse(line)) : null
+    } catch {
+      // Partial line
+    }
+    if (item && CALL_TYPES.includes(item.type) && (item.call_id ?? item.id)) pending.set(item.call_id ?? item.id, offset)
+    if (item && OUTPUT_TYPES.includes(item.type)) pending.delete(item.call_id)
+    offset += line.length + 1
+  }
+  return pending.size ? Math.min(...pending.values()) : text.length
+}
+
+/**
+ * Convert a Codex rollout into USER/AGENT/TOOL transcript lines
+ * @param {string} text - Rollout JSONL
+ * @returns {string} Normalized transcript
+ */
+export function codexRolloutToTranscript(text) {
+  const items = parseRecords(text).map(toItem).filter(Boolean)
+
+  const outputs = new Map()
+  for (const item of items) {
+    if (OUTPUT_TYPES.includes(item.type) && item.call_id) {
+      const output = typeof item.output === 'string' ? item.output : item.output?.content ?? JSON.stringify(item.output ?? '')
+      outputs.set(item.call_id, output)
+    }
+  }
+
+  const lines = []
+  for (const item of items) {
+    if (item.type === 'message') {
+      const body = messageText(item.content).trim()
+      if (!body || INJECTED_MESSAGE_REGEX.test(body)) continue
+      if (item.role === 'user') lines.push(`USER: ${body}`)
+      else if (item.role === 'assistant') lines.push(`AGENT: ${body}`)
+    } else if (CALL_TYPES.includes(item.type)) {
+      const name = item.name || 'shell'
+      const output = outputs.get(item.call_id ?? item.id)
+      const outcome = output === undefined ? null : inferToolOutcome(output)
+      lines.push(formatToolCall({
+        name,
+        target: describeCall(item),
+        success: outcome ? outcome.success : null,
+        exitCode: outcome?.exitCode ?? null,
+        durationMs: outcome?.durationMs ?? null,
+        diff: outcome?.success === false || item.type === 'local_shell_call' ? null : diffStatFromInput(callInput(item)),
+        excerpt: outcome ? pickResultExcerpt(name, outcome.text, outcome.success) : ''
+      }))
+    }
+  }
+
+  return lines.join('\n\n')
+}
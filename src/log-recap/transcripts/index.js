@@ -0,0 +1,183 @@
+/**
+ * Transcript format registry
+ *
+ * Each adapter turns one agent/chat export into the normalized transcript
+ * consumed by `segmentIntoTurns`: one `USER:` / `AGENT:` / `TOOL:` / `LOG:`
+ * entry per message, separated by blank lines. Formats are sniffed in
+ * registry order, most specific first; a format can also be forced by id.
+ */
+
+import { looksLikeClaudeCodeJsonl, claudeCodeJsonlToTranscript, claudeCodePendingOffset } from './claude-code.js'
+import { looksLikeCodexRollout, codexRolloutToTranscript, codexPendingOffset } from './codex.js'
+import { isChatHistoryExport, chatHistoryExportToTranscript } from './chat-export.js'
+import { isClineTaskHistory, clineTaskToTranscript } from './cline.js'
+import { extractOpenAiMessages, openAiMessagesToTranscript } from './openai-messages.js'
+import { looksLikeAiderHistory, aiderHistoryToTranscript } from './aider.js'
+import { looksLikeTerminalScrape, terminalScrapeToTranscript } from './terminal.js'
+
+/**
+ * @typedef {Object} TranscriptContext
+ * @property {string} text - Raw input
+ * @property {() => any} json - Input parsed as a single JSON document (undefined if it isn't one)
+ * @property {number} linesBefore - Transcript lines produced by earlier runs over the same input
+ */
+
+/**
+ * @typedef {Object} TranscriptAdapter
+ * @property {string} id - Format id used by `--format` and the UI
+ * @property {string} label - Human readable name
+ * @property {(context: TranscriptContext) => boolean} detect
+ * @property {(context: TranscriptContext) => string} toTranscript
+ * @property {boolean} [appendOnly] - The file only grows while the session runs, so a
+ *   later copy can be processed from where an earlier one ended
+ * @property {(text: string) => number} [pendingOffset] - Where records still waiting for
+ *   a tool result start, for formats written while the session runs
+ */
+
+/** @type {TranscriptAdapter[]} */
+const ADAPTERS = [
+  {
+    id: 'claude-code',
+    label: 'Claude Code session (JSONL)',
+    detect: ({ text }) => looksLikeClaudeCodeJsonl(text),
+    toTranscript: ({ text }) => claudeCodeJsonlToTranscript(text),
+    appendOnly: true,
+    pendingOffset: claudeCodePendingOffset
+  },
+  {
+    id: 'codex',
+    label: 'Codex CLI rollout (JSONL)',
+    detect: ({ text }) => looksLikeCodexRollout(text),
+    toTranscript: ({ text }) => codexRolloutToTranscript(text),
+    appendOnly: true,
+    pendingOffset: codexPendingOffset
+  },
+  {
+    id: 'chat-export',
+    label: 'IDE chat history export (JSON)',
+    detect: ({ json }) => isChatHistoryExport(json()),
+    toTranscript: ({ json }) => (isChatHistoryExport(json()) ? chatHistoryExportToTranscript(json()) : '')
+  },
+  {
+    id: 'cline',
+    label: 'Cline task history (JSON)',
+    detect: ({ json }) => isClineTaskHistory(json()),
+    toTranscript: ({ json }) => (isClineTaskHistory(json()) ? clineTaskToTranscript(json()) : '')
+  },
+  {
+    id: 'openai',
+    label: 'OpenAI messages (JSON)',
+    detect: ({ json }) => Boolean(extractOpenAiMessages(json())),
+    toTranscript: ({ json }) => {
+      const messages = extractOpenAiMessages(json())
+      return messages ? openAiMessagesToTranscript(messages) : ''
+    }
+  },
+  {
+    id: 'aider',
+    label: 'Aider chat history (Markdown)',
+    detect: ({ text }) => looksLikeAiderHistory(text),
+    toTranscript: ({ text }) => aiderHistoryToTranscript(text),
+    appendOnly: true
+  },
+  {
+    id: 'terminal',
+    label: 'Terminal scrape (⏺ / > / › prompts)',
+    detect: ({ text }) => looksLikeTerminalScrape(text),
+    toTranscript: ({ text, linesBefore }) => terminalScrapeToTranscript(text, { linesBefore }),
+    appendOnly: true
+  },
+  {
+    id: 'text',
+    label: 'Plain text',
+    detect: () => true,
+    toTranscript: ({ text }) => text,
+    appendOnly: true
+  }
+]
+
+/**
+ * Selectable formats, `auto` first
+ * @type {{id: string, label: string}[]}
+ */
+export const TRANSCRIPT_FORMATS = [
+  { id: 'auto', label: 'Auto-detect' },
+  ...ADAPTERS.map(({ id, label }) => ({ id, label }))
+]
+
+function createContext(text, linesBefore = 0) {
+  let parsed
+  let attempted = false
+  return {
+    text,
+    linesBefore,
+    json: () => {
+      if (!attempted) {
+        attempted = true
+        try {
+          parsed = JSON.parse(text)
+        } catch {
+          parsed = undefined
+        }
+      }
+      return parsed
+    }
+  }
+}
+
+/**
+ * Detect the transcript format of the input
+ * @param {string} text - Raw input
+ * @returns {string} Format id
+ */
+export function detectTranscriptFormat(text) {
+  const context = createContext(text)
+  return ADAPTERS.find(adapter => adapter.detect(context)).id
+}
+
+/**
+ * Check whether a format only grows while the session runs (JSONL and text
+ * logs), unlike JSON exports that are rewritten as a whole
+ * @param {string} format - Format id
+ * @returns {boolean}
+ */
+export function isAppendOnlyFormat(format) {
+  return Boolean(ADAPTERS.find(adapter => adapter.id === format)?.appendOnly)
+}
+
+/**
+ * Offset where the unfinished part of a live session starts (tool calls
+ * still waiting for their result); the text length when nothing is pending
+ * or the format cannot tell
+ * @param {string} text - Raw input
+ * @param {string} format - Format id (not 'auto')
+ * @returns {number}
+ */
+export function findPendingOffset(text, format) {
+  const adapter = ADAPTERS.find(candidate => candidate.id === format)
+  return adapter?.pendingOffset ? adapter.pendingOffset(text) : text.length
+}
+
+/**
+ * Normalize an agent/chat export to USER/AGENT/TOOL transcript lines
+ * @param {string} text - Raw input
+ * @param {string} [format='auto'] - Format id, or 'auto' to sniff it
+ * @param {Object} [options]
+ * @param {boolean} [options.keepInput=true] - Return the input as is when the adapter finds nothing to convert
+ * @param {number} [options.linesBefore=0] - Transcript lines produced from the part of the
+ *   input processed by earlier runs, for adapters that limit the transcript size
+ * @returns {{format: string, text: string}} Format used and normalized text
+ */
+export function normalizeTranscript(text, format = 'auto', { keepInput = true, linesBefore = 0 } = {}) {
+  const context = createContext(text, linesBefore)
+  const adapter = format === 'auto'
+    ? ADAPTERS.find(candidate => candidate.detect(context))
+    : ADAPTERS.find(candidate => candidate.id === format)
+  if (!adapter) {
+    throw new Error(`Unknown transcript format "${format}" (expected one of: ${TRANSCRIPT_FORMATS.map(entry => entry.id).join(', ')})`)
+  }
+
+  // An adapter that finds nothing to convert leaves the input as is
+  const transcript = adapter.toTranscript(context)
+  return { format: adapter.id, text: transcript || (keepInput ? text : '') }
+}
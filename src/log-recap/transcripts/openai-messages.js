@@ -0,0 +1,98 @@
+/**
+ * OpenAI-style chat messages
+ *
+ *   [{ role: 'assistant', content, tool_calls: [{ id, function: { name, arguments } }] },
+ *    { role: 'tool', tool_call_id, content }]
+ *
+ * Accepted as a bare array or wrapped in `{ messages: [...] }`. Tool
+ * responses are paired with their call by id (legacy `function_call` /
+ * `role: 'function'` messages by name and order), so each call renders as
+ * one TOOL line with its outcome.
+ */
+
+import { formatToolCall, pickResultExcerpt, describeToolInput, inferToolOutcome, diffStatFromInput } from './tool-calls.js'
+
+const ROLES = ['system', 'developer', 'user', 'assistant', 'tool', 'function']
+
+/**
+ * Messages array of a parsed JSON document, if it is one
+ * @param {any} parsed - Parsed JSON
+ * @returns {Object[]|null}
+ */
+export function extractOpenAiMessages(parsed) {
+  const messages = Array.isArray(parsed) ? parsed : parsed?.messages
+  if (!Array.isArray(messages) || !messages.length) return null
+  const valid = messages.every(message => message && typeof message === 'object' && ROLES.includes(message.role))
+  return valid ? messages : null
+}
+
+function messageText(content) {
+  if (typeof content === 'string') return content
+  if (!Array.isArray(content)) return content ? JSON.stringify(content) : ''
+  return content
+    .map(part => (typeof part === 'string' ? part : part?.text ?? ''))
+    .filter(Boolean)
+    .join('\n')
+}
+
+function parseArguments(raw) {
+  if (typeof raw !== 'string') return raw || {}
+  try {
+    return JSON.parse(raw)
+  } catch {
+    return raw
+  }
+}
+
+/**
+ * Convert a messages array into USER/AGENT/TOOL transcript lines
+ * @param {Object[]} messages - Chat messages
+ * @returns {string} Normalized transcript
+ */
+export function openAiMessagesToTranscript(messages) {
+  const responses = new Map()
+  const legacyResponses = []
+  for (const message of messages) {
+    if (message.role === 'tool' && message.tool_call_id) {
+      responses.set(message.tool_call_id, messageText(message.content))
+    } else if (message.role === 'function') {
+      legacyResponses.push({ name: message.name, output: messageText(message.content), used: false })
+    }
+  }
+
+  const renderCall = (name, rawArguments, output) => {
+    const outcome = output === undefined ? null : inferToolOutcome(output)
+    const input = parseArguments(rawArguments)
+    return formatToolCall({
+      name,
+      target: describeToolInput(name, input),
+      success: outcome ? outcome.success : null,
+      exitCode: outcome?.exitCode ?? null,
+      durationMs: outcome?.durationMs ?? null,
+      diff: outcome?.success === false ? null : diffStatFromInput(input),
+      excerpt: outcome ? pickResultExcerpt(name, outcome.text, outcome.success) : ''
+    })
+  }
+
+  const lines = []
+  for (const message of messages) {
+    const text = messageText(message.content).trim()
+    if (message.role === 'user' && text) {
+      lines.push(`USER: ${text}`)
+    } else if (message.role === 'assistant') {
+      if (text) lines.push(`AGENT: ${text}`)
+      for (const call of message.tool_calls || []) {
+        const fn = call?.function || {}
+        lines.push(renderCall(fn.name || call?.type || 'tool', fn.arguments, responses.get(call?.id)))
+      }
+      if (message.function_call) {
+        const { name, arguments: rawArguments } = message.function_call
+        const response = legacyResponses.find(entry => !entry.used && entry.name === name)
+        if (response) response.used = true
+        lines.push(renderCall(name, rawArguments, response?.output))
+      }
+    }
+  }
+
+  return lines.join('\n\n')
+}
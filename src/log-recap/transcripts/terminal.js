@@ -0,0 +1,91 @@
+/**
+ * Terminal scrape of a CLI agent session
+ *
+ *   > fix the failing test          (user prompt, `›` in some CLIs)
+ *   ⏺ I'll run the tests first.     (agent message)
+ *
+ * Unprefixed lines continue the current message; lines outside any
+ * message are kept as LOG entries.
+ */
+
+const MAX_PROCESSED_LINES = 2000
+
+/**
+ * Check whether the text looks like a terminal scrape
+ * @param {string} text - Raw input
+ * @returns {boolean}
+ */
+export function looksLikeTerminalScrape(text) {
+  return text.includes('⏺') || text.includes('> ') || /^\s*› /m.test(text)
+}
+
+/**
+ * Convert a terminal scrape into USER/AGENT/LOG transcript lines
+ * @param {string} inputText - Raw terminal text
+ * @param {Object} [options]
+ * @param {number} [options.linesBefore=0] - Lines already produced from the earlier part
+ *   of the scrape (resumed runs), counted against the line limit
+ * @returns {string} Normalized transcript
+ */
+export function terminalScrapeToTranscript(inputText, { linesBefore = 0 } = {}) {
+  const lines = inputText.split('\n')
+  const processedLines = []
+  
+  let currentMessage = []
+  let currentSpeaker = null // 'USER' | 'AGENT' | null
+
+  const flushMessage = () => {
+    if (currentMessage.length > 0 && currentSpeaker) {
+      processedLines.push(`${currentSpeaker}: ${currentMessage.join(' ').trim()}`)
+      currentMessage = []
+    }
+  }
+
+  for (const line of lines) {
+    const trimmed = line.trim()
+
+    let newSpeaker = null
+    let content = trimmed
+
+    if (trimmed.startsWith('⏺')) {
+      newSpeaker = 'AGENT'
+      content = trimmed.substring(1).trim()
+    } else if (trimmed.startsWith('>') || trimmed.startsWith('›')) {
+      newSpeaker = 'USER'
+      content = trimmed.substring(1).trim()
+    }
+
+    // State Machine Logic
+    if (newSpeaker) {
+      // Speaker changed or new message started
+      if (currentSpeaker && currentMessage.length > 0) {
+        flushMessage()
+      }
+      currentSpeaker = newSpeaker
+      currentMessage.push(content)
+    } else if (trimmed.length > 0) {
+      // Continuation or System Log
+      if (currentSpeaker) {
+        currentMessage.push(content)
+      } else {
+        processedLines.push(`LOG: ${content}`)
+      }
+    } else {
+      // Empty line usually ends a block in logs
+      flushMessage()
+      currentSpeaker = null
+    }
+  }
+
+  // Final flush
+  flushMessage()
+
+  // Safety Limit, over the whole scrape when resuming
+  const maxLines = Math.max(0, MAX_PROCESSED_LINES - linesBefore)
+  if (processedLines.length > maxLines) {
+    processedLines.splice(maxLines)
+  }
+
+  // Clean up consecutive LOG lines to reduce noise
+  return processedLines.join('\n').replace(/(LOG: \n)+/g, 'LOG: ')
+}
@@ -0,0 +1,273 @@
+/**
+ * Tool calls in the normalized transcript
+ *
+ *   TOOL: Bash(npm test) → failed (exit 1, 2.3s): Expected 3 to equal 4
+ *   TOOL: Edit(src/app.js) → succeeded (+3 -1)
+ *
+ * Transcript adapters render each tool call paired with its result on one
+ * line; the recap parses the line back into a tool event.
+ */
+
+const TOOL_LINE_REGEX = /^TOOL:\s*([^\s(]+)\((.*?)\) → (succeeded|failed|no result)(?: \(([^)]*)\))?(?:: (.*))?$/
+const EXIT_DETAIL_REGEX = /\bexit (-?\d+)\b/
+const DURATION_DETAIL_REGEX = /\b(\d+(?:\.\d+)?)(ms|s)\b/
+const DIFF_DETAIL_REGEX = /\+(\d+) -(\d+)\b/
+const SEARCH_MARKER_REGEX = /^<{5,9} SEARCH\s*$/
+const DIVIDER_MARKER_REGEX = /^={5,9}\s*$/
+const REPLACE_MARKER_REGEX = /^>{5,9} REPLACE\s*$/
+const PATCH_MARKER_REGEX = /^(?:\*\*\* Begin Patch|@@ |diff --git |--- \S)/m
+const EXIT_ONLY_LINE_REGEX = /^exit(?: code| status)?[:=\s]+-?\d+\.?$/i
+const TARGET_LIMIT = 120
+const EXCERPT_LIMIT = 160
+const EXIT_TEXT_REGEX = /\b(?:exit(?:ed with)?(?: code| status)?|return ?code)[:=\s]+(-?\d+)/i
+const FAILURE_TEXT_REGEX = /^(?:error|fatal|fail(?:ed|ure)?|exception)\b|^\s*\w*(?:Error|Exception):|\b[1-9]\d* (?:failed|failing|errors?)\b|traceback \(most recent call last\)|command not found|permission denied/im
+const COMMAND_TOOL_REGEX = /bash|shell|exec|command|terminal|run/i
+const ERROR_LINE_REGEX = /error|exception|panic|fatal/i
+const FAILURE_LINE_REGEX = /fail|not found|denied|cannot|unable/i
+
+/**
+ * Collapse whitespace and cut a value to a single short line
+ * @param {string} text - Raw text
+ * @param {number} limit - Maximum length
+ * @returns {string}
+ */
+export function toSingleLine(text, limit = TARGET_LIMIT) {
+  const flat = String(text ?? '').replace(/\s+/g, ' ').trim()
+  return flat.length > limit ? `${flat.slice(0, limit)}…` : flat
+}
+
+/**
+ * Whether the tool runs shell commands (its output is worth quoting)
+ * @param {string} name - Tool name
+ * @returns {boolean}
+ */
+export function isCommandTool(name) {
+  return COMMAND_TOOL_REGEX.test(name || '')
+}
+
+// ['bash', '-lc', 'npm test'] -> ['npm test']
+function unwrapShell(argv) {
+  const shell = String(argv[0] || '').split('/').pop()
+  return argv.length === 3 && /^(?:ba|z|da)?sh$/.test(shell) && /^-\w*c$/.test(argv[1]) ? [argv[2]] : argv
+}
+
+/**
+ * Short description of what a tool call targeted
+ * @param {string} name - Tool name
+ * @param {Object} input - Tool input
+ * @returns {string}
+ */
+export function describeToolInput(name, input = {}) {
+  if (typeof input === 'string') return toSingleLine(input)
+  if (!input || typeof input !== 'object') return ''
+  const command = input.command ?? input.cmd
+  if (command) return toSingleLine(Array.isArray(command) ? unwrapShell(command).join(' ') : command)
+  const file = input.file_path || input.notebook_path || input.path || input.filename
+  if (file && !input.pattern) return toSingleLine(file)
+  if (input.pattern) return toSingleLine(input.path ? `${input.pattern} in ${input.path}` : input.pattern)
+  if (input.url) return toSingleLine(input.url)
+  if (input.query) return toSingleLine(input.query)
+  if (input.description) return toSingleLine(input.description)
+  if (Array.isArray(input.todos)) return `${input.todos.length} todos`
+  const firstString = Object.values(input).find(value => typeof value === 'string')
+  return toSingleLine(firstString ?? JSON.stringify(input))
+}
+
+function readDuration(data) {
+  if (!data || typeof data !== 'object') return null
+  const ms = data.duration_ms ?? data.durationMs
+  if (Number.isFinite(ms)) return ms
+  const seconds = data.duration_seconds ?? data.duration
+  return Number.isFinite(seconds) ? Math.round(seconds * 1000) : null
+}
+
+/**
+ * Elapsed time between two timestamps, when both are valid and ordered
+ * @param {string|number} startedAt - ISO string or epoch ms
+ * @param {string|number} finishedAt - ISO string or epoch ms
+ * @returns {number|null} Milliseconds
+ */
+export function elapsedMs(startedAt, finishedAt) {
+  const toMs = value => (typeof value === 'number' ? value : Date.parse(value))
+  const elapsed = toMs(finishedAt) - toMs(startedAt)
+  return Number.isFinite(elapsed) && elapsed >= 0 ? elapsed : null
+}
+
+/**
+ * Short duration for TOOL lines: "850ms", "2.3s"
+ * @param {number} ms - Milliseconds
+ * @returns {string}
+ */
+export function formatDuration(ms) {
+  return ms < 1000 ? `${Math.round(ms)}ms` : `${+(ms / 1000).toFixed(1)}s`
+}
+
+/**
+ * Lines added and removed by a patch: unified diffs, `apply_patch`
+ * envelopes and SEARCH/REPLACE blocks
+ * @param {string} text - Patch text
+ * @returns {{added: number, removed: number}|null} null when the text holds no patch
+ */
+export function countDiffLines(text) {
+  const lines = String(text ?? '').split('\n')
+  if (lines.some(line => SEARCH_MARKER_REGEX.test(line))) {
+    let added = 0
+    let removed = 0
+    let side = null
+    for (const line of lines) {
+      if (SEARCH_MARKER_REGEX.test(line)) side = 'search'
+      else if (side && DIVIDER_MARKER_REGEX.test(line)) side = 'replace'
+      else if (REPLACE_MARKER_REGEX.test(line)) side = null
+      else if (side === 'search') removed++
+      else if (side === 'replace') added++
+    }
+    return { added, removed }
+  }
+  if (!PATCH_MARKER_REGEX.test(text)) return null
+  return {
+    added: lines.filter(line => line.startsWith('+') && !line.startsWith('+++')).length,
+    removed: lines.filter(line => line.startsWith('-') && !line.startsWith('---')).length
+  }
+}
+
+const lineCount = text => (text ? String(text).split('\n').length : 0)
+
+/**
+ * Size of the change an edit tool call asked for, read from its input
+ * (Edit/MultiEdit strings, Write content, patch text)
+ * @param {Object|string} input - Tool input
+ * @returns {{added: number, removed: number}|null}
+ */
+export function diffStatFromInput(input) {
+  if (typeof input === 'string') return countDiffLines(input)
+  if (!input || typeof input !== 'object') return null
+  if (typeof input.old_string === 'string' || typeof input.new_string === 'string') {
+    return { added: lineCount(input.new_string), removed: lineCount(input.old_string) }
+  }
+  if (Array.isArray(input.edits)) {
+    return input.edits.reduce((total, edit) => ({
+      added: total.added + lineCount(edit?.new_string),
+      removed: total.removed + lineCount(edit?.old_string)
+    }), { added: 0, removed: 0 })
+  }
+  const patch = [input.patch, input.diff, input.input].find(value => typeof value === 'string')
+  if (patch) return countDiffLines(patch)
+  if (typeof input.content === 'string' && (input.file_path || input.path)) {
+    return { added: lineCount(input.content), removed: 0 }
+  }
+  return null
+}
+
+function formatDetails(exitCode, durationMs, diff = null) {
+  const details = []
+  if (exitCode !== null && exitCode !== undefined) details.push(`exit ${exitCode}`)
+  if (durationMs !== null && durationMs !== undefined) details.push(formatDuration(durationMs))
+  if (diff) details.push(`+${diff.added} -${diff.removed}`)
+  return details.length ? ` (${details.join(', ')})` : ''
+}
+
+/**
+ * Outcome of a tool response without a status flag: explicit JSON fields
+ * (exit_code, success, error) first, then the text
+ * @param {string} output - Tool response content
+ * @returns {{success: boolean, exitCode: number|null, durationMs: number|null, text: string}}
+ */
+export function inferToolOutcome(output) {
+  let data = null
+  try {
+    data = JSON.parse(output)
+  } catch {
+    // Plain text output
+  }
+
+  if (data && typeof data === 'object' && !Array.isArray(data)) {
+    // Quote the wrapped output rather than the JSON envelope
+    const error = typeof data.error === 'string' ? data.error : data.error?.message
+    const text = [error, data.stderr, data.output ?? data.stdout ?? data.result]
+      .filter(value => typeof value === 'string' && value.trim())
+      .join('\n') || output
+    const exitCode = data.exit_code ?? data.exitCode ?? data.returncode ?? data.metadata?.exit_code ?? null
+    const durationMs = readDuration(data) ?? readDuration(data.metadata)
+    if (exitCode !== null && Number.isFinite(Number(exitCode))) {
+      return { success: Number(exitCode) === 0, exitCode: Number(exitCode), durationMs, text }
+    }
+    if (data.success === false || data.ok === false || data.error) return { success: false, exitCode: null, durationMs, text }
+    if (data.success === true || data.ok === true) return { success: true, exitCode: null, durationMs, text }
+  }
+
+  const exit = output.match(EXIT_TEXT_REGEX)
+  if (exit) return { success: Number(exit[1]) === 0, exitCode: Number(exit[1]), durationMs: null, text: output }
+  return { success: !FAILURE_TEXT_REGEX.test(output), exitCode: null, durationMs: null, text: output }
+}
+
+/**
+ * Pick the line of a tool result that explains the outcome
+ * Failures prefer an error-looking line, successes of non-command tools
+ * (file reads, edits) get no excerpt.
+ * @param {string} name - Tool name
+ * @param {string} output - Result text
+ * @param {boolean|null} success - Outcome
+ * @returns {string}
+ */
+export function pickResultExcerpt(name, output, success) {
+  if (success === true && !isCommandTool(name)) return ''
+  const lines = String(output || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !EXIT_ONLY_LINE_REGEX.test(line))
+  if (!lines.length) return ''
+  const head = lines.slice(0, 40)
+  const errorLine = success === false
+    ? head.find(line => ERROR_LINE_REGEX.test(line)) || head.find(line => FAILURE_LINE_REGEX.test(line))
+    : null
+  return toSingleLine(errorLine || lines[0], EXCERPT_LIMIT)
+}
+
+/**
+ * Render a tool call as a transcript line
+ * @param {Object} call - { name, target, success, exitCode, durationMs, diff, excerpt }
+ *   success is true, false or null (no result seen); diff is { added, removed } for edits
+ * @returns {string}
+ */
+export function formatToolCall({ name, target = '', success = null, exitCode = null, durationMs = null, diff = null, excerpt = '' }) {
+  const status = success === true ? 'succeeded' : success === false ? 'failed' : 'no result'
+  const details = formatDetails(exitCode, durationMs, diff)
+  const suffix = excerpt ? `: ${toSingleLine(excerpt, EXCERPT_LIMIT)}` : ''
+  return `TOOL: ${toSingleLine(name, 40).replace(/[\s(]/g, '_')}(${toSingleLine(target)}) → ${status}${details}${suffix}`
+}
+
+/**
+ * Parse a `TOOL:` transcript line
+ * @param {string} line - Transcript line
+ * @returns {Object|null} { name, target, success, exitCode, durationMs, diff, excerpt }
+ */
+export function parseToolCall(line) {
+  const match = (line || '').trim().match(TOOL_LINE_REGEX)
+  if (!match) return null
+  const [, name, target, status, details = '', excerpt = ''] = match
+  const exit = details.match(EXIT_DETAIL_REGEX)
+  const duration = details.match(DURATION_DETAIL_REGEX)
+  const diff = details.match(DIFF_DETAIL_REGEX)
+  return {
+    name,
+    target,
+    success: status === 'succeeded' ? true : status === 'failed' ? false : null,
+    exitCode: exit ? Number(exit[1]) : null,
+    durationMs: duration ? Number(duration[1]) * (duration[2] === 's' ? 1000 : 1) : null,
+    diff: diff ? { added: Number(diff[1]), removed: Number(diff[2]) } : null,
+    excerpt
+  }
+}
+
+/**
+ * Human readable outcome of a tool call: "Bash `npm test` → failed (exit 1, 2.3s): ..."
+ * @param {Object} call - Parsed tool call
+ * @returns {string}
+ */
+export function describeToolCall(call) {
+  const target = call.target ? ` \`${call.target}\`` : ''
+  const status = call.success === true ? 'succeeded' : call.success === false ? 'failed' : 'no result'
+  const details = formatDetails(call.exitCode, call.durationMs, call.diff)
+  const excerpt = call.excerpt ? `: ${call.excerpt}` : ''
+  return `${call.name}${target} → ${status}${details}${excerpt}`
+}
@@ -0,0 +1,221 @@
+/**
+ * Unified diff folding
+ *
+ * Finds unified diffs (`diff --git` sections, `---`/`+++` headers, bare
+ * `@@` hunks) in log lines and agent transcripts and replaces each of them
+ * with one summary line per file:
+ *
+ *   [DIFF src/app.js] modified, +12 -4 in 2 hunks (@@ -10,6 +10,9 @@, @@ -40,3 +43,4 @@); functions: render
+ *
+ * Shared by LogSlimmer (diffs inside an event) and LogRecap (diffs inside
+ * agent messages). Summary lines can be read back with parseDiffSummary().
+ */
+
+const GIT_HEADER_REGEX = /^diff --git a\/(.+?) b\/(.+)$/
+const OLD_FILE_REGEX = /^--- (.+)$/
+const NEW_FILE_REGEX = /^\+\+\+ (.+)$/
+const HUNK_HEADER_REGEX = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/
+const EXTENDED_HEADER_REGEX = /^(?:index |new file mode|deleted file mode|old mode|new mode|similarity index|dissimilarity index|rename from |rename to |copy from |copy to |Binary files )/
+const SUMMARY_REGEX = /^\[DIFF (.+?)\] (modified|added|deleted|renamed from .+?|binary), \+(\d+) -(\d+)/
+const DECLARATION_REGEX = /\b(?:function\*?|def|fn|func|class|interface|struct|enum)\s+(?:\([^)]*\)\s*)?([A-Za-z_$][\w$]*)|\b(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*=>|[A-Za-z_$][\w$]*\s*=>)|^\s*(?:(?:public|private|protected|static|async|export|default|override)\s+)*([A-Za-z_$][\w$]*)\s*\([^)]*\)\s*\{/
+const NOT_A_FUNCTION = new Set(['if', 'for', 'while', 'switch', 'catch', 'return', 'function', 'with'])
+const HUNK_HEADER_LIMIT = 3
+const FUNCTION_NAME_LIMIT = 4
+
+/**
+ * @typedef {Object} DiffHunk
+ * @property {string} header - `@@ -a,b +c,d @@` without the trailing context
+ * @property {string[]} lines - Raw lines, header included
+ */
+
+/**
+ * @typedef {Object} DiffFile
+ * @property {string|null} path - New path (old path for deletions), null for bare hunks
+ * @property {string|null} oldPath - Old path when the file was renamed
+ * @property {'modified'|'added'|'deleted'|'renamed'|'binary'} status
+ * @property {number} added
+ * @property {number} removed
+ * @property {DiffHunk[]} hunks
+ * @property {string[]} functions - Functions the hunks touch, from hunk headers and changed lines
+ */
+
+function stripPathPrefix(path) {
+  // `--- a/src/app.js\t2024-01-01 10:00:00` -> `src/app.js`
+  const clean = path.split('\t')[0].trim()
+  return clean === '/dev/null' ? clean : clean.replace(/^[ab]\//, '')
+}
+
+function declaredName(line) {
+  const match = line.match(DECLARATION_REGEX)
+  const name = match && (match[1] || match[2] || match[3])
+  return name && !NOT_A_FUNCTION.has(name) ? name : null
+}
+
+function readHunk(lines, index, file) {
+  const header = lines[index].match(HUNK_HEADER_REGEX)
+  let oldLeft = header[2] === undefined ? 1 : Number(header[2])
+  let newLeft = header[4] === undefined ? 1 : Number(header[4])
+  const hunk = { header: lines[index].slice(0, lines[index].length - header[5].length).trim(), lines: [lines[index]] }
+  const addFunction = (name) => {
+    if (name && !file.functions.includes(name)) file.functions.push(name)
+  }
+  addFunction(declaredName(header[5]))
+
+  let cursor = index + 1
+  // Header counts tell where the hunk ends, even if a line looks like a new header
+  while (cursor < lines.length && (oldLeft > 0 || newLeft > 0)) {
+    const line = lines[cursor]
+    if (line.startsWith('+')) {
+      newLeft--
+      file.added++
+      addFunction(declaredName(line.slice(1)))
+    } else if (line.startsWith('-')) {
+      oldLeft--
+      file.removed++
+      addFunction(declaredName(line.slice(1)))
+    } else if (line.startsWith(' ') || line === '') {
+      oldLeft--
+      newLeft--
+    } else if (!line.startsWith('\\')) {
+      break
+    }
+    hunk.lines.push(line)
+    cursor++
+  }
+  // "\ No newline at end of file" after the last line
+  if (cursor < lines.length && lines[cursor].startsWith('\\')) hunk.lines.push(lines[cursor++])
+
+  file.hunks.push(hunk)
+  return cursor
+}
+
+function readFile(lines, index) {
+  const file = { path: null, oldPath: null, status: 'modified', added: 0, removed: 0, hunks: [], functions: [] }
+  let cursor = index
+  const git = lines[cursor].match(GIT_HEADER_REGEX)
+
+  if (git) {
+    file.path = git[2]
+    cursor++
+    while (cursor < lines.length && EXTENDED_HEADER_REGEX.test(lines[cursor])) {
+      const line = lines[cursor]
+      if (line.startsWith('new file mode')) file.status = 'added'
+      else if (line.startsWith('deleted file mode')) file.status = 'deleted'
+      else if (line.startsWith('rename from ')) {
+        file.status = 'renamed'
+        file.oldPath = line.slice('rename from '.length).trim()
+      } else if (line.startsWith('Binary files ')) file.status = 'binary'
+      cursor++
+    }
+  }
+
+  const oldFile = lines[cursor]?.match(OLD_FILE_REGEX)
+  const newFile = oldFile && lines[cursor + 1]?.match(NEW_FILE_REGEX)
+  if (newFile) {
+    const oldPath = stripPathPrefix(oldFile[1])
+    const newPath = stripPathPrefix(newFile[1])
+    if (oldPath === '/dev/null') file.status = 'added'
+    if (newPath === '/dev/null') file.status = 'deleted'
+    file.path = newPath === '/dev/null' ? oldPath : newPath
+    cursor += 2
+  } else if (!git && !HUNK_HEADER_REGEX.test(lines[cursor] || '')) {
+    return null
+  }
+
+  while (cursor < lines.length && HUNK_HEADER_REGEX.test(lines[cursor])) {
+    cursor = readHunk(lines, cursor, file)
+  }
+  // A `---`/`+++` pair alone is not a diff
+  if (!git && !file.hunks.length) return null
+  return { file, end: cursor }
+}
+
+/**
+ * Find the unified diffs in a list of lines
+ * @param {string[]} lines - Log or transcript lines
+ * @returns {{start: number, end: number, files: DiffFile[]}[]} Diffs in order, `end` exclusive
+ */
+export function findDiffs(lines) {
+  const diffs = []
+  let index = 0
+  while (index < lines.length) {
+    let read = readFile(lines, index)
+    if (!read) {
+      index++
+      continue
+    }
+    const diff = { start: index, end: index, files: [] }
+    // Consecutive file sections belong to the same diff
+    while (read) {
+      diff.files.push(read.file)
+      diff.end = read.end
+      read = diff.end < lines.length ? readFile(lines, diff.end) : null
+    }
+    diffs.push(diff)
+    index = diff.end
+  }
+  return diffs
+}
+
+/**
+ * One-line summary of a file section
+ * @param {DiffFile} file
+ * @returns {string}
+ */
+export function formatDiffSummary(file) {
+  const status = file.status === 'renamed' ? `renamed from ${file.oldPath}` : file.status
+  const count = file.hunks.length
+  const headers = file.hunks.slice(0, HUNK_HEADER_LIMIT).map((hunk) => hunk.header)
+  if (count > headers.length) headers.push(`+${count - headers.length} more`)
+  const hunks = count ? ` in ${count} ${count === 1 ? 'hunk' : 'hunks'} (${headers.join(', ')})` : ''
+  const functions = file.functions.length ? `; functions: ${file.functions.slice(0, FUNCTION_NAME_LIMIT).join(', ')}` : ''
+  return `[DIFF ${file.path || 'unnamed file'}] ${status}, +${file.added} -${file.removed}${hunks}${functions}`
+}
+
+/**
+ * Read a summary line written by formatDiffSummary()
+ * @param {string} line
+ * @returns {{path: string, status: string, added: number, removed: number}|null}
+ */
+export function parseDiffSummary(line) {
+  const match = (line || '').trim().match(SUMMARY_REGEX)
+  if (!match) return null
+  const status = match[2].startsWith('renamed') ? 'renamed' : match[2]
+  return { path: match[1], status, added: Number(match[3]), removed: Number(match[4]) }
+}
+
+/**
+ * Replace every diff with one summary line per file
+ * @param {string[]} lines - Log or transcript lines
+ * @param {Object} [options]
+ * @param {boolean} [options.keepFirstHunk=false] - Keep the first hunk of each file verbatim under its summary
+ * @returns {{lines: string[], diffs: Object[]}} Folded lines and the diffs found
+ */
+export function foldDiffs(lines, { keepFirstHunk = false } = {}) {
+  const diffs = findDiffs(lines)
+  if (!diffs.length) return { lines, diffs }
+
+  const result = []
+  let index = 0
+  for (const diff of diffs) {
+    result.push(...lines.slice(index, diff.start))
+    for (const file of diff.files) {
+      result.push(formatDiffSummary(file))
+      if (keepFirstHunk && file.hunks.length) result.push(...file.hunks[0].lines)
+    }
+    index = diff.end
+  }
+  result.push(...lines.slice(index))
+  return { lines: result, diffs }
+}
+
+/**
+ * foldDiffs() on a whole text
+ * @param {string} text
+ * @param {Object} [options] - See foldDiffs()
+ * @returns {{text: string, diffs: Object[]}}
+ */
+export function foldDiffText(text, options = {}) {
+  const { lines, diffs } = foldDiffs((text || '').split('\n'), options)
+  return { text: diffs.length ? lines.join('\n') : text, diffs }
+}
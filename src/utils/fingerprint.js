@@ -0,0 +1,34 @@
+/**
+ * Short deterministic fingerprints
+ *
+ * 32-bit FNV-1a over the UTF-16 code units, written in base36 and padded to
+ * 7 characters (`0k3j9xa`). Same text, same fingerprint on every run and
+ * machine; no crypto API needed, so it also runs in workers.
+ */
+
+const FNV_OFFSET_BASIS = 0x811c9dc5
+const FNV_PRIME = 0x01000193
+const FINGERPRINT_LENGTH = 7 // base36 digits of 2^32 - 1
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} text
+ * @returns {number} Unsigned 32-bit hash
+ */
+export function fnv1a(text) {
+  let hash = FNV_OFFSET_BASIS
+  for (let index = 0; index < text.length; index++) {
+    hash ^= text.charCodeAt(index)
+    hash = Math.imul(hash, FNV_PRIME) >>> 0
+  }
+  return hash
+}
+
+/**
+ * Fingerprint of a text
+ * @param {string} text
+ * @returns {string} 7 base36 characters
+ */
+export function fingerprint(text) {
+  return fnv1a(text || '').toString(36).padStart(FINGERPRINT_LENGTH, '0')
+}
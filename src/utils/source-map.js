@@ -0,0 +1,172 @@
+/**
+ * Minimal Source Map v3 consumer
+ *
+ * Decodes the VLQ `mappings` of local `.map` files and resolves a generated
+ * position (bundle file, line, column) back to the original source. Maps
+ * are decoded lazily, on the first lookup against their bundle.
+ */
+
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+const BASE64_VALUES = new Map(Array.from(BASE64_CHARS).map((char, index) => [char, index]))
+
+const VLQ_BASE_SHIFT = 5
+const VLQ_CONTINUATION_BIT = 1 << VLQ_BASE_SHIFT
+const VLQ_BASE_MASK = VLQ_CONTINUATION_BIT - 1
+
+/**
+ * Decode one mappings segment (e.g. "AAgBC") into its numbers
+ * @param {string} segment - Base64 VLQ segment
+ * @returns {number[]}
+ */
+export function decodeVlq(segment) {
+  const values = []
+  let value = 0
+  let shift = 0
+
+  for (const char of segment) {
+    const digit = BASE64_VALUES.get(char)
+    if (digit === undefined) throw new Error(`Invalid base64 VLQ character: ${char}`)
+    value += (digit & VLQ_BASE_MASK) << shift
+    if (digit & VLQ_CONTINUATION_BIT) {
+      shift += VLQ_BASE_SHIFT
+      continue
+    }
+    // The lowest bit carries the sign
+    values.push(value & 1 ? -(value >>> 1) : value >>> 1)
+    value = 0
+    shift = 0
+  }
+
+  return values
+}
+
+/**
+ * Decode the `mappings` string into absolute segments per generated line
+ * @param {string} mappings - Source map mappings
+ * @returns {number[][][]} lines -> [generatedColumn, sourceIndex, sourceLine, sourceColumn, nameIndex?]
+ */
+export function decodeMappings(mappings) {
+  const lines = []
+  let sourceIndex = 0
+  let sourceLine = 0
+  let sourceColumn = 0
+  let nameIndex = 0
+
+  for (const lineText of mappings.split(';')) {
+    const segments = []
+    let generatedColumn = 0
+
+    for (const segmentText of lineText.split(',')) {
+      if (!segmentText) continue
+      const values = decodeVlq(segmentText)
+      generatedColumn += values[0]
+      if (values.length < 4) continue // generated-only segment
+      sourceIndex += values[1]
+      sourceLine += values[2]
+      sourceColumn += values[3]
+      const segment = [generatedColumn, sourceIndex, sourceLine, sourceColumn]
+      if (values.length >= 5) {
+        nameIndex += values[4]
+        segment.push(nameIndex)
+      }
+      segments.push(segment)
+    }
+
+    segments.sort((a, b) => a[0] - b[0])
+    lines.push(segments)
+  }
+
+  return lines
+}
+
+/**
+ * Strip bundler prefixes so sources read like `src/components/Button.tsx`
+ * @param {string} source - Source entry of the map
+ * @param {string} sourceRoot - Optional sourceRoot
+ * @returns {string}
+ */
+export function cleanSourcePath(source, sourceRoot = '') {
+  const joined = sourceRoot && !/^[a-z][\w+.-]*:/i.test(source)
+    ? `${sourceRoot.replace(/\/$/, '')}/${source}`
+    : source
+  return joined
+    .replace(/^[a-z][\w+.-]*:\/\/(?:[^/]*\/)?/i, '') // webpack://app/ or webpack:///
+    .replace(/^(?:\.\.?\/)+/, '')
+}
+
+function bundleKey(file) {
+  return file.split(/[?#]/)[0].split('/').pop()
+}
+
+/**
+ * Build a resolver from local source map files
+ * @param {Array<{name: string, content: string}>} maps - `.map` file names and contents
+ * @returns {{size: number, resolve: (file: string, line: number, column: number) => Object|null}}
+ *   `line` is 1-based and `column` 1-based, as printed in stack traces
+ */
+export function createSourceMapResolver(maps = []) {
+  const entries = new Map()
+
+  for (const { name, content } of maps) {
+    let parsed
+    try {
+      parsed = typeof content === 'string' ? JSON.parse(content) : content
+    } catch {
+      continue
+    }
+    if (!parsed || typeof parsed.mappings !== 'string' || !Array.isArray(parsed.sources)) continue
+
+    const entry = { map: parsed, lines: null, unusable: false }
+    // Index by the map's own `file` and by its file name without `.map`
+    for (const key of [parsed.file, name?.replace(/\.map$/, '')]) {
+      if (key) entries.set(bundleKey(key), entry)
+    }
+  }
+
+  return {
+    size: entries.size,
+    resolve(file, line, column) {
+      const entry = entries.get(bundleKey(file))
+      if (!entry || entry.unusable) return null
+      if (!entry.lines) {
+        try {
+          entry.lines = decodeMappings(entry.map.mappings)
+        } catch {
+          // Valid JSON with broken mappings: leave its frames as they are
+          entry.unusable = true
+          return null
+        }
+      }
+
+      const segments = entry.lines[line - 1]
+      if (!segments?.length) return null
+
+      // Last segment starting at or before the (0-based) column
+      const target = column - 1
+      let low = 0
+      let high = segments.length - 1
+      let found = null
+      while (low <= high) {
+        const middle = (low + high) >> 1
+        if (segments[middle][0] <= target) {
+          found = segments[middle]
+          low = middle + 1
+        } else {
+          high = middle - 1
+        }
+      }
+      if (!found) return null
+
+      const [, sourceIndex, sourceLine, sourceColumn, nameIndex] = found
+      const source = entry.map.sources[sourceIndex]
+      if (source === undefined || source === null) return null
+
+      return {
+        source: cleanSourcePath(source, entry.map.sourceRoot),
+        line: sourceLine + 1,
+        column: sourceColumn + 1,
+        name: nameIndex !== undefined ? entry.map.names?.[nameIndex] || null : null
+      }
+    }
+  }
+}
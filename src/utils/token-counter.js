@@ -0,0 +1,23 @@
+/**
+ * Token counting for output budgets
+ *
+ * Uses the cl100k_base encoding, the one the UI counts with
+ * (`encodingForModel('gpt-3.5-turbo')`), so budgets match the numbers shown
+ * next to the output. The encoder is created on first use.
+ */
+
+import { Tiktoken } from 'js-tiktoken/lite'
+import cl100kBase from 'js-tiktoken/ranks/cl100k_base'
+
+let encoder = null
+
+/**
+ * Count the tokens of a text
+ * @param {string} text - Text to count
+ * @returns {number}
+ */
+export function countTokens(text) {
+  if (!text) return 0
+  if (!encoder) encoder = new Tiktoken(cl100kBase)
+  return encoder.encode(text).length
+}
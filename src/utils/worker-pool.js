@@ -4,7 +4,7 @@
  */
 
 export class WorkerPool {
-  constructor(workerScriptUrl, size = navigator.hardwareConcurrency || 4) {
+  constructor(workerScriptUrl, size = globalThis.navigator?.hardwareConcurrency || 4) {
     this.workerScriptUrl = workerScriptUrl
     this.size = Math.max(2, size) // At least 2 workers
     this.workers = []
@@ -1,16 +1,27 @@
 import { runLogRecapPipeline } from './log-recap/pipeline.js'
 import { setupWorker } from './utils/worker-setup.js'
 
+/**
+ * @param {string|Array<{name: string, text: string}>} input - Transcript, or one per session
+ * @param {Object} [options] - runLogRecapPipeline options
+ */
 export async function compressAgentLog(
-  inputText = '',
+  input = '',
   options = {}
 ) {
-  if (!inputText.trim()) {
+  const hasText = Array.isArray(input)
+    ? input.some(session => session?.text?.trim())
+    : Boolean(input.trim())
+  if (!hasText) {
     return 'No log provided.'
   }
 
   try {
-    const result = await runLogRecapPipeline(inputText, options)
+    const result = await runLogRecapPipeline(input, options)
+    // Incremental mode: hand the state back so the next run can resume from it
+    if (result.state && typeof self !== 'undefined') {
+      self.postMessage({ type: 'state', data: result.state })
+    }
     return formatLogRecapOutput(result)
   } catch (error) {
     console.error('[worker-logrecap] Compression failed:', error)
@@ -19,6 +30,9 @@ export async function compressAgentLog(
 }
 
 function formatLogRecapOutput(result) {
+  // The handoff brief and a budgeted recap are sized to their token budget: nothing is appended
+  if (result.handoff || result.stats.maxOutputTokens) return result.compressed.trim()
+
   const lines = []
   lines.push(result.compressed.trim())
   lines.push('')
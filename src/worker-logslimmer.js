@@ -1,26 +1,146 @@
+import { newlineRegex } from './config.js'
 import { splitIntoEvents } from './log-pipeline/log-processor.js'
+import { resolveInputFormat } from './log-pipeline/input-formats.js'
+import { parseCiLog } from './log-pipeline/formats/ci-log.js'
 import { buildClustersNoEmbeddings } from './log-pipeline/cluster-builder-no-embeddings.js'
-import { buildErrorSummary, formatCluster, formatUniqueEvents } from './log-pipeline/output-formatter.js'
+import {
+  buildCiStepSummary,
+  buildContainerSummary,
+  buildErrorSummary,
+  describeCluster,
+  describeEvent,
+  fitLogSlimmerResult,
+  templateFingerprint
+} from './log-pipeline/output-formatter.js'
 import { logPipelineConfig } from './log-pipeline/pipeline-config.js'
 import { setupWorker } from './utils/worker-setup.js'
+import { createSourceMapResolver } from './utils/source-map.js'
 import { WorkerPool } from './utils/worker-pool.js'
 import { reconstructScenario } from './log-pipeline/scenario-reconstructor.js'
+import { countTokens } from './utils/token-counter.js'
+import { compareLogResults, formatLogComparison } from './log-pipeline/log-compare.js'
 
 // Initialize worker pool for parallel processing
 // Vite handles the URL resolution correctly during build
 const similarityWorkerPool = new WorkerPool(new URL('./worker-similarity.js', import.meta.url))
 
-async function compressLog(inputText = '') {
+/**
+ * Run the LogSlimmer pipeline
+ * @param {string} inputText - Raw log
+ * @param {Object} [options]
+ * @param {string} [options.format] - Input format id, sniffed when omitted
+ * @param {{name: string, content: string}[]} [options.sourceMaps] - Source maps to resolve minified frames
+ * @param {number} [options.maxOutputTokens] - Token budget of the Markdown (default: the
+ *   `maxOutputTokens` setting, 0 for none)
+ * @param {boolean} [options.tokenStats] - Count `stats.originalTokens` and `stats.compressedTokens`
+ *   (null otherwise; the output is counted anyway to fit a budget)
+ * @returns {Promise<Object>} { compressed, format, ciSteps, scenario, errorSummary, containers,
+ *   clusters, uniqueEvents, stats }: `compressed` is the Markdown rendered from the rest
+ */
+export async function runLogSlimmerPipeline(inputText = '', options = {}) {
+  const { result } = await slimLog(inputText, options)
+  return result
+}
+
+/**
+ * Compare a log with a baseline log of the same job or service: clusters
+ * that are new, vanished, or whose frequency or latency changed
+ * @param {string} beforeText - Baseline log (before the change)
+ * @param {string} afterText - Log to check (after the change)
+ * @param {Object} [options] - runLogSlimmerPipeline options, used for both logs
+ * @returns {Promise<Object>} { compressed, newClusters, vanishedClusters, changedClusters, unchanged,
+ *   before, after, stats }: `compressed` is the Markdown report
+ */
+export async function runLogComparePipeline(beforeText = '', afterText = '', options = {}) {
+  const start = Date.now()
+  // One after the other: both share the similarity worker pool
+  const before = await runLogSlimmerPipeline(beforeText, options)
+  const after = await runLogSlimmerPipeline(afterText, options)
+  const comparison = compareLogResults(before, after)
+  const compressed = formatLogComparison(comparison)
+
+  return {
+    compressed,
+    ...comparison,
+    stats: {
+      mode: 'log-compare',
+      before: before.stats,
+      after: after.stats,
+      newClusters: comparison.newClusters.length,
+      vanishedClusters: comparison.vanishedClusters.length,
+      changedClusters: comparison.changedClusters.length,
+      totalMs: Date.now() - start
+    }
+  }
+}
+
+/**
+ * Original lines of one occurrence of a cluster (`C7`), unique event (`U3`)
+ * or fingerprint (`0k3j9xa`) of the output. The log is processed again with
+ * the same options: ids must come from an output of the same input, while a
+ * fingerprint from any run matches the same error in this log.
+ * @param {string} inputText - Raw log
+ * @param {string} reference - Cluster or unique event id, or fingerprint
+ * @param {Object} [options] - runLogSlimmerPipeline options
+ * @param {number} [options.occurrence=1] - Occurrence to return, in log order
+ * @returns {Promise<{id: string, occurrence: number, occurrences: number, order: number, line: number, lines: string[]}>}
+ */
+export async function expandLogReference(inputText, reference, { occurrence = 1, ...options } = {}) {
+  const { references } = await slimLog(inputText, options)
+  const trimmed = String(reference || '').trim()
+  // Ids are upper case (`C7`), fingerprints lower case
+  const id = references.has(trimmed.toUpperCase()) ? trimmed.toUpperCase() : trimmed.toLowerCase()
+  const events = references.get(id)
+  if (!events) {
+    const ranges = ['C', 'U']
+      .map((prefix) => [prefix, [...references.keys()].filter((key) => key.startsWith(prefix)).length])
+      .filter(([, count]) => count > 0)
+      .map(([prefix, count]) => (count > 1 ? `${prefix}1–${prefix}${count}` : `${prefix}1`))
+    throw new Error(`Unknown reference "${reference}": expected one of ${ranges.join(', ') || 'nothing (no clusters)'} or a cluster fingerprint`)
+  }
+  if (!Number.isInteger(occurrence) || occurrence < 1 || occurrence > events.length) {
+    throw new Error(`${id} has ${events.length} occurrence${events.length > 1 ? 's' : ''}, got --occurrence ${occurrence}`)
+  }
+
+  const event = events[occurrence - 1]
+  return { id, occurrence, occurrences: events.length, order: event.order, line: event.line, lines: event.originalLines }
+}
+
+/**
+ * Run the pipeline and keep the events behind each reference of the output
+ * @returns {Promise<{result: Object, references: Map<string, Object[]>}>} Events of each
+ *   cluster and unique event id, in log order
+ */
+async function slimLog(inputText = '', options = {}) {
+  const start = Date.now()
 
   if (typeof console !== 'undefined') {
     console.log('[worker] Starting compression, input length:', inputText.length)
   }
 
   if (!inputText.trim()) {
-    return 'No log provided.'
+    return {
+      result: {
+        compressed: 'No log provided.',
+        format: null,
+        ciSteps: [],
+        scenario: [],
+        errorSummary: [],
+        containers: [],
+        clusters: [],
+        uniqueEvents: [],
+        stats: null
+      },
+      references: new Map()
+    }
   }
 
-  const events = splitIntoEvents(inputText)
+  const inputLines = inputText.split(newlineRegex)
+  const inputFormat = resolveInputFormat(inputLines, options?.format)
+  // options.sourceMaps: [{ name, content }] from the CLI folder or dropped .map files
+  const sourceMapResolver = options?.sourceMaps?.length ? createSourceMapResolver(options.sourceMaps) : null
+  // Only a requested format is forced: otherwise each container stream is sniffed on its own
+  const events = splitIntoEvents(inputText, { format: options?.format, sourceMapResolver })
   if (typeof console !== 'undefined') {
     console.log('[worker] Events parsed:', events.length)
   }
@@ -36,7 +156,7 @@ async function compressLog(inputText = '') {
   )
 
   // Build Narrative with Context Interleaving
-  const { storyText, usedEventIds } = reconstructScenario(relevantEvents)
+  const { steps: scenario, usedEventIds } = reconstructScenario(relevantEvents)
   
   // Filter out events already used in the story to avoid duplication in clusters
   const clusterableEvents = relevantEvents.filter(e => !usedEventIds.has(e.order))
@@ -50,11 +170,13 @@ async function compressLog(inputText = '') {
     console.log('[worker] Starting cluster building...')
   }
 
+  const parsedAt = Date.now()
   const clusters = await buildClustersNoEmbeddings(clusterableEvents, similarityWorkerPool)
 
   if (typeof console !== 'undefined') {
     console.log('[worker] Clusters built:', clusters.length)
   }
+  const clusteredAt = Date.now()
 
   const nonOtherClusters = clusters.filter((cluster) => cluster.primaryCategory !== 'Other')
   const otherClusters = clusters.filter((cluster) => cluster.primaryCategory === 'Other')
@@ -68,18 +190,13 @@ async function compressLog(inputText = '') {
     })
   }
 
-  const summary = buildErrorSummary(filteredClusters)
+  // Syslog input is summarized per app and severity instead of per category
+  const groupBy = events.some((event) => event.format === 'syslog') ? 'app-severity' : 'category'
+  const errorSummary = buildErrorSummary(filteredClusters, { groupBy })
   if (typeof console !== 'undefined') {
-    console.log('[worker] Summary built, length:', summary.length)
+    console.log('[worker] Summary built, groups:', errorSummary.length)
   }
 
-  const clustersToRender = filteredClusters.slice(0, logPipelineConfig.maxClusters)
-  const clusterBlocks = clustersToRender.map(formatCluster)
-  if (filteredClusters.length > logPipelineConfig.maxClusters) {
-    clusterBlocks.push(`… (${filteredClusters.length - logPipelineConfig.maxClusters} additional clusters omitted)\n`)
-  }
-  const clustersSection = clusterBlocks.join('\n\n')
-
   const isRelevantUnique = (event) => {
     const text = (event.processedLines || []).join(' ')
     const hasErrorish = /(error|exception|aborted|timeout|denied|reset|not found|unauthorized|forbidden|syntaxerror)/i.test(text)
@@ -98,26 +215,84 @@ async function compressLog(inputText = '') {
     .filter((cluster) => cluster.events.length === 1)
     .map((cluster) => cluster.events[0])
     .filter(isRelevantUnique)
+    .sort((a, b) => a.order - b.order)
 
-  const uniqueSection = formatUniqueEvents(uniqueEvents, logPipelineConfig.miscUniqueLimit)
+  // C<n> and U<n> ids of the output and cluster fingerprints -> events in log order
+  const byOrder = (a, b) => a.order - b.order
+  const references = new Map()
+  filteredClusters.forEach((cluster, index) => {
+    references.set(`C${index + 1}`, [...cluster.events].sort(byOrder))
+    // Clusters split by the similarity thresholds can share a fingerprint
+    const key = templateFingerprint(cluster.templateLines, cluster.primaryCategory)
+    references.set(key, [...(references.get(key) || []), ...cluster.events].sort(byOrder))
+  })
+  uniqueEvents.forEach((event, index) => references.set(`U${index + 1}`, [event]))
 
-  const result = [storyText, summary, '## Event Clusters', clustersSection, uniqueSection]
-    .filter(Boolean)
-    .join('\n\n')
+  const result = {
+    format: inputFormat,
+    ciSteps: inputFormat === 'ci' ? buildCiStepSummary(parseCiLog(inputLines)) : [],
+    scenario,
+    errorSummary,
+    containers: buildContainerSummary(events, filteredClusters),
+    clusters: filteredClusters.map(describeCluster),
+    uniqueEvents: uniqueEvents.map((event, index) => describeEvent(event, `U${index + 1}`))
+  }
+  const maxOutputTokens = options?.maxOutputTokens ?? logPipelineConfig.maxOutputTokens
+  const { text: compressed, tokens, dropped } = fitLogSlimmerResult(result, maxOutputTokens)
+  // Tokenizing takes about a second on large logs: only when the counts are needed
+  const compressedTokens = tokens ?? (options?.tokenStats ? countTokens(compressed) : null)
+  const end = Date.now()
 
   if (typeof console !== 'undefined') {
-    console.log('[worker] Compression completed, result length:', result.length)
+    console.log('[worker] Compression completed, result length:', compressed.length)
   }
 
-  return result
+  return {
+    references,
+    result: {
+      compressed,
+      ...result,
+      stats: {
+        mode: 'log-slimmer',
+        format: inputFormat,
+        eventsParsed: events.length,
+        relevantEvents: relevantEvents.length,
+        scenarioEvents: usedEventIds.size,
+        clusteredEvents: clusterableEvents.length,
+        clusters: filteredClusters.length,
+        droppedOtherClusters: otherClusters.length - limitedOther.length,
+        uniqueEvents: uniqueEvents.length,
+        originalTokens: options?.tokenStats ? countTokens(inputText) : null,
+        compressedTokens,
+        maxOutputTokens: maxOutputTokens || null,
+        trimmed: dropped,
+        originalSize: +(inputText.length / 1024).toFixed(2),
+        compressedSize: +(compressed.length / 1024).toFixed(2),
+        sizeReduction: Math.max(0, Math.round((1 - (compressed.length / Math.max(inputText.length, 1))) * 100)),
+        timings: {
+          parseMs: parsedAt - start,
+          clusterMs: clusteredAt - parsedAt,
+          formatMs: end - clusteredAt,
+          totalMs: end - start
+        }
+      }
+    }
+  }
+}
+
+async function compressLog(inputText = '', options = {}) {
+  const { compressed } = await runLogSlimmerPipeline(inputText, options)
+  return compressed
 }
 
-export async function runLogSlimmerPipeline(inputText = '') {
-  return compressLog(inputText)
+async function compareLogs({ before = '', after = '' } = {}, options = {}) {
+  const { compressed } = await runLogComparePipeline(before, after, options)
+  return compressed
 }
 
 setupWorker({
-  'compress': compressLog
+  'compress': compressLog,
+  'compare': compareLogs
 }, {
   workerName: 'worker-logslimmer',
   timeoutMs: 90000
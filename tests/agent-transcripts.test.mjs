@@ -0,0 +1,44 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { detectTranscriptFormat, normalizeTranscript } from '../src/log-recap/transcripts/index.js'
+import { readFixture } from './utils/fixtures.js'
+
+test('Aider, Cline and Codex transcripts are detected', () => {
+  assert.equal(detectTranscriptFormat(readFixture('aider-history.md')), 'aider')
+  assert.equal(detectTranscriptFormat(readFixture('cline-task.json')), 'cline')
+  assert.equal(detectTranscriptFormat(readFixture('codex-rollout.jsonl')), 'codex')
+})
+
+test('an Aider chat history keeps edits, commits and /run output as tool lines', () => {
+  const lines = normalizeTranscript(readFixture('aider-history.md')).text.split('\n\n')
+
+  assert.equal(lines[0], 'USER: make slugify drop accents in app/text.py')
+  assert.ok(lines.includes('TOOL: edit(app/text.py) → succeeded (+2 -1)'))
+  assert.ok(lines.includes('TOOL: git_commit(fix: drop accents in slugify) → succeeded'))
+  assert.equal(lines.at(-1),
+    "TOOL: run(pytest -q) → failed: FAILED tests/test_text.py::test_slugify - NameError: name 'unicodedata' is not defined")
+})
+
+test('a Cline task skips API and partial messages and pairs commands with their output', () => {
+  const { text } = normalizeTranscript(readFixture('cline-task.json'))
+
+  assert.deepEqual(text.split('\n\n'), [
+    'USER: Add a --dry-run flag to scripts/deploy.sh',
+    "AGENT: I'll read the deploy script first.",
+    'TOOL: readFile(scripts/deploy.sh) → succeeded',
+    'TOOL: editedExistingFile(scripts/deploy.sh) → succeeded (+1 -0)',
+    'TOOL: execute_command(sh scripts/deploy.sh --dry-run) → failed (2.5s): scripts/deploy.sh: line 4: rsync: command not found',
+    'AGENT: Added DRY_RUN; rsync is missing on this machine so the dry run could not finish.'
+  ])
+})
+
+test('a Codex rollout skips the environment context and reads exit codes from call outputs', () => {
+  const { text } = normalizeTranscript(readFixture('codex-rollout.jsonl'))
+
+  assert.deepEqual(text.split('\n\n'), [
+    'USER: Rename the /v1/users handler to list_users',
+    'TOOL: shell(rg -n get_users api/) → succeeded (exit 0, 200ms): api/routes.py:12:def get_users(request):',
+    'TOOL: apply_patch(api/routes.py) → succeeded (exit 0, 100ms, +1 -1)',
+    'AGENT: Renamed get_users to list_users in api/routes.py.'
+  ])
+})
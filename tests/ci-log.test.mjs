@@ -0,0 +1,35 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { detectInputFormat } from '../src/log-pipeline/input-formats.js'
+import { runLogSlimmerPipeline } from '../src/worker-logslimmer.js'
+import { readFixture } from './utils/fixtures.js'
+
+test('GitHub Actions logs are summarized step by step', async () => {
+  const text = readFixture('github-actions.txt')
+  const result = await runLogSlimmerPipeline(text)
+
+  assert.equal(detectInputFormat(text.split('\n')), 'ci')
+  assert.equal(result.format, 'ci')
+  assert.deepEqual(result.ciSteps.map((step) => [step.name, step.failed, step.exitCode]), [
+    ['Run actions/checkout@v4', false, null],
+    ['Run npm ci', false, null],
+    ['Run npm test', true, 1]
+  ])
+  assert.ok(result.ciSteps[2].tail.includes('FAIL src/cart.test.js'))
+  assert.ok(result.compressed.startsWith('## CI Steps\n### Failed step: Run npm test (exit code 1, 3.0s)'))
+})
+
+test('annotations are clustered with their step and location', async () => {
+  const { clusters } = await runLogSlimmerPipeline(readFixture('github-actions.txt'))
+  const annotation = clusters.find((cluster) => cluster.template[0].startsWith('ERROR Expected 90, received 100'))
+
+  assert.deepEqual(annotation.steps, { 'Run npm test': 1 })
+  assert.deepEqual(annotation.locations, { 'src/cart.js:12': 1 })
+})
+
+test('without a requested format, each container stream keeps its own format', async () => {
+  const { stats } = await runLogSlimmerPipeline(readFixture('compose.txt'))
+
+  // The two worker-1 JSON lines stay two events
+  assert.equal(stats.eventsParsed, 6)
+})
@@ -0,0 +1,23 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { detectTranscriptFormat, normalizeTranscript } from '../src/log-recap/transcripts/index.js'
+import { readFixture } from './utils/fixtures.js'
+
+test('a Claude Code session is detected from its records', () => {
+  assert.equal(detectTranscriptFormat(readFixture('claude-code.jsonl')), 'claude-code')
+})
+
+test('tool calls are paired with their results; sidechain and summary records are skipped', () => {
+  const { text } = normalizeTranscript(readFixture('claude-code.jsonl'))
+
+  assert.deepEqual(text.split('\n\n'), [
+    "USER: The cart total test fails on main. Fix it, but don't change the public API of src/Cart.js.",
+    "AGENT: I'll run the cart tests first.",
+    'TOOL: Bash(npm test -- cart) → failed (exit 1, 4.5s): Error: Expected 90, received 81',
+    'TOOL: Read(/repo/src/Cart.js) → succeeded (200ms)',
+    "AGENT: The discount is applied twice in total(), so I'll remove the outer call.",
+    'TOOL: Edit(/repo/src/Cart.js) → succeeded (300ms, +1 -1)',
+    'TOOL: Bash(npm test -- cart) → succeeded (3s): PASS src/Cart.test.js',
+    'AGENT: Fixed: total() applies the discount once and all 12 cart tests pass.'
+  ])
+})
@@ -0,0 +1,24 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { runLogRecapPipeline } from '../src/log-recap/pipeline.js'
+import { readFixture, section } from './utils/fixtures.js'
+
+test('a failed command fixed by its retry is reported as a retry', async () => {
+  const { compressed } = await runLogRecapPipeline(readFixture('claude-code.jsonl'))
+
+  assert.deepEqual(section(compressed, 'Commands & Outcomes'), [
+    '4 tool calls, 1 failed, 1 retried.',
+    '- Bash `npm test -- cart` → failed (exit 1, 4.5s): Error: Expected 90, received 81 — failed attempt',
+    '- Bash `npm test -- cart` → succeeded (3s): PASS src/Cart.test.js — retry, attempt 2, fixed'
+  ])
+})
+
+test('commands that keep failing are marked still failing', async () => {
+  const { compressed } = await runLogRecapPipeline(readFixture('recurring-errors.txt'))
+  const lines = section(compressed, 'Commands & Outcomes')
+
+  assert.equal(lines[0], '5 tool calls, 3 failed, 1 retried.')
+  assert.equal(lines.at(-2), '- run `npm run build` → failed (exit 1): Error: SENTRY_DSN is not set — still failing')
+  assert.equal(lines.at(-1),
+    '- run `npm test -- login` → failed (exit 1): Error: Timeout waiting for session cookie — still failing')
+})
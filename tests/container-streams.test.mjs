@@ -0,0 +1,34 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { looksLikeContainerLogs, parseContainerPrefix } from '../src/log-pipeline/formats/container-streams.js'
+import { splitIntoEvents } from '../src/log-pipeline/log-processor.js'
+import { readFixture } from './utils/fixtures.js'
+
+test('docker compose output is split per container, each stream parsed on its own', () => {
+  const events = splitIntoEvents(readFixture('compose.txt'))
+  const api = events.filter((event) => event.source === 'api-1')
+  const worker = events.filter((event) => event.source === 'worker-1')
+
+  // The frame of api-1 joins its error across the worker-1 line in between
+  assert.equal(api.length, 1)
+  assert.equal(api[0].processedLines.length, 2)
+  assert.deepEqual(worker.map((event) => event.format), ['json', 'json'])
+  assert.deepEqual(worker.map((event) => event.level), ['info', 'error'])
+  assert.deepEqual(events.map((event) => event.line), [1, 2, 3, 4, 6, 7])
+})
+
+test('kubectl --prefix lines carry pod/container as source', () => {
+  assert.deepEqual(parseContainerPrefix('[pod/api-7f9c4/app] listening on :8080'), { source: 'api-7f9c4/app', text: 'listening on :8080' })
+})
+
+test('pipe-separated text is not taken for container logs', () => {
+  const lines = readFixture('pipe-table.txt').split('\n')
+
+  assert.equal(parseContainerPrefix('Status | OK'), null)
+  assert.equal(looksLikeContainerLogs(lines), false)
+  assert.ok(splitIntoEvents(lines.join('\n')).every((event) => event.source === null))
+})
+
+test('a single prefixed line is not demultiplexed', () => {
+  assert.equal(looksLikeContainerLogs(['api-1  | started']), false)
+})
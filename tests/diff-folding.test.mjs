@@ -0,0 +1,42 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { foldDiffText, parseDiffSummary } from '../src/utils/diff-folding.js'
+import { runLogSlimmerPipeline } from '../src/worker-logslimmer.js'
+import { runLogRecapPipeline } from '../src/log-recap/pipeline.js'
+import { readFixture } from './utils/fixtures.js'
+
+const summaries = [
+  '[DIFF src/cart.js] modified, +2 -3 in 2 hunks (@@ -10,7 +10,6 @@, @@ -40,3 +39,4 @@); functions: total, applyDiscount',
+  '[DIFF src/pricing.js] renamed from src/legacy/price.js, +1 -1 in 1 hunk (@@ -1,3 +1,3 @@); functions: price, priceOf',
+  '[DIFF docs/CHANGELOG.md] added, +2 -0 in 1 hunk (@@ -0,0 +1,2 @@)'
+]
+
+test('a multi-file diff folds into one summary line per file', () => {
+  const { text, diffs } = foldDiffText(readFixture('patch-in-log.txt'))
+
+  assert.equal(diffs.length, 1)
+  assert.deepEqual(text.split('\n').slice(0, 5), [
+    '2024-05-01T10:00:00Z INFO applying patch from PR #482',
+    ...summaries,
+    '2024-05-01T10:00:02Z INFO patch applied, running tests'
+  ])
+  assert.deepEqual(parseDiffSummary(summaries[1]), { path: 'src/pricing.js', status: 'renamed', added: 1, removed: 1 })
+})
+
+test('diff lines neither split LogSlimmer events nor count as errors', async () => {
+  const { clusters, stats } = await runLogSlimmerPipeline(readFixture('patch-in-log.txt'))
+
+  assert.equal(stats.eventsParsed, 3)
+  const errors = clusters.filter((cluster) => cluster.primaryCategory === 'Error')
+  assert.deepEqual(errors.map((cluster) => cluster.template[0]), [
+    '2024-05-01T10:00:05Z ERROR test failed: cart.total() returned 81, expected 90'
+  ])
+})
+
+test('a diff pasted in an agent message is a file change, not an issue', async () => {
+  const { digest, compressed } = await runLogRecapPipeline(readFixture('patch-transcript.txt'), { transcriptFormat: 'text' })
+
+  assert.deepEqual(digest.errors, [])
+  assert.match(compressed, /- Implementations: Updated src\/cart\.js \(\+2 \/ -3\)\n/)
+  assert.match(compressed, /## Files\n- `src\/cart\.js` — 1 change, 5 lines changed\n {2}- turn 2: edited \(\+2 -3\)/)
+})
@@ -0,0 +1,27 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { runLogRecapPipeline } from '../src/log-recap/pipeline.js'
+import { readFixture, section } from './utils/fixtures.js'
+
+test('an error followed by an edit and a passing run is resolved by that edit', async () => {
+  const { digest, compressed } = await runLogRecapPipeline(readFixture('claude-code.jsonl'))
+
+  assert.equal(digest.errors.length, 1)
+  assert.equal(digest.errors[0].status, 'resolved')
+  assert.deepEqual(digest.errors[0].resolvedBy, [{ turn: 5, kind: 'edit', text: 'Edit /repo/src/Cart.js' }])
+  assert.match(section(compressed, 'Issues & Resolutions')[0],
+    / — resolved at turn 7 after Edit \/repo\/src\/Cart\.js \(turn 6\); seen at turn 3$/)
+})
+
+test('an error that comes back after its fix is recurring; one never fixed stays open', async () => {
+  const { digest, compressed } = await runLogRecapPipeline(readFixture('recurring-errors.txt'))
+  const status = Object.fromEntries(digest.errors.map((err) => [err.message.match(/Error: (.*)/)[1], err.status]))
+
+  assert.deepEqual(status, {
+    'Timeout waiting for session cookie': 'recurring',
+    'SENTRY_DSN is not set': 'open'
+  })
+  const issues = section(compressed, 'Issues & Resolutions')
+  assert.match(issues[0], / — recurring: came back after a fix; seen 2× \(turns 2–8\)$/)
+  assert.match(issues[1], / — still open; seen at turn 6$/)
+})
@@ -0,0 +1,63 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { runLogSlimmerPipeline, expandLogReference } from '../src/worker-logslimmer.js'
+import { readFixture } from './utils/fixtures.js'
+
+test('a cluster id expands to the original lines of a folded trace', async () => {
+  const text = readFixture('js-traces.txt')
+  const { clusters } = await runLogSlimmerPipeline(text)
+  const expanded = await expandLogReference(text, 'C1')
+
+  assert.ok(clusters[0].template.length < expanded.lines.length)
+  assert.equal(expanded.line, 1)
+  assert.deepEqual(expanded.lines, text.split('\n').slice(0, expanded.lines.length))
+})
+
+test('an occurrence is picked in log order, by id or by fingerprint', async () => {
+  const text = readFixture('deploy-before.txt')
+  const { clusters } = await runLogSlimmerPipeline(text)
+  const payment = clusters.find((cluster) => cluster.template[0].includes('Payment failed'))
+
+  const { lines, ...second } = await expandLogReference(text, payment.id.toLowerCase(), { occurrence: 2 })
+  assert.deepEqual(second, { id: payment.id, occurrence: 2, occurrences: 3, order: 4, line: 5 })
+  assert.deepEqual(lines, ['2024-05-01T10:00:12Z ERROR Payment failed for user bob: card declined (request r-19bc)'])
+
+  const byFingerprint = await expandLogReference(text, payment.fingerprint, { occurrence: 3 })
+  assert.equal(byFingerprint.line, 9)
+})
+
+test('unknown references and occurrences out of range are rejected', async () => {
+  const text = readFixture('deploy-before.txt')
+
+  await assert.rejects(expandLogReference(text, 'C99'), /Unknown reference "C99": expected one of C1–C4 or a cluster fingerprint/)
+  await assert.rejects(expandLogReference(text, 'C1', { occurrence: 9 }), /C1 has 3 occurrences, got --occurrence 9/)
+})
+
+// Expanded lines must be the input lines, whatever the records were rendered to
+async function expandCluster(name, templateStart, options) {
+  const text = readFixture(name)
+  const { clusters } = await runLogSlimmerPipeline(text)
+  const cluster = clusters.find((candidate) => candidate.template[0].startsWith(templateStart))
+  return { input: text.split('\n'), expanded: await expandLogReference(text, cluster.id, options) }
+}
+
+test('a JSON record expands to its JSON line', async () => {
+  const { input, expanded } = await expandCluster('pino.jsonl', 'ERROR payment failed', { occurrence: 2 })
+
+  assert.equal(expanded.line, 3)
+  assert.deepEqual(expanded.lines, [input[2]])
+})
+
+test('a container event expands to its prefixed lines, skipping other containers', async () => {
+  const { input, expanded } = await expandCluster('compose.txt', 'Error: connect ECONNREFUSED')
+
+  assert.deepEqual(expanded.lines, [input[2], input[4]])
+  assert.ok(expanded.lines.every((line) => line.startsWith('api-1     | ')))
+})
+
+test('a CI annotation expands to the workflow command as logged', async () => {
+  const { input, expanded } = await expandCluster('github-actions.txt', 'ERROR Expected 90')
+
+  assert.deepEqual(expanded.lines, [input[expanded.line - 1]])
+  assert.match(expanded.lines[0], /::error file=src\/cart\.js,line=12,col=5::Expected 90, received 100$/)
+})
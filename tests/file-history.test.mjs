@@ -0,0 +1,26 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { runLogRecapPipeline } from '../src/log-recap/pipeline.js'
+import { readFixture, section } from './utils/fixtures.js'
+
+test('edits are grouped per file under the repo-relative path, keeping its casing', async () => {
+  const { digest } = await runLogRecapPipeline(readFixture('claude-code.jsonl'))
+  const cart = digest.files.find((file) => file.path === 'src/Cart.js')
+
+  assert.ok(cart, 'src/Cart.js is listed')
+  assert.equal(cart.status, 'modified')
+  assert.equal(cart.changes, 1)
+  assert.equal(cart.churn, 2)
+  assert.deepEqual(cart.history.map((change) => [change.turn, change.action, change.diff]), [
+    [5, 'edited', { added: 1, removed: 1 }]
+  ])
+})
+
+test('the Files section lists each change with its turn, diff stat and reason', async () => {
+  const { compressed } = await runLogRecapPipeline(readFixture('claude-code.jsonl'))
+
+  assert.deepEqual(section(compressed, 'Files'), [
+    '- `src/Cart.js` — 1 change, 2 lines changed',
+    "  - turn 6: edited (+1 -1) — The discount is applied twice in total(), so I'll remove the outer call."
+  ])
+})
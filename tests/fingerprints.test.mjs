@@ -0,0 +1,25 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { runLogSlimmerPipeline } from '../src/worker-logslimmer.js'
+import { templateFingerprint } from '../src/log-pipeline/output-formatter.js'
+import { readFixture } from './utils/fixtures.js'
+
+const paymentCluster = (result) => result.clusters.find((cluster) => cluster.template[0].includes('Payment failed'))
+
+test('the same error with other users and request ids keeps its fingerprint across logs', async () => {
+  const before = paymentCluster(await runLogSlimmerPipeline(readFixture('deploy-before.txt')))
+  const after = paymentCluster(await runLogSlimmerPipeline(readFixture('deploy-after.txt')))
+
+  assert.match(before.template[0], /user alice: .*request r-7f3a/)
+  assert.match(after.template[0], /user erin: .*request r-a611/)
+  assert.equal(after.fingerprint, before.fingerprint)
+})
+
+test('quoted values and ids mixing letters and digits do not change the fingerprint', () => {
+  const alice = templateFingerprint(["ERROR could not charge customer 'alice' (order ord_8KQ2)"], 'Error')
+  const bob = templateFingerprint(["ERROR could not charge customer 'bob' (order ord_1ZZ9)"], 'Error')
+  const refund = templateFingerprint(["ERROR could not refund customer 'bob' (order ord_1ZZ9)"], 'Error')
+
+  assert.equal(bob, alice)
+  assert.notEqual(refund, alice)
+})
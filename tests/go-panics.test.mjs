@@ -0,0 +1,26 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { splitIntoEvents } from '../src/log-pipeline/log-processor.js'
+import { readFixture } from './utils/fixtures.js'
+
+test('a panic and its goroutine dump stay in one event', () => {
+  const [panic] = splitIntoEvents(readFixture('go-panic.txt'))
+  const [trace] = panic.stackTraces
+
+  assert.equal(trace.kind, 'go')
+  assert.equal(trace.goroutineCount, 3)
+  assert.equal(panic.signature, 'go runtime error: invalid memory address or nil pointer dereference @ main.(*Handler).ServeHTTP')
+})
+
+test('goroutines blocked at the same place are grouped', () => {
+  const [panic] = splitIntoEvents(readFixture('go-panic.txt'))
+
+  assert.ok(panic.processedLines.includes('- 2 goroutines blocked in IO wait at netpoll.go:345 (internal/poll.runtime_pollWait)'))
+})
+
+test('a log line ending in ")" after the dump is not taken for a frame', () => {
+  const events = splitIntoEvents(readFixture('go-panic.txt'))
+
+  assert.equal(events.length, 3)
+  assert.deepEqual(events[1].processedLines, ['2024-05-01 12:00:03 INFO restarting worker (attempt 2)'])
+})
@@ -0,0 +1,31 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { runLogRecapPipeline } from '../src/log-recap/pipeline.js'
+import { readFixture } from './utils/fixtures.js'
+
+const handoff = (handoffTokenBudget) =>
+  runLogRecapPipeline(readFixture('terminal-handoff.txt'), { outputMode: 'handoff', handoffTokenBudget })
+
+test('the goal of a terminal scrape is its first prompt', async () => {
+  const { compressed, stats } = await handoff(1500)
+
+  assert.equal(stats.transcriptFormat, 'terminal')
+  assert.ok(compressed.includes('## Goal\nAnalise a feautre COAUTHOR implementada\n'))
+})
+
+test('sections with nothing recorded are left out', async () => {
+  const { compressed } = await handoff(1500)
+  const headings = compressed.split('\n').filter((line) => line.startsWith('## '))
+
+  assert.deepEqual(headings, ['## Goal', '## Open errors', '## Next action'])
+  assert.ok(!compressed.includes('None recorded'))
+})
+
+test('a small budget trims the lists and the preamble', async () => {
+  const { compressed, handoff: brief } = await handoff(50)
+
+  assert.ok(brief.tokens <= 50)
+  assert.deepEqual(brief.dropped, { errors: 1 })
+  assert.ok(!compressed.includes('You are taking over'))
+  assert.ok(compressed.endsWith('_Trimmed to 50 tokens, left out: open errors 1._'))
+})
@@ -0,0 +1,35 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { splitIntoEvents } from '../src/log-pipeline/log-processor.js'
+import { collapseFrames } from '../src/log-pipeline/stack-traces.js'
+import { readFixture } from './utils/fixtures.js'
+
+test('a long trace of app frames keeps only the head/tail preview', () => {
+  const [devtools] = splitIntoEvents(readFixture('js-traces.txt'))
+
+  assert.deepEqual(devtools.processedLines.slice(1), [
+    '[STACKTRACE js eval @ Observable.js] (80 frames)',
+    'eval @ Observable.js:30',
+    'Observable._trySubscribe @ Observable.js:42',
+    '… (77 frames omitted)',
+    'Observable._trySubscribe @ Observable.js:81'
+  ])
+})
+
+test('vendor and runtime runs around app frames collapse into notes', () => {
+  const [, checkout] = splitIntoEvents(readFixture('js-traces.txt'))
+
+  assert.deepEqual(checkout.processedLines.slice(2), [
+    '[STACKTRACE js computeTotal @ cart.js] (12 frames)',
+    '    at computeTotal (/app/src/cart.js:12:7)',
+    '    … (6 express frames)',
+    '    at checkout (/app/src/routes/checkout.js:30:3)',
+    '    … (4 node frames)'
+  ])
+})
+
+test('collapsing that does not shorten the trace is left to the caller', () => {
+  const frames = ['a @ a.js:1', 'b @ b.js:2', 'c @ c.js:3', 'd @ d.js:4']
+
+  assert.equal(collapseFrames(frames, (frame) => frame, 'js'), null)
+})
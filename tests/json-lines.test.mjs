@@ -0,0 +1,29 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { detectInputFormat } from '../src/log-pipeline/input-formats.js'
+import { splitIntoEvents } from '../src/log-pipeline/log-processor.js'
+import { readFixture } from './utils/fixtures.js'
+
+const text = readFixture('pino.jsonl')
+
+test('pino output is detected as JSON Lines', () => {
+  assert.equal(detectInputFormat(text.split('\n')), 'json')
+})
+
+test('records become level + message + fields lines without the envelope', () => {
+  const [completed, failed] = splitIntoEvents(text)
+
+  assert.equal(completed.processedLines[0], 'INFO request completed req_id=a1 status=200')
+  assert.equal(completed.level, 'info')
+  assert.equal(completed.timestamp, '2024-05-01T12:00:00.000Z')
+  assert.deepEqual(completed.fields, { req_id: 'a1', status: 200 })
+  // The error stack follows its record
+  assert.deepEqual(failed.processedLines.slice(0, 2), ['ERROR payment failed req_id=b7', 'Error: card declined'])
+})
+
+test('records differing only by volatile fields share a signature', () => {
+  const [, first, second] = splitIntoEvents(text)
+
+  assert.equal(first.signature, second.signature)
+  assert.ok(!first.signature.includes('b7'))
+})
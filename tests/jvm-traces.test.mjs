@@ -0,0 +1,23 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { splitIntoEvents } from '../src/log-pipeline/log-processor.js'
+import { readFixture } from './utils/fixtures.js'
+
+test('a JVM trace with its causes joins the log line above it', () => {
+  const events = splitIntoEvents(readFixture('jvm-trace.txt'))
+
+  assert.equal(events.length, 3)
+  assert.deepEqual(events[1].stackTraces[0].chain, [
+    'org.springframework.web.util.NestedServletException',
+    'java.lang.IllegalStateException'
+  ])
+})
+
+test('the trace is signed by its root cause and first app frame', () => {
+  const [, failure] = splitIntoEvents(readFixture('jvm-trace.txt'))
+
+  assert.equal(failure.signature, 'jvm java.lang.IllegalStateException @ com.acme.shop.inventory.InventoryService.reserve')
+  assert.ok(failure.processedLines.includes('- Caused by: java.lang.IllegalStateException: inventory not loaded (2 frames, … 1 more, root cause)'))
+  // Framework frames are counted, not printed
+  assert.ok(!failure.processedLines.some((line) => line.includes('FrameworkServlet')))
+})
@@ -0,0 +1,30 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { runLogComparePipeline } from '../src/worker-logslimmer.js'
+import { readFixture } from './utils/fixtures.js'
+
+const templates = (entries) => entries.map((entry) => entry.template.replace(/^\S+ /, ''))
+
+test('a deploy is reported as new, vanished, changed and unchanged clusters', async () => {
+  const comparison = await runLogComparePipeline(readFixture('deploy-before.txt'), readFixture('deploy-after.txt'))
+
+  assert.deepEqual(templates(comparison.newClusters), [
+    "ERROR TypeError: Cannot read properties of undefined (reading 'total') at computeTotal (cart.js:12:7)"
+  ])
+  assert.deepEqual(templates(comparison.vanishedClusters), ['ERROR connection to redis refused (attempt 1)'])
+  assert.deepEqual(templates(comparison.changedClusters), ['WARN slow query on orders table took 130ms'])
+  assert.deepEqual(comparison.changedClusters[0].changes, [{ kind: 'occurrences', before: 2, after: 8, ratio: 2.67 }])
+  // Payment failures for other users and the health checks
+  assert.equal(comparison.unchanged, 2)
+  assert.deepEqual(comparison.before, { events: 10, clusters: 4 })
+  assert.deepEqual(comparison.after, { events: 15, clusters: 4 })
+})
+
+test('the report lists new clusters before changed and vanished ones', async () => {
+  const { compressed } = await runLogComparePipeline(readFixture('deploy-before.txt'), readFixture('deploy-after.txt'))
+
+  assert.ok(compressed.startsWith('## Log Comparison\nBefore: 10 events, 4 clusters · After: 15 events, 4 clusters · 2 unchanged'))
+  const sections = compressed.split('\n').filter((line) => line.startsWith('### '))
+  assert.deepEqual(sections, ['### New clusters (1)', '### Changed clusters (1)', '### Vanished clusters (1)'])
+  assert.ok(!compressed.includes('Payment failed'))
+})
@@ -0,0 +1,42 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { detectInputFormat } from '../src/log-pipeline/input-formats.js'
+import { splitIntoEvents, applyFieldPlaceholders } from '../src/log-pipeline/log-processor.js'
+import { readFixture } from './utils/fixtures.js'
+
+const text = readFixture('logfmt.txt')
+
+test('key=value lines are detected as logfmt', () => {
+  assert.equal(detectInputFormat(text.split('\n')), 'logfmt')
+})
+
+test('volatile fields become variables and leave the template', () => {
+  const [done, boom] = splitIntoEvents(text)
+
+  assert.equal(done.level, 'info')
+  assert.deepEqual(done.templateLines, ['INFO request done path=/health'])
+  assert.deepEqual([...done.variables.get('{duration}')], ['3ms'])
+  assert.deepEqual(boom.templateLines, ['ERROR boom'])
+  assert.deepEqual([...boom.variables.get('{id}')], ['5'])
+  assert.deepEqual([...boom.variables.get('{user_id}')], ['5'])
+})
+
+test('a field is removed as a whole pair, not as the suffix of a longer key', () => {
+  const variables = new Map()
+  const line = applyFieldPlaceholders('ERROR boom user_id=5 id=5', { id: '5' }, variables)
+
+  assert.equal(line, 'ERROR boom user_id=5')
+})
+
+test('records differing only by volatile fields share a signature', () => {
+  const [, first, second] = splitIntoEvents(text)
+
+  assert.equal(first.signature, second.signature)
+})
+
+test('short messages of the same shape keep their own signature', () => {
+  const [, boom, , retrying] = splitIntoEvents(text)
+
+  assert.deepEqual(retrying.templateLines, ['WARN retrying'])
+  assert.notEqual(boom.signature, retrying.signature)
+})
@@ -21,7 +21,7 @@ async function runLogSlimmerTest() {
   const events = splitIntoEvents(logText)
 
   const start = Date.now()
-  const summary = await runLogSlimmerPipeline(logText)
+  const { compressed: summary } = await runLogSlimmerPipeline(logText)
   const durationMs = Date.now() - start
 
   const originalSize = logText.length
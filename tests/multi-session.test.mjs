@@ -0,0 +1,32 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { runLogRecapPipeline } from '../src/log-recap/pipeline.js'
+import { readFixture } from './utils/fixtures.js'
+
+const sessions = () => [
+  { name: 'monday', text: readFixture('recurring-errors.txt') },
+  { name: 'tuesday', text: readFixture('follow-up-session.txt') }
+]
+
+test('the Sessions section counts the issues each session introduced and resolved', async () => {
+  const { compressed, stats } = await runLogRecapPipeline(sessions())
+
+  assert.equal(stats.sessions, 2)
+  assert.match(compressed, /^## Overview\n2 sessions touched 2 files and 3 primary issues\./)
+  assert.match(compressed, /## Sessions\n- Session 1: monday \(text, 9 turns\) — 2 new issues\n- Session 2: tuesday \(text, 6 turns\) — 1 new issue, 2 resolved\n/)
+})
+
+test('issues keep the session that introduced and the one that resolved them', async () => {
+  const { digest } = await runLogRecapPipeline(sessions())
+  const lifecycle = digest.errors.map((err) => [err.message.match(/run\((.*?)\)/)[1], err.status, err.introducedIn, err.resolvedIn])
+
+  assert.deepEqual(lifecycle, [
+    ['npm test -- login', 'resolved', 1, 2],
+    ['npm run build', 'resolved', 1, 2],
+    ['npm run lint', 'open', 2, null]
+  ])
+})
+
+test('several transcripts cannot be merged into an incremental recap', async () => {
+  await assert.rejects(runLogRecapPipeline(sessions(), { keepState: true }), /single transcript/)
+})
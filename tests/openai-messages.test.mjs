@@ -0,0 +1,20 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { detectTranscriptFormat, normalizeTranscript } from '../src/log-recap/transcripts/index.js'
+import { readFixture } from './utils/fixtures.js'
+
+test('a messages array is detected as OpenAI messages', () => {
+  assert.equal(detectTranscriptFormat(readFixture('openai-messages.json')), 'openai')
+})
+
+test('tool responses are paired with their call by id, whatever their order', () => {
+  const { text } = normalizeTranscript(readFixture('openai-messages.json'))
+
+  assert.deepEqual(text.split('\n\n'), [
+    'USER: Why does the nightly export job crash?',
+    'AGENT: Let me look at the job log and the exporter.',
+    "TOOL: run_command(tail -n 50 logs/export.txt) → failed (exit 1): KeyError: 'total'",
+    'TOOL: read_file(jobs/export.py) → succeeded',
+    "AGENT: Rows without a total crash the export: it reads row['total'] directly."
+  ])
+})
@@ -0,0 +1,42 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { runLogRecapPipeline } from '../src/log-recap/pipeline.js'
+import { runLogSlimmerPipeline } from '../src/worker-logslimmer.js'
+import { readFixture } from './utils/fixtures.js'
+
+const transcript = Array.from({ length: 20 }, (_, idx) => readFixture('terminal-session.txt').replaceAll('{n}', String(idx + 1))).join('\n')
+
+test('a recap budget shortens the lists once the timeline is gone', async () => {
+  const { compressed, stats } = await runLogRecapPipeline(transcript, { maxOutputTokens: 300 })
+
+  assert.ok(stats.outputTokens <= 300)
+  assert.equal(stats.overBudget, false)
+  assert.ok(compressed.includes('## Highlights\n- Briefing: fix the failing test in src/module1.js\n\n'))
+  assert.ok(compressed.includes('- … 3 more issues'))
+  assert.ok(compressed.endsWith('_Trimmed to 300 tokens: 1 of 1 timeline blocks left out, highlights other than the briefing left out, issues cut to 3._'))
+})
+
+test('a recap that cannot fit its budget says so', async () => {
+  const { compressed, stats } = await runLogRecapPipeline(transcript, { maxOutputTokens: 100 })
+
+  assert.equal(stats.overBudget, true)
+  assert.ok(compressed.endsWith('_Over the 100 token budget even after trimming (1 of 1 timeline blocks left out, highlights other than the briefing left out, issues cut to 1)._'))
+})
+
+test('a LogSlimmer budget shortens the error summary and CI steps too', async () => {
+  const { compressed, stats } = await runLogSlimmerPipeline(readFixture('github-actions.txt'), { maxOutputTokens: 50 })
+
+  assert.deepEqual(stats.trimmed, {
+    sampleLines: 0,
+    maxVariables: 0,
+    uniqueEvents: 1,
+    clusters: 2,
+    errorPatterns: 0,
+    ciTailLines: 1,
+    ciPassedSteps: true,
+    overBudget: true
+  })
+  assert.ok(compressed.startsWith('## CI Steps\n### Failed step: Run npm test (exit code 1, 3.0s)\n… (3 earlier lines omitted)\nProcess completed with exit code 1.\n'))
+  assert.ok(compressed.includes('- … (2 passing steps)'))
+  assert.ok(compressed.endsWith('_Over the 50 token budget even after trimming (samples left out, variables left out, 1 unique events left out, 2 low-score clusters left out, error summary patterns left out, failing step output cut to 1 lines, passing CI steps left out)._'))
+})
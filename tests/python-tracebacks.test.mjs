@@ -0,0 +1,22 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { splitIntoEvents } from '../src/log-pipeline/log-processor.js'
+import { readFixture } from './utils/fixtures.js'
+
+test('a chained Python traceback stays in the event of its log line', () => {
+  const events = splitIntoEvents(readFixture('python-traceback.txt'))
+
+  assert.equal(events.length, 3)
+  const [trace] = events[1].stackTraces
+  assert.equal(trace.kind, 'python')
+  assert.deepEqual(trace.chain, ['ConnectionError', 'ValueError'])
+  assert.equal(events[2].processedLines[0], '2024-05-01 12:00:02 INFO worker idle')
+})
+
+test('the traceback is signed by the final exception and its innermost app frame', () => {
+  const [, failure] = splitIntoEvents(readFixture('python-traceback.txt'))
+
+  assert.equal(failure.signature, 'python ValueError @ sync.py:run')
+  assert.ok(failure.processedLines.some((line) => line.startsWith('[STACKTRACE python ValueError @ sync.py:run] (4 frames)')))
+  assert.ok(failure.processedLines.includes('Exception chain: ConnectionError → ValueError'))
+})
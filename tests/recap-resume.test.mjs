@@ -0,0 +1,31 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { runLogRecapPipeline } from '../src/log-recap/pipeline.js'
+import { readFixture, section } from './utils/fixtures.js'
+
+// 100 fix-and-test rounds: past the 2000 transcript lines a terminal scrape is cut at
+const rounds = Array.from({ length: 100 }, (_, idx) => readFixture('terminal-session.txt').replaceAll('{n}', String(idx + 1)))
+
+test('a resumed recap past the line limit matches a full run', async () => {
+  const transcript = rounds.join('\n')
+  const full = await runLogRecapPipeline(transcript)
+  const first = await runLogRecapPipeline(`${rounds.slice(0, 60).join('\n')}\n`, { keepState: true })
+  const resumed = await runLogRecapPipeline(transcript, { previousState: first.state })
+
+  assert.ok(first.state.processed.lines < 2000)
+  assert.equal(resumed.stats.resumed, true)
+  assert.equal(resumed.compressed, full.compressed)
+})
+
+test('a state saved after a single newline resumes without an extra turn', async () => {
+  const transcript = readFixture('recurring-errors.txt')
+  const cut = transcript.indexOf('\n\nTOOL: edit(') + 1
+  const full = await runLogRecapPipeline(transcript)
+  const first = await runLogRecapPipeline(transcript.slice(0, cut), { keepState: true })
+  const resumed = await runLogRecapPipeline(transcript, { previousState: first.state })
+
+  assert.equal(resumed.stats.originalTurns, full.stats.originalTurns)
+  assert.deepEqual(section(resumed.compressed, 'Files'), section(full.compressed, 'Files'))
+  assert.deepEqual(section(resumed.compressed, 'Issues & Resolutions'), section(full.compressed, 'Issues & Resolutions'))
+  assert.equal(resumed.compressed, full.compressed)
+})
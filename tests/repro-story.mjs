@@ -23,7 +23,7 @@ async function runReproStoryTest() {
   console.log(`Found ${storyMarkers.length} story markers.`)
   storyMarkers.forEach(m => console.log(` - [${m.score}] ${m.processedLines[0]}'`))
 
-  const output = await runLogSlimmerPipeline(logText)
+  const { compressed: output } = await runLogSlimmerPipeline(logText)
   
   console.log('\n══════════ OUTPUT PREVIEW ══════════')
   console.log(output)
@@ -0,0 +1,35 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { createSourceMapResolver } from '../src/utils/source-map.js'
+import { splitIntoEvents } from '../src/log-pipeline/log-processor.js'
+import { runLogSlimmerPipeline } from '../src/worker-logslimmer.js'
+import { readFixture } from './utils/fixtures.js'
+
+const goodMap = { name: 'main.3f2a.js.map', content: readFixture('main.3f2a.js.map') }
+const brokenMap = { name: 'main.3f2a.js.map', content: readFixture('broken.js.map') }
+
+test('a minified frame is resolved to its original source, line and name', () => {
+  const resolver = createSourceMapResolver([goodMap])
+
+  assert.deepEqual(resolver.resolve('https://shop.example.com/main.3f2a.js', 1, 11), {
+    source: 'src/cart.js',
+    line: 12,
+    column: 5,
+    name: 'applyDiscount'
+  })
+})
+
+test('frames are rewritten before the event is folded', () => {
+  const [event] = splitIntoEvents(readFixture('minified-trace.txt'), { sourceMapResolver: createSourceMapResolver([goodMap]) })
+
+  assert.ok(event.originalLines.includes('    at e (https://shop.example.com/main.3f2a.js:1:11)'))
+  assert.ok(event.processedLines.some((line) => line.includes('applyDiscount (src/cart.js:12:5)')))
+})
+
+test('a map with invalid mappings is skipped instead of failing the run', async () => {
+  const resolver = createSourceMapResolver([brokenMap])
+  assert.equal(resolver.resolve('main.3f2a.js', 1, 11), null)
+
+  const result = await runLogSlimmerPipeline(readFixture('minified-trace.txt'), { sourceMaps: [brokenMap] })
+  assert.ok(result.compressed.includes('main.3f2a.js:1:11'))
+})
@@ -0,0 +1,53 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { detectInputFormat } from '../src/log-pipeline/input-formats.js'
+import { parseSyslogLine } from '../src/log-pipeline/formats/syslog.js'
+import { splitIntoEvents } from '../src/log-pipeline/log-processor.js'
+import { readFixture } from './utils/fixtures.js'
+
+test('RFC 5424 and RFC 3164 lines are detected as syslog', () => {
+  assert.equal(detectInputFormat(readFixture('syslog.txt').split('\n')), 'syslog')
+})
+
+test('host, app, pid and severity are lifted out of the line', () => {
+  const [postgres, nginx] = splitIntoEvents(readFixture('syslog.txt'))
+
+  assert.equal(postgres.processedLines[0], 'FATAL postgres: connection refused db=orders')
+  assert.equal(postgres.fields.host, 'db-1')
+  assert.equal(nginx.processedLines[0], 'ERROR nginx: upstream timed out')
+  assert.equal(nginx.fields.pid, '42')
+  assert.equal(nginx.fields.severity, 'err')
+})
+
+test('rsyslog high-precision and journalctl short-iso lines need no <PRI>', () => {
+  const rsyslog = parseSyslogLine('2024-05-01T12:00:02.514+00:00 web-1 sshd[310]: Accepted publickey for deploy')
+  const journal = parseSyslogLine('2024-05-01T12:00:02+0000 web-1 systemd[1]: Started Daily apt upgrade.')
+
+  assert.deepEqual([rsyslog.timestamp, rsyslog.host, rsyslog.app, rsyslog.pid], ['2024-05-01T12:00:02.514+00:00', 'web-1', 'sshd', '310'])
+  assert.deepEqual([journal.timestamp, journal.app, journal.message], ['2024-05-01T12:00:02+0000', 'systemd', 'Started Daily apt upgrade.'])
+  assert.ok(splitIntoEvents(readFixture('syslog.txt')).some((event) => event.fields?.app === 'sshd'))
+})
+
+test('only indented lines continue the previous record', () => {
+  const events = splitIntoEvents(readFixture('syslog.txt'))
+  const backup = events.find((event) => event.fields?.app === 'backup')
+
+  assert.deepEqual(backup.processedLines, ['backup: backup failed', '    disk full on /var/backups'])
+  assert.equal(events[events.length - 1].format, 'text')
+})
+
+test('a plain log with ISO timestamps is still text and keeps its level', () => {
+  const text = readFixture('iso-text.txt')
+  const events = splitIntoEvents(text)
+
+  assert.equal(detectInputFormat(text.split('\n')), 'text')
+  assert.equal(parseSyslogLine('2024-05-01T12:00:00Z ERROR worker: job failed'), null)
+  assert.ok(events.every((event) => event.format === 'text'))
+  assert.ok(events[1].processedLines[0].includes('ERROR worker: job failed'))
+  assert.ok(events[1].score > events[0].score)
+})
+
+test('a level word after a BSD date is not taken for a host', () => {
+  assert.equal(parseSyslogLine('May  1 12:00:01 ERROR worker: job failed'), null)
+  assert.equal(parseSyslogLine('<11>2024-05-01T12:00:00Z web-1 nginx: upstream timed out').host, 'web-1')
+})
@@ -0,0 +1,39 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { runLogSlimmerPipeline } from '../src/worker-logslimmer.js'
+import { runLogRecapPipeline } from '../src/log-recap/pipeline.js'
+import { countTokens } from '../src/utils/token-counter.js'
+import { readFixture } from './utils/fixtures.js'
+
+test('tokens are not counted without a budget or a request for them', async () => {
+  const { stats } = await runLogSlimmerPipeline(readFixture('logfmt.txt'))
+
+  assert.equal(stats.originalTokens, null)
+  assert.equal(stats.compressedTokens, null)
+})
+
+test('a budget counts the output only', async () => {
+  const { compressed, stats } = await runLogSlimmerPipeline(readFixture('logfmt.txt'), { maxOutputTokens: 2000 })
+
+  assert.equal(stats.originalTokens, null)
+  assert.equal(stats.compressedTokens, countTokens(compressed))
+})
+
+test('token stats count the input and the output', async () => {
+  const text = readFixture('logfmt.txt')
+  const { compressed, stats } = await runLogSlimmerPipeline(text, { tokenStats: true })
+
+  assert.equal(stats.originalTokens, countTokens(text))
+  assert.equal(stats.compressedTokens, countTokens(compressed))
+})
+
+test('a recap counts its tokens only under a budget or for the handoff brief', async () => {
+  const transcript = readFixture('claude-code.jsonl')
+  const plain = await runLogRecapPipeline(transcript)
+  const budgeted = await runLogRecapPipeline(transcript, { maxOutputTokens: 2000 })
+  const handoff = await runLogRecapPipeline(transcript, { outputMode: 'handoff' })
+
+  assert.equal(plain.stats.outputTokens, null)
+  assert.equal(budgeted.stats.outputTokens, countTokens(budgeted.compressed))
+  assert.equal(handoff.stats.outputTokens, countTokens(handoff.compressed))
+})
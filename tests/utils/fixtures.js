@@ -0,0 +1,28 @@
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures')
+
+/**
+ * Read a file of tests/fixtures
+ * @param {string} name - File name
+ * @returns {string}
+ */
+export function readFixture(name) {
+  return fs.readFileSync(path.join(fixturesDir, name), 'utf-8')
+}
+
+/**
+ * Lines of a `## Title` section of a recap, without its heading
+ * @param {string} text - Markdown recap
+ * @param {string} title - Section title
+ * @returns {string[]}
+ */
+export function section(text, title) {
+  const start = text.indexOf(`## ${title}\n`)
+  assert.notEqual(start, -1, `missing section ${title}`)
+  const end = text.indexOf('\n\n## ', start)
+  return text.slice(start, end === -1 ? undefined : end).split('\n').slice(1)
+}